@@ -0,0 +1,233 @@
+// Sender Aliases: one person under several names in the same export
+//
+// Contact renames ("+91 98765 43210" -> "Rahul"), emoji added to a name
+// ("Rahul 🎸") and "You" all split one person into several participants.
+// An alias map { rawName: shownName } merges or renames them; it is applied
+// to a copy of the messages, so the parsed chat itself never changes.
+// Maps are saved per chat in localStorage (encrypted once a passphrase is set).
+
+import { readSetting, writeSetting } from './vault.js';
+
+const STORAGE_PREFIX = 'whattrace.aliases.';
+
+// Messages used to recognise the same chat on a later upload
+const FINGERPRINT_MESSAGES = 5;
+
+// Names at least this similar (1 - edit distance / length) are suggested
+const SIMILAR_NAME_THRESHOLD = 0.8;
+
+// Phone numbers match on their last digits, ignoring country/trunk prefixes
+const PHONE_MATCH_DIGITS = 9;
+const MIN_PHONE_DIGITS = 7;
+
+/**
+ * Name reduced for comparison: no emoji, symbols, accents or case
+ */
+export function normalizeName(name) {
+    return name
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\p{L}\p{N}\s]/gu, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+}
+
+/**
+ * Digits of a sender shown as a phone number, or null for a name
+ */
+export function phoneDigits(name) {
+    if (/\p{L}/u.test(name)) return null;
+    const digits = name.replace(/\D/g, '');
+    return digits.length >= MIN_PHONE_DIGITS ? digits : null;
+}
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function similarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    return longest ? 1 - editDistance(a, b) / longest : 0;
+}
+
+/**
+ * Suggest pairs of senders that are probably the same person
+ * @param {Object[]} messages - Parsed messages (raw sender names)
+ * @returns {Object[]} { from, into, reason, score } sorted by score; `into` is the
+ *   name to keep (the one with more messages)
+ */
+export function suggestMerges(messages) {
+    const senders = new Map();
+    messages.forEach(msg => {
+        if (msg.isSystem) return;
+        const entry = senders.get(msg.sender) || { count: 0, first: msg.timestamp, last: msg.timestamp };
+        entry.count++;
+        entry.last = msg.timestamp;
+        senders.set(msg.sender, entry);
+    });
+
+    const names = Array.from(senders.keys());
+    const suggestions = [];
+
+    for (let i = 0; i < names.length; i++) {
+        for (let j = i + 1; j < names.length; j++) {
+            const match = compareSenders(names[i], names[j]);
+            if (!match) continue;
+
+            const [into, from] = senders.get(names[i]).count >= senders.get(names[j]).count
+                ? [names[i], names[j]]
+                : [names[j], names[i]];
+            suggestions.push({ from, into, ...match });
+        }
+    }
+
+    // A number that stops writing just before a new name starts is usually the
+    // contact being saved; only the first name to appear afterwards is suggested
+    names.filter(name => phoneDigits(name)).forEach(number => {
+        const { last } = senders.get(number);
+        const successor = names
+            .filter(name => !phoneDigits(name) && senders.get(name).first > last)
+            .sort((a, b) => senders.get(a).first - senders.get(b).first)[0];
+        if (successor) {
+            suggestions.push({ from: number, into: successor, reason: 'Number replaced by a name', score: 0.6 });
+        }
+    });
+
+    return suggestions.sort((a, b) => b.score - a.score);
+}
+
+function compareSenders(a, b) {
+    const phoneA = phoneDigits(a);
+    const phoneB = phoneDigits(b);
+    if (phoneA && phoneB) {
+        return phoneA.slice(-PHONE_MATCH_DIGITS) === phoneB.slice(-PHONE_MATCH_DIGITS)
+            ? { reason: 'Same phone number', score: 1 }
+            : null;
+    }
+    // Numbers against names are matched by timing in suggestMerges()
+    if (phoneA || phoneB) return null;
+
+    const nameA = normalizeName(a);
+    const nameB = normalizeName(b);
+    if (!nameA || !nameB) return null;
+    if (nameA === nameB) return { reason: 'Same name', score: 0.95 };
+
+    const score = similarity(nameA, nameB);
+    if (score >= SIMILAR_NAME_THRESHOLD) return { reason: 'Similar name', score };
+
+    // "Rahul" and "Rahul Sharma"
+    const wordsA = nameA.split(' ');
+    const wordsB = nameB.split(' ');
+    const [shorter, longer] = wordsA.length <= wordsB.length ? [wordsA, wordsB] : [wordsB, wordsA];
+    if (shorter.every((word, index) => longer[index] === word)) {
+        return { reason: 'Name contains the other', score: 0.7 };
+    }
+
+    return null;
+}
+
+/**
+ * Final name for every aliased name, following chains (A -> B, B -> C gives
+ * A -> C). Names in a cycle all resolve to the first of them alphabetically,
+ * so they still merge into one person.
+ * @param {Object} aliases - { rawName: shownName }
+ * @returns {Map<string, string>}
+ */
+export function resolveAliases(aliases) {
+    const resolved = new Map();
+    Object.keys(aliases).forEach(start => {
+        const chain = [];
+        let name = start;
+        while (Object.prototype.hasOwnProperty.call(aliases, name) && !resolved.has(name) && !chain.includes(name)) {
+            chain.push(name);
+            name = aliases[name];
+        }
+
+        let final = resolved.has(name) ? resolved.get(name) : name;
+        if (chain.includes(name)) {
+            const cycle = chain.slice(chain.indexOf(name));
+            final = cycle.sort((a, b) => a.localeCompare(b))[0];
+        }
+        chain.forEach(link => resolved.set(link, final));
+    });
+    return resolved;
+}
+
+/**
+ * Messages with senders (and system-event names) replaced by their alias
+ * @param {Object[]} messages - Parsed messages
+ * @param {Object} aliases - { rawName: shownName }, chains allowed
+ * @returns {Object[]} The same array when there is nothing to replace
+ */
+export function applyAliases(messages, aliases) {
+    if (!aliases || Object.keys(aliases).length === 0) return messages;
+
+    const resolved = resolveAliases(aliases);
+    const alias = (name) => (name && resolved.get(name)) || name;
+
+    return messages.map(msg => {
+        const sender = alias(msg.sender);
+        const systemEvent = msg.systemEvent && {
+            ...msg.systemEvent,
+            actor: alias(msg.systemEvent.actor),
+            targets: msg.systemEvent.targets.map(alias)
+        };
+        return { ...msg, sender, systemEvent };
+    });
+}
+
+/**
+ * Storage key for a chat: a hash of its first messages, so the same chat
+ * uploaded again (even a longer, later export) finds its aliases
+ */
+export function getChatKey(messages) {
+    const text = messages
+        .filter(msg => !msg.isSystem)
+        .slice(0, FINGERPRINT_MESSAGES)
+        .map(msg => `${msg.sender}\u0000${msg.content}`)
+        .join('\u0001');
+
+    // FNV-1a, 32-bit
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+export function loadAliases(chatKey) {
+    try {
+        return JSON.parse(readSetting(STORAGE_PREFIX + chatKey)) || {};
+    } catch (error) {
+        // Private browsing or a corrupted entry: start without aliases
+        return {};
+    }
+}
+
+export function saveAliases(chatKey, aliases) {
+    try {
+        if (Object.keys(aliases).length) {
+            writeSetting(STORAGE_PREFIX + chatKey, JSON.stringify(aliases));
+        } else {
+            writeSetting(STORAGE_PREFIX + chatKey, null);
+        }
+    } catch (error) {
+        console.warn('Could not save aliases:', error.message);
+    }
+}
+
+export default applyAliases;
@@ -1,15 +1,35 @@
 // Analytics Engine for WhatsApp Chat Analysis
 
 import { stats, emojiUtils, textUtils } from './utils.js';
+import { SYSTEM_EVENT_TYPES } from './systemEvents.js';
+import { countUtcHours, findMoves, findSleepWindow, inferOffsetPeriods, inferUtcOffset } from './timezoneInference.js';
+
+// Cut-offs behind conversations, ghosting and best-time windows; override per
+// instance with the `thresholds` option
+export const DEFAULT_THRESHOLDS = {
+    conversationGap: 6 * 60 * 60 * 1000, // Silence (ms) that ends a conversation
+    ghostGap: 24 * 60 * 60 * 1000, // Reply delay (ms) counted as ghosting
+    minResponses: 3 // Responses an hour needs before it can be a best time
+};
 
 export class WhatsAppAnalytics {
-    constructor(parsedData) {
+    /**
+     * @param {Object} parsedData - { messages, participants, dateRange }
+     * @param {Object} [options] - { self: participant who exported the chat, for perspective metrics },
+     *   { thresholds: partial DEFAULT_THRESHOLDS }
+     */
+    constructor(parsedData, options = {}) {
         this.messages = parsedData.messages;
         this.participants = parsedData.participants;
         this.dateRange = parsedData.dateRange;
+        this.self = this.participants.includes(options.self) ? options.self : null;
+        this.thresholds = { ...DEFAULT_THRESHOLDS, ...options.thresholds };
 
         // Filter out system messages for most analytics
         this.userMessages = this.messages.filter(m => !m.isSystem);
+
+        // Classified group events (joins, leaves, admin changes, ...) from system lines
+        this.systemEvents = this.messages.filter(m => m.isSystem && m.systemEvent && m.systemEvent.type !== SYSTEM_EVENT_TYPES.OTHER);
     }
 
     /**
@@ -24,7 +44,7 @@ export class WhatsAppAnalytics {
             conversationInitiators: this.getConversationInitiators(),
             messageCountByParticipant: this.getMessageCountByParticipant(),
             averageMessagesPerConversation: this.getAverageMessagesPerConversation(),
-            bestTimeToMessage: this.getBestTimeToMessage(responseTime.byHourBySender)
+            bestTimeToMessage: this.getBestTimeToMessage(responseTime.byHourBySender, responseTime.byUtcHourBySender)
         };
     }
 
@@ -32,12 +52,15 @@ export class WhatsAppAnalytics {
         const responseTimes = [];
         const responseTimesBySender = {};
         const responseTimesByHourBySender = {};
+        const responseTimesByUtcHourBySender = {};
 
         this.participants.forEach(p => {
             responseTimesBySender[p] = [];
             responseTimesByHourBySender[p] = {};
+            responseTimesByUtcHourBySender[p] = {};
             for (let h = 0; h < 24; h++) {
                 responseTimesByHourBySender[p][h] = [];
+                responseTimesByUtcHourBySender[p][h] = [];
             }
         });
 
@@ -54,9 +77,20 @@ export class WhatsAppAnalytics {
                 // Track response time by hour when the message was sent
                 const hour = previousMsg.metadata.hour;
                 responseTimesByHourBySender[currentMsg.sender][hour].push(timeDiff);
+                // Also by UTC hour, to re-bucket in the responder's own time zone
+                const utcHour = previousMsg.timestamp.getUTCHours();
+                if (!isNaN(utcHour)) responseTimesByUtcHourBySender[currentMsg.sender][utcHour].push(timeDiff);
             }
         }
 
+        // Loop instead of Math.min(...responseTimes): spreading 100k+ arguments overflows the stack
+        let min = Infinity;
+        let max = -Infinity;
+        for (const time of responseTimes) {
+            if (time < min) min = time;
+            if (time > max) max = time;
+        }
+
         const averageByParticipant = {};
         const medianByParticipant = {};
 
@@ -70,8 +104,8 @@ export class WhatsAppAnalytics {
             overall: {
                 average: stats.mean(responseTimes),
                 median: stats.median(responseTimes),
-                min: Math.min(...responseTimes),
-                max: Math.max(...responseTimes),
+                min,
+                max,
                 percentile25: stats.percentile(responseTimes, 25),
                 percentile75: stats.percentile(responseTimes, 75),
                 percentile90: stats.percentile(responseTimes, 90)
@@ -81,7 +115,8 @@ export class WhatsAppAnalytics {
                 median: medianByParticipant
             },
             distribution: this.getResponseTimeDistribution(responseTimes),
-            byHourBySender: responseTimesByHourBySender
+            byHourBySender: responseTimesByHourBySender,
+            byUtcHourBySender: responseTimesByUtcHourBySender
         };
     }
 
@@ -125,7 +160,7 @@ export class WhatsAppAnalytics {
             const monthKey = `${msg.metadata.year}-${String(msg.metadata.month + 1).padStart(2, '0')}`;
             byMonth[monthKey] = (byMonth[monthKey] || 0) + 1;
 
-            const dateKey = msg.timestamp.toISOString().split('T')[0];
+            const dateKey = msg.metadata.dateKey;
             byDate[dateKey] = (byDate[dateKey] || 0) + 1;
         });
 
@@ -142,8 +177,8 @@ export class WhatsAppAnalytics {
         const initiators = {};
         this.participants.forEach(p => initiators[p] = 0);
 
-        // A conversation starts after a gap of > 6 hours
-        const conversationGap = 6 * 60 * 60 * 1000; // 6 hours in ms
+        // A conversation starts after a gap of > 6 hours (by default)
+        const { conversationGap } = this.thresholds;
 
         for (let i = 0; i < this.userMessages.length; i++) {
             const msg = this.userMessages[i];
@@ -172,7 +207,7 @@ export class WhatsAppAnalytics {
 
         const total = this.userMessages.length;
         this.participants.forEach(p => {
-            percentages[p] = ((counts[p] / total) * 100).toFixed(1);
+            percentages[p] = stats.round((counts[p] / total) * 100);
         });
 
         return { counts, percentages };
@@ -180,7 +215,7 @@ export class WhatsAppAnalytics {
 
     getAverageMessagesPerConversation() {
         let conversationCount = 1;
-        const conversationGap = 6 * 60 * 60 * 1000;
+        const { conversationGap } = this.thresholds;
 
         for (let i = 1; i < this.userMessages.length; i++) {
             const timeDiff = this.userMessages[i].timestamp - this.userMessages[i - 1].timestamp;
@@ -189,11 +224,12 @@ export class WhatsAppAnalytics {
             }
         }
 
-        return (this.userMessages.length / conversationCount).toFixed(1);
+        return stats.round(this.userMessages.length / conversationCount);
     }
 
-    getBestTimeToMessage(responseTimesByHourBySender) {
+    getBestTimeToMessage(responseTimesByHourBySender, responseTimesByUtcHourBySender = null) {
         const bestTimes = {};
+        const timeZones = responseTimesByUtcHourBySender ? this.getParticipantTimeZones() : {};
 
         this.participants.forEach(p => {
             const hourlyAverages = {};
@@ -203,7 +239,7 @@ export class WhatsAppAnalytics {
             // Calculate average response time for each hour
             for (let hour = 0; hour < 24; hour++) {
                 const times = responseTimesByHourBySender[p][hour];
-                if (times && times.length >= 3) { // Require at least 3 responses for reliability
+                if (times && times.length >= this.thresholds.minResponses) { // Require a few responses for reliability
                     const avgTime = stats.mean(times);
                     hourlyAverages[hour] = {
                         average: avgTime,
@@ -231,13 +267,36 @@ export class WhatsAppAnalytics {
                     timeRange: `${hour}:00 - ${parseInt(hour) + 1}:00`,
                     averageResponseTime: data.average,
                     sampleSize: data.count
-                }))
+                })),
+                theirTime: timeZones[p] ? this.getBestLocalHour(responseTimesByUtcHourBySender[p], timeZones[p].offset) : null
             };
         });
 
         return bestTimes;
     }
 
+    /**
+     * Fastest-response hour in the responder's own inferred zone
+     * @param {Object} timesByUtcHour - Response times keyed by UTC hour
+     * @param {number} offset - Responder's UTC offset in hours
+     */
+    getBestLocalHour(timesByUtcHour, offset) {
+        let bestHour = null;
+        let bestTime = Infinity;
+
+        for (let utcHour = 0; utcHour < 24; utcHour++) {
+            const times = timesByUtcHour[utcHour];
+            if (times.length < this.thresholds.minResponses) continue; // Same reliability bar as the main table
+            const avgTime = stats.mean(times);
+            if (avgTime < bestTime) {
+                bestTime = avgTime;
+                bestHour = (utcHour + offset + 24) % 24;
+            }
+        }
+
+        return { offset, bestHour, bestTime };
+    }
+
     /**
      * CONTENT ANALYSIS
      */
@@ -322,8 +381,8 @@ export class WhatsAppAnalytics {
             analysis[p] = {
                 questions,
                 exclamations,
-                questionsPerMessage: (questions / participantMessages.length).toFixed(2),
-                exclamationsPerMessage: (exclamations / participantMessages.length).toFixed(2)
+                questionsPerMessage: stats.round(questions / participantMessages.length, 2),
+                exclamationsPerMessage: stats.round(exclamations / participantMessages.length, 2)
             };
         });
 
@@ -339,7 +398,7 @@ export class WhatsAppAnalytics {
 
             usage[p] = {
                 count: capsMessages.length,
-                percentage: ((capsMessages.length / participantMessages.length) * 100).toFixed(1)
+                percentage: stats.round((capsMessages.length / participantMessages.length) * 100)
             };
         });
 
@@ -356,7 +415,8 @@ export class WhatsAppAnalytics {
             dailyActivity: this.getDailyActivity(),
             monthlyTrends: this.getMonthlyTrends(),
             peakActivityTimes: this.getPeakActivityTimes(),
-            activityPersona: this.getActivityPersona()
+            activityPersona: this.getActivityPersona(),
+            participantTimeZones: this.getParticipantTimeZones()
         };
     }
 
@@ -446,10 +506,10 @@ export class WhatsAppAnalytics {
             const total = messages.length;
 
             personas[p] = {
-                night: ((nightMessages / total) * 100).toFixed(1),
-                morning: ((morningMessages / total) * 100).toFixed(1),
-                afternoon: ((afternoonMessages / total) * 100).toFixed(1),
-                evening: ((eveningMessages / total) * 100).toFixed(1),
+                night: stats.round((nightMessages / total) * 100),
+                morning: stats.round((morningMessages / total) * 100),
+                afternoon: stats.round((afternoonMessages / total) * 100),
+                evening: stats.round((eveningMessages / total) * 100),
                 primaryPersona: this.determinePrimaryPersona(nightMessages, morningMessages, afternoonMessages, eveningMessages)
             };
         });
@@ -457,6 +517,53 @@ export class WhatsAppAnalytics {
         return personas;
     }
 
+    /**
+     * Likely UTC offset of each participant from their sleep gap and activity
+     * curve, with their hourly activity and persona in their own local time.
+     * Someone whose offset changes partway through gets one period per zone.
+     */
+    getParticipantTimeZones() {
+        if (this.participantTimeZones) return this.participantTimeZones;
+
+        const zones = {};
+        this.participants.forEach(p => {
+            const messages = this.userMessages.filter(m => m.sender === p);
+            const estimate = inferUtcOffset(countUtcHours(messages));
+            if (!estimate) {
+                zones[p] = null;
+                return;
+            }
+
+            const periods = inferOffsetPeriods(messages);
+            // After a move, each message is counted in the zone they were in at the time
+            const localHourly = new Array(24).fill(0);
+            let periodIndex = 0;
+            messages.forEach(msg => {
+                while (periodIndex < periods.length - 1 && msg.timestamp > periods[periodIndex].end) periodIndex++;
+                const offset = periods.length > 1 ? periods[periodIndex].offset : estimate.offset;
+                const hour = (msg.timestamp.getUTCHours() + offset + 24) % 24;
+                if (!isNaN(hour)) localHourly[hour]++;
+            });
+
+            const sum = (from, to) => localHourly.slice(from, to).reduce((total, count) => total + count, 0);
+            // The zone they were last seen in is the one to message them in
+            const currentOffset = periods.length ? periods[periods.length - 1].offset : estimate.offset;
+
+            zones[p] = {
+                offset: currentOffset,
+                confidence: estimate.confidence,
+                sleepWindow: findSleepWindow(localHourly),
+                localHourly,
+                localPersona: this.determinePrimaryPersona(sum(0, 6), sum(6, 12), sum(12, 18), sum(18, 24)),
+                periods,
+                moves: findMoves(periods)
+            };
+        });
+
+        this.participantTimeZones = zones;
+        return zones;
+    }
+
     determinePrimaryPersona(night, morning, afternoon, evening) {
         const max = Math.max(night, morning, afternoon, evening);
         if (max === night) return '🌙 Night Owl';
@@ -482,30 +589,43 @@ export class WhatsAppAnalytics {
         };
     }
 
+    /**
+     * Media shared per participant. When the export's files were linked
+     * (metadata.attachments), counts and sizes come from the real files.
+     */
     getMediaSharingFrequency() {
+        const fromFiles = this.userMessages.some(msg => msg.metadata.attachments);
         const overall = {
             total: 0,
+            totalBytes: 0,
             byType: {}
         };
 
         const byParticipant = {};
         this.participants.forEach(p => {
-            byParticipant[p] = { total: 0, byType: {} };
+            byParticipant[p] = { total: 0, totalBytes: 0, byType: {} };
         });
 
+        const count = (sender, mediaType, bytes) => {
+            overall.total++;
+            overall.totalBytes += bytes;
+            overall.byType[mediaType] = (overall.byType[mediaType] || 0) + 1;
+
+            byParticipant[sender].total++;
+            byParticipant[sender].totalBytes += bytes;
+            byParticipant[sender].byType[mediaType] =
+                (byParticipant[sender].byType[mediaType] || 0) + 1;
+        };
+
         this.userMessages.forEach(msg => {
-            if (msg.metadata.isMedia) {
-                overall.total++;
-                const mediaType = msg.metadata.mediaType || 'unknown';
-                overall.byType[mediaType] = (overall.byType[mediaType] || 0) + 1;
-
-                byParticipant[msg.sender].total++;
-                byParticipant[msg.sender].byType[mediaType] =
-                    (byParticipant[msg.sender].byType[mediaType] || 0) + 1;
+            if (fromFiles) {
+                (msg.metadata.attachments || []).forEach(file => count(msg.sender, file.mediaType, file.size));
+            } else if (msg.metadata.isMedia) {
+                count(msg.sender, msg.metadata.mediaType || 'unknown', 0);
             }
         });
 
-        return { overall, byParticipant };
+        return { overall, byParticipant, fromFiles };
     }
 
     getDeletedMessagePatterns() {
@@ -517,7 +637,7 @@ export class WhatsAppAnalytics {
 
             patterns[p] = {
                 count: deletedMessages.length,
-                percentage: ((deletedMessages.length / messages.length) * 100).toFixed(1)
+                percentage: stats.round((deletedMessages.length / messages.length) * 100)
             };
         });
 
@@ -526,7 +646,7 @@ export class WhatsAppAnalytics {
 
     getConversationGaps() {
         const gaps = [];
-        const conversationGapThreshold = 6 * 60 * 60 * 1000; // 6 hours
+        const conversationGapThreshold = this.thresholds.conversationGap;
 
         for (let i = 1; i < this.userMessages.length; i++) {
             const gap = this.userMessages[i].timestamp - this.userMessages[i - 1].timestamp;
@@ -555,7 +675,7 @@ export class WhatsAppAnalytics {
 
         const messagesByDate = {};
         this.userMessages.forEach(msg => {
-            const dateKey = msg.timestamp.toISOString().split('T')[0];
+            const dateKey = msg.metadata.dateKey;
             messagesByDate[dateKey] = (messagesByDate[dateKey] || 0) + 1;
         });
 
@@ -597,19 +717,19 @@ export class WhatsAppAnalytics {
     }
 
     getUrlSharingStats() {
-        const stats = {};
+        const urlStats = {};
 
         this.participants.forEach(p => {
             const messages = this.userMessages.filter(m => m.sender === p);
             const urlMessages = messages.filter(m => m.metadata.hasUrl);
 
-            stats[p] = {
+            urlStats[p] = {
                 count: urlMessages.length,
-                percentage: ((urlMessages.length / messages.length) * 100).toFixed(1)
+                percentage: stats.round((urlMessages.length / messages.length) * 100)
             };
         });
 
-        return stats;
+        return urlStats;
     }
 
     /**
@@ -671,7 +791,7 @@ export class WhatsAppAnalytics {
         // Calculate percentages
         this.participants.forEach(p => {
             const totalMessages = this.userMessages.filter(m => m.sender === p).length;
-            patterns[p].percentage = ((patterns[p].totalConsecutiveMessages / totalMessages) * 100).toFixed(1);
+            patterns[p].percentage = stats.round((patterns[p].totalConsecutiveMessages / totalMessages) * 100);
             patterns[p].totalInstances = patterns[p].doubleTexts + patterns[p].tripleTexts + patterns[p].quadPlusTexts;
         });
 
@@ -680,7 +800,7 @@ export class WhatsAppAnalytics {
 
     getGhostPeriods() {
         const ghostPeriods = {};
-        const ghostThreshold = 24 * 60 * 60 * 1000; // 24 hours
+        const ghostThreshold = this.thresholds.ghostGap;
 
         this.participants.forEach(p => {
             ghostPeriods[p] = {
@@ -734,7 +854,7 @@ export class WhatsAppAnalytics {
 
     getConversationEnders() {
         const enders = {};
-        const conversationGap = 6 * 60 * 60 * 1000; // 6 hours defines conversation end
+        const { conversationGap } = this.thresholds; // Silence that defines a conversation end
 
         this.participants.forEach(p => {
             enders[p] = {
@@ -768,7 +888,7 @@ export class WhatsAppAnalytics {
         // Calculate percentages
         this.participants.forEach(p => {
             if (totalConversationEnds > 0) {
-                enders[p].percentage = ((enders[p].count / totalConversationEnds) * 100).toFixed(1);
+                enders[p].percentage = stats.round((enders[p].count / totalConversationEnds) * 100);
             }
         });
 
@@ -778,6 +898,285 @@ export class WhatsAppAnalytics {
         };
     }
 
+    /**
+     * MEMBERSHIP & CHURN
+     */
+
+    getMembershipMetrics() {
+        const members = this.getMembershipIntervals();
+        const names = Object.keys(members);
+
+        const lurkers = names.filter(name => members[name].isLurker);
+        const currentMembers = names.filter(name => members[name].isCurrentMember);
+        const formerMembers = names.filter(name => !members[name].isCurrentMember);
+
+        return {
+            hasMembershipEvents: this.getMembershipEvents().length > 0,
+            members,
+            headcount: this.getHeadcountTimeline(members),
+            churnByMonth: this.getChurnByMonth(),
+            lurkers,
+            currentMembers,
+            formerMembers,
+            totalMembers: names.length
+        };
+    }
+
+    getMembershipEvents() {
+        const joinTypes = [SYSTEM_EVENT_TYPES.ADDED, SYSTEM_EVENT_TYPES.JOINED_VIA_LINK];
+        const leaveTypes = [SYSTEM_EVENT_TYPES.LEFT, SYSTEM_EVENT_TYPES.REMOVED];
+
+        const events = [];
+        this.systemEvents.forEach(msg => {
+            const { type, targets } = msg.systemEvent;
+            const change = joinTypes.includes(type) ? 'join' : (leaveTypes.includes(type) ? 'leave' : null);
+            if (!change) return;
+
+            const month = `${msg.metadata.year}-${String(msg.metadata.month + 1).padStart(2, '0')}`;
+            targets.forEach(name => events.push({ name, change, type, date: msg.date, month }));
+        });
+
+        return events;
+    }
+
+    getMembershipIntervals() {
+        const chatStart = this.dateRange.start;
+        const chatEnd = this.dateRange.end;
+        const members = {};
+
+        const getMember = (name) => {
+            if (!members[name]) {
+                members[name] = { intervals: [], joins: [], leaves: [], openSince: undefined };
+            }
+            return members[name];
+        };
+
+        // Everyone who posted was present at some point
+        this.participants.forEach(p => getMember(p));
+
+        this.getMembershipEvents().forEach(({ name, change, date }) => {
+            const member = getMember(name);
+
+            if (change === 'join') {
+                member.joins.push(date);
+                if (!member.openSince) member.openSince = date;
+            } else {
+                member.leaves.push(date);
+                // A leave with no earlier join means they were here before the export starts
+                const start = member.openSince || (member.openSince === undefined ? chatStart : date);
+                member.intervals.push({ start, end: date });
+                member.openSince = null;
+            }
+        });
+
+        Object.values(members).forEach(member => {
+            // No events at all: assume present for the whole export
+            if (member.openSince === undefined) member.openSince = chatStart;
+            if (member.openSince) member.intervals.push({ start: member.openSince, end: chatEnd });
+            member.isCurrentMember = member.openSince !== null;
+            delete member.openSince;
+        });
+
+        // Message counts per member, split by whether they fell inside a membership interval
+        const messageCounts = {};
+        const presentCounts = {};
+        this.userMessages.forEach(msg => {
+            messageCounts[msg.sender] = (messageCounts[msg.sender] || 0) + 1;
+            const member = members[msg.sender];
+            if (member && member.intervals.some(i => msg.timestamp >= i.start && msg.timestamp <= i.end)) {
+                presentCounts[msg.sender] = (presentCounts[msg.sender] || 0) + 1;
+            }
+        });
+
+        Object.entries(members).forEach(([name, member]) => {
+            member.tenure = member.intervals.reduce((sum, i) => sum + (i.end - i.start), 0);
+            member.firstJoined = member.joins[0] || null;
+            member.lastLeft = member.leaves[member.leaves.length - 1] || null;
+            member.totalMessages = messageCounts[name] || 0;
+            member.messagesWhilePresent = presentCounts[name] || 0;
+            member.isLurker = member.totalMessages === 0;
+        });
+
+        return members;
+    }
+
+    getHeadcountTimeline(members) {
+        const changes = [];
+
+        Object.values(members).forEach(member => {
+            member.intervals.forEach(interval => {
+                changes.push({ time: interval.start.getTime(), delta: 1 });
+                // Members still present at the end never leave the timeline
+                if (interval.end < this.dateRange.end || !member.isCurrentMember) {
+                    changes.push({ time: interval.end.getTime(), delta: -1 });
+                }
+            });
+        });
+
+        // Apply joins before leaves that share a timestamp
+        changes.sort((a, b) => a.time - b.time || b.delta - a.delta);
+
+        const timeline = [];
+        let count = 0;
+        changes.forEach(({ time, delta }) => {
+            count += delta;
+            const last = timeline[timeline.length - 1];
+            if (last && last.date.getTime() === time) {
+                last.count = count;
+            } else {
+                timeline.push({ date: new Date(time), count });
+            }
+        });
+
+        return timeline;
+    }
+
+    getChurnByMonth() {
+        const byMonth = {};
+
+        this.getMembershipEvents().forEach(({ change, month }) => {
+            byMonth[month] = byMonth[month] || { joined: 0, left: 0 };
+            byMonth[month][change === 'join' ? 'joined' : 'left']++;
+        });
+
+        return Object.entries(byMonth)
+            .sort((a, b) => a[0].localeCompare(b[0]))
+            .map(([month, counts]) => ({ month, ...counts, net: counts.joined - counts.left }));
+    }
+
+    /**
+     * GROUP EVENTS
+     */
+
+    getGroupEvents() {
+        const byType = {};
+        const byActor = {};
+
+        const events = this.systemEvents.map(msg => {
+            const { type, actor, targets, details } = msg.systemEvent;
+
+            byType[type] = (byType[type] || 0) + 1;
+            if (actor) {
+                byActor[actor] = byActor[actor] || {};
+                byActor[actor][type] = (byActor[actor][type] || 0) + 1;
+            }
+
+            return { type, actor, targets, details, date: msg.date };
+        });
+
+        return {
+            total: events.length,
+            byType,
+            byActor,
+            events
+        };
+    }
+
+    /**
+     * PERSPECTIVE (ME VS THEM)
+     */
+
+    /**
+     * Metrics from the exporter's side: everyone else counts as "them"
+     * @returns {Object|null} null when no participant is marked as self
+     */
+    getPerspectiveMetrics() {
+        if (!this.self || this.participants.length < 2) return null;
+
+        const me = this.self;
+        const others = this.participants.filter(p => p !== me);
+        const { conversationGap, ghostGap: ghostThreshold } = this.thresholds;
+
+        const messages = { mine: 0, theirs: 0 };
+        const words = { mine: 0, theirs: 0 };
+        const replyTimes = { mine: [], theirs: [] };
+        const ghosts = { mine: 0, theirs: 0 };
+        const initiations = { mine: 0, theirs: 0 };
+        // Conversations each side opened that the other side never replied to
+        const unanswered = { mine: 0, theirs: 0 };
+        const unansweredOpeners = [];
+
+        let conversation = null;
+        const closeConversation = () => {
+            if (!conversation || conversation.answered) return;
+            unanswered[conversation.openedBy]++;
+            if (conversation.openedBy === 'mine') unansweredOpeners.push(conversation.opener);
+        };
+
+        this.userMessages.forEach((msg, i) => {
+            const side = msg.sender === me ? 'mine' : 'theirs';
+            const prevMsg = this.userMessages[i - 1];
+            const timeDiff = prevMsg ? msg.timestamp - prevMsg.timestamp : Infinity;
+
+            messages[side]++;
+            words[side] += msg.metadata.wordCount;
+
+            // A reply across sides (in groups, replies between two others don't count);
+            // timed like calculateResponseTimes(), so long silences count too
+            const isReply = prevMsg && (prevMsg.sender === me) !== (side === 'mine');
+            if (isReply) {
+                replyTimes[side].push(timeDiff);
+                if (timeDiff > ghostThreshold) ghosts[side]++;
+            }
+
+            if (timeDiff > conversationGap) {
+                closeConversation();
+                initiations[side]++;
+                conversation = { openedBy: side, opener: msg, answered: false };
+            } else if (isReply && side !== conversation.openedBy) {
+                conversation.answered = true;
+            }
+        });
+        closeConversation();
+
+        const doubleTexting = this.getDoubleTextingPatterns();
+        const doubleTexts = {
+            mine: doubleTexting[me].totalInstances,
+            // Per person, so a big group does not drown out one person
+            theirs: others.reduce((sum, p) => sum + doubleTexting[p].totalInstances, 0) / others.length
+        };
+
+        const share = (side, counts) => counts.mine + counts.theirs ? (counts[side] / (counts.mine + counts.theirs)) * 100 : 0;
+        const myEffort = stats.mean([share('mine', messages), share('mine', words), share('mine', initiations)]);
+        // In a group the fair share is one person's worth
+        const fairShare = 100 / this.participants.length;
+
+        return {
+            self: me,
+            others,
+            isGroup: others.length > 1,
+            messages,
+            words,
+            initiations,
+            replyTime: {
+                mine: replyTimes.mine.length ? stats.median(replyTimes.mine) : null,
+                theirs: replyTimes.theirs.length ? stats.median(replyTimes.theirs) : null
+            },
+            // Share of the conversations the other side opened that got an answer
+            reciprocity: {
+                mine: initiations.theirs ? ((initiations.theirs - unanswered.theirs) / initiations.theirs) * 100 : null,
+                theirs: initiations.mine ? ((initiations.mine - unanswered.mine) / initiations.mine) * 100 : null
+            },
+            effortBalance: {
+                myShare: myEffort,
+                fairShare,
+                // Above 1: I carry more than my share of the chat
+                ratio: myEffort / fairShare
+            },
+            ghosts,
+            doubleTexts,
+            // Conversations I opened that got no reply before the chat went quiet
+            unanswered: {
+                mine: unanswered.mine,
+                theirs: unanswered.theirs,
+                recent: unansweredOpeners.slice(-5).reverse().map(msg => ({
+                    date: msg.date,
+                    content: msg.content.length > 80 ? `${msg.content.slice(0, 80)}…` : msg.content
+                }))
+            }
+        };
+    }
+
     /**
      * COMPREHENSIVE SUMMARY
      */
@@ -789,12 +1188,15 @@ export class WhatsAppAnalytics {
                 userMessages: this.userMessages.length,
                 participants: this.participants,
                 dateRange: this.dateRange,
-                averageMessagesPerDay: (this.userMessages.length / this.dateRange.durationDays).toFixed(1)
+                averageMessagesPerDay: stats.round(this.userMessages.length / this.dateRange.durationDays)
             },
             messagingPatterns: this.getMessagingPatterns(),
             contentAnalysis: this.getContentAnalysis(),
             temporalPatterns: this.getTemporalPatterns(),
-            engagementMetrics: this.getEngagementMetrics()
+            engagementMetrics: this.getEngagementMetrics(),
+            membershipMetrics: this.getMembershipMetrics(),
+            perspective: this.getPerspectiveMetrics(),
+            groupEvents: this.getGroupEvents()
         };
     }
 }
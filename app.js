@@ -1,21 +1,61 @@
 // Main Application Orchestrator
 
-import parser from './parser.js';
-import WhatsAppAnalytics from './analytics.js';
+import parser, { PATTERN_LABELS, DATE_FORMATS } from './parser.js';
+import StreamingParser from './streamParser.js';
+import { CHAT_FORMATS, CHAT_FORMAT_LABELS, detectChatFormat, isMultiFileFormat, previewChatFile } from './chatFormats.js';
+import { SmsBackupParser } from './smsBackupParser.js';
+import { MediaLibrary } from './mediaLibrary.js';
+import WhatsAppAnalytics, { DEFAULT_THRESHOLDS } from './analytics.js';
 import ChartBuilder from './visualizations.js';
-import { formatters, formatNumber, exportUtils } from './utils.js';
+import { formatters, formatNumber, exportUtils, displaySettings, stats } from './utils.js';
+import { CALENDARS, CALENDAR_LABELS } from './calendars.js';
+import { LOCALE_PACKS } from './localePacks.js';
+import { formatUtcOffset } from './timezoneInference.js';
+import { applyAliases, getChatKey, loadAliases, saveAliases, suggestMerges } from './aliases.js';
+import { detectSelf, loadSelf, saveSelf } from './perspective.js';
+import { mergeMessages } from './chatMerge.js';
+import { compareChats } from './chatComparison.js';
+import { comparePeriods, presetRanges } from './periodComparison.js';
+import {
+    deleteChat, keepLibrarySession, listChats, loadChat, lockLibrary, openLibrary, saveChat, setLibraryPassphrase, unlockLibrary, wipeLibrary
+} from './chatLibrary.js';
+import { isVaultEnabled, isVaultIdle, isVaultLocked, touchVault } from './vault.js';
+import { applyTimeZone, formatTimeZoneOffset, getViewerTimeZone, listTimeZones } from './timezones.js';
+import { ENCODINGS, ENCODING_LABELS, detectBlobEncoding } from './textEncoding.js';
 import { initPdfExport } from './exportPdf.js';
 
+// Media tiles rendered per "Show more" click
+const GALLERY_PAGE_SIZE = 60;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How often to check whether the unlocked library has gone idle
+const IDLE_CHECK_INTERVAL_MS = 30 * 1000;
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
 class WhatsAppAnalyzerApp {
     constructor() {
         this.parsedData = null;
         this.originalParsedData = null; // Store original unfiltered data
-        this.originalRawText = null; // Store original raw text for re-parsing
         this.analytics = null;
+        this.streamingParser = new StreamingParser();
+        // Every chat loaded in this session:
+        // { name, parsedData, source, format, dateFormat, encoding, detectedEncoding, threadKey,
+        //   timeZone, displayTimeZone, merges, dateFilter, thresholds, libraryId, aliasKey, aliases, selfName }
+        // where merges are the exports added later: { name, source, format, encoding, threadKey,
+        //   added, duplicates, renamed }, and libraryId is set once the chat is saved to the library
+        this.chats = [];
+        this.activeChat = 0;
+        this.self = null; // { name, source } of the participant shown as "you"
+        this.comparison = null; // Indexes into this.chats shown side by side, while comparing
+        this.periods = null; // [rangeA, rangeB] of the chat on screen, while comparing periods
+        this.mediaLibrary = null; // Attachment files from a ZIP export
+        this.gallery = { sender: 'all', type: 'all', month: 'all', shown: GALLERY_PAGE_SIZE, observer: null };
         this.chartBuilder = new ChartBuilder();
         this.charts = {};
         this.dateFilter = {
-            startDate: null,
+            startDate: null, // 'YYYY-MM-DD' in the display time zone, inclusive
             endDate: null,
             isActive: false
         };
@@ -23,6 +63,7 @@ class WhatsAppAnalyzerApp {
         this.initializePrivacyModal();
         this.initializeEventListeners();
         this.initialize3DEffects();
+        this.initializeVault();
     }
 
     initializePrivacyModal() {
@@ -46,6 +87,145 @@ class WhatsAppAnalyzerApp {
         });
     }
 
+    /**
+     * Passphrase modals and the idle lock for an encrypted library (vault.js)
+     */
+    initializeVault() {
+        ['pointerdown', 'keydown', 'wheel', 'touchstart', 'mousemove'].forEach(type => {
+            document.addEventListener(type, () => touchVault(), { capture: true, passive: true });
+        });
+        // The kept key's idle timeout follows this page's activity, also across a reload
+        const keepSession = () => keepLibrarySession().catch(error => console.warn('Could not keep the library unlocked:', error));
+        setInterval(() => {
+            if (isVaultIdle()) this.lockSession();
+            else keepSession();
+        }, IDLE_CHECK_INTERVAL_MS);
+        window.addEventListener('pagehide', keepSession);
+
+        const unlockInput = document.getElementById('unlockPassphrase');
+        document.getElementById('unlockSubmit').addEventListener('click', () => this.submitUnlock());
+        unlockInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.submitUnlock();
+        });
+        document.getElementById('unlockSkip').addEventListener('click', () => {
+            document.getElementById('unlockModal').classList.add('hidden');
+        });
+        document.getElementById('unlockWipe').addEventListener('click', () => this.wipeSavedData());
+
+        document.getElementById('vaultBtn').addEventListener('click', () => this.showVaultModal());
+        document.getElementById('lockBtn').addEventListener('click', () => this.lockSession());
+        document.getElementById('vaultSave').addEventListener('click', () => this.submitPassphrase());
+        document.getElementById('vaultRemove').addEventListener('click', () => this.submitPassphrase(null));
+        document.getElementById('vaultCancel').addEventListener('click', () => {
+            document.getElementById('vaultModal').classList.add('hidden');
+        });
+
+        // An encrypted library starts locked unless this tab unlocked it earlier in the session
+        openLibrary()
+            .catch(error => console.warn('Chat library unavailable:', error))
+            .then(() => {
+                if (isVaultLocked()) this.showUnlockModal();
+                this.renderLibrary();
+            });
+    }
+
+    showUnlockModal() {
+        const input = document.getElementById('unlockPassphrase');
+        document.getElementById('unlockError').textContent = '';
+        input.value = '';
+        document.getElementById('unlockModal').classList.remove('hidden');
+        input.focus();
+    }
+
+    async submitUnlock() {
+        const input = document.getElementById('unlockPassphrase');
+        const submit = document.getElementById('unlockSubmit');
+        const error = document.getElementById('unlockError');
+        if (!input.value || submit.disabled) return;
+
+        // Deriving the key takes a moment on purpose
+        submit.disabled = true;
+        submit.textContent = 'Unlocking…';
+        try {
+            await unlockLibrary(input.value);
+            input.value = '';
+            document.getElementById('unlockModal').classList.add('hidden');
+            this.renderLibrary();
+        } catch (err) {
+            error.textContent = err.message;
+            input.select();
+        } finally {
+            submit.disabled = false;
+            submit.textContent = 'Unlock';
+        }
+    }
+
+    /**
+     * Lock the library and close whatever came out of it; chats on screen may be saved ones
+     */
+    lockSession() {
+        lockLibrary().catch(error => console.warn('Could not forget the library key:', error));
+        this.destroyAllCharts();
+        if (this.mediaLibrary) this.mediaLibrary.dispose();
+        this.mediaLibrary = null;
+        this.chats = [];
+        this.activeChat = 0;
+        this.comparison = null;
+        this.periods = null;
+        this.parsedData = null;
+        this.originalParsedData = null;
+        this.analytics = null;
+        this.showUploadView();
+        this.showUnlockModal();
+    }
+
+    showVaultModal() {
+        if (isVaultLocked()) {
+            this.showUnlockModal();
+            return;
+        }
+
+        const enabled = isVaultEnabled();
+        document.getElementById('vaultPassphrase').value = '';
+        document.getElementById('vaultConfirm').value = '';
+        document.getElementById('vaultError').textContent = '';
+        document.getElementById('vaultSave').textContent = enabled ? 'Change passphrase' : 'Set passphrase';
+        document.getElementById('vaultRemove').classList.toggle('hidden', !enabled);
+        document.getElementById('vaultModal').classList.remove('hidden');
+        document.getElementById('vaultPassphrase').focus();
+    }
+
+    /**
+     * Set or change the passphrase from the modal's inputs, or remove it with null
+     */
+    async submitPassphrase(passphrase = document.getElementById('vaultPassphrase').value) {
+        const error = document.getElementById('vaultError');
+        if (passphrase !== null) {
+            if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+                error.textContent = `Use at least ${MIN_PASSPHRASE_LENGTH} characters`;
+                return;
+            }
+            if (passphrase !== document.getElementById('vaultConfirm').value) {
+                error.textContent = 'The passphrases do not match';
+                return;
+            }
+        }
+
+        const buttons = ['vaultSave', 'vaultRemove', 'vaultCancel'].map(id => document.getElementById(id));
+        buttons.forEach(button => { button.disabled = true; });
+        error.textContent = passphrase === null ? 'Decrypting…' : 'Encrypting…';
+        try {
+            await setLibraryPassphrase(passphrase);
+            document.getElementById('vaultModal').classList.add('hidden');
+        } catch (err) {
+            console.error('Passphrase error:', err);
+            error.textContent = err.message;
+        } finally {
+            buttons.forEach(button => { button.disabled = false; });
+            this.renderLibrary();
+        }
+    }
+
     initialize3DEffects() {
         // Initialize Tilt on existing elements
         if (typeof VanillaTilt !== 'undefined') {
@@ -82,7 +262,7 @@ class WhatsAppAnalyzerApp {
                 dropZone.classList.remove('drag-over');
                 const files = e.dataTransfer.files;
                 if (files.length > 0) {
-                    this.processFile(files[0]);
+                    this.processFiles(Array.from(files));
                     // Reset input so same file can be uploaded again
                     if (fileInput) fileInput.value = '';
                 }
@@ -106,119 +286,1506 @@ class WhatsAppAnalyzerApp {
         if (resetFilterBtn) {
             resetFilterBtn.addEventListener('click', () => this.resetDateFilter());
         }
+
+        const calendarToggle = document.getElementById('calendarToggle');
+        if (calendarToggle) {
+            calendarToggle.addEventListener('change', () => this.setDisplayCalendar(calendarToggle.checked));
+        }
+
+        const dateFormatSelect = document.getElementById('dateFormatSelect');
+        if (dateFormatSelect) {
+            dateFormatSelect.addEventListener('change', () => {
+                this.reparseActiveChat({ dateFormat: dateFormatSelect.value === 'auto' ? null : dateFormatSelect.value });
+            });
+        }
+
+        const encodingSelect = document.getElementById('encodingSelect');
+        if (encodingSelect) {
+            encodingSelect.addEventListener('change', () => {
+                const chat = this.chats[this.activeChat];
+                const value = encodingSelect.value;
+                this.reparseActiveChat({ encoding: value === 'auto' ? chat.detectedEncoding.encoding : value });
+            });
+        }
+
+        const exportTimeZoneSelect = document.getElementById('exportTimeZoneSelect');
+        if (exportTimeZoneSelect) {
+            exportTimeZoneSelect.addEventListener('change', () => {
+                this.reparseActiveChat({ timeZone: exportTimeZoneSelect.value });
+            });
+        }
+
+        const displayTimeZoneSelect = document.getElementById('displayTimeZoneSelect');
+        if (displayTimeZoneSelect) {
+            displayTimeZoneSelect.addEventListener('change', () => {
+                this.setDisplayTimeZone(displayTimeZoneSelect.value === 'export' ? null : displayTimeZoneSelect.value);
+            });
+        }
+
+        const aliasEditorBtn = document.getElementById('aliasEditorBtn');
+        if (aliasEditorBtn) {
+            aliasEditorBtn.addEventListener('click', () => this.openAliasEditor());
+        }
+
+        const addExportBtn = document.getElementById('addExportBtn');
+        const addExportInput = document.getElementById('addExportInput');
+        if (addExportBtn && addExportInput) {
+            addExportBtn.addEventListener('click', () => addExportInput.click());
+            addExportInput.addEventListener('change', async () => {
+                const files = Array.from(addExportInput.files);
+                if (files.length > 0) await this.addExports(files);
+                addExportInput.value = '';
+            });
+        }
+
+        ['conversationGapInput', 'ghostGapInput', 'minResponsesInput'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.addEventListener('change', () => this.setThresholds());
+        });
+
+        const resetThresholdsBtn = document.getElementById('resetThresholds');
+        if (resetThresholdsBtn) {
+            resetThresholdsBtn.addEventListener('click', () => this.setThresholds({}));
+        }
+
+        const saveChatBtn = document.getElementById('saveChatBtn');
+        if (saveChatBtn) {
+            saveChatBtn.addEventListener('click', () => this.saveActiveChat());
+        }
+
+        const libraryBtn = document.getElementById('libraryBtn');
+        if (libraryBtn) {
+            libraryBtn.addEventListener('click', () => this.showUploadView());
+        }
+
+        const periodPreset = document.getElementById('periodPreset');
+        if (periodPreset) {
+            periodPreset.addEventListener('change', () => this.applyPeriodPreset());
+            document.getElementById('periodSplitDate').addEventListener('change', () => this.applyPeriodPreset());
+            // Editing a range by hand makes it a custom one
+            ['periodAStart', 'periodAEnd', 'periodBStart', 'periodBEnd'].forEach(id => {
+                document.getElementById(id).addEventListener('input', () => {
+                    periodPreset.value = 'custom';
+                    document.getElementById('periodSplitDate').classList.add('hidden');
+                });
+            });
+        }
+
+        const comparePeriodsBtn = document.getElementById('comparePeriods');
+        if (comparePeriodsBtn) {
+            comparePeriodsBtn.addEventListener('click', () => this.startPeriodComparison());
+        }
+
+        const closePeriodsBtn = document.getElementById('closePeriods');
+        if (closePeriodsBtn) {
+            closePeriodsBtn.addEventListener('click', () => {
+                this.periods = null;
+                this.renderPeriodComparison();
+            });
+        }
+
+        const compareBtn = document.getElementById('compareBtn');
+        if (compareBtn) {
+            compareBtn.addEventListener('click', () => this.startComparison());
+        }
+
+        const closeComparisonBtn = document.getElementById('closeComparison');
+        if (closeComparisonBtn) {
+            closeComparisonBtn.addEventListener('click', () => this.closeComparison());
+        }
+
+        // The library sits inside the drop zone; its buttons must not open the file picker
+        const chatLibrary = document.getElementById('chatLibrary');
+        if (chatLibrary) {
+            chatLibrary.addEventListener('click', (e) => e.stopPropagation());
+        }
+
+        const wipeLibraryBtn = document.getElementById('wipeLibraryBtn');
+        if (wipeLibraryBtn) {
+            wipeLibraryBtn.addEventListener('click', () => this.wipeSavedData());
+        }
+
+        const perspectiveSelect = document.getElementById('perspectiveSelect');
+        if (perspectiveSelect) {
+            perspectiveSelect.addEventListener('change', () => {
+                const { value } = perspectiveSelect;
+                const name = value === 'auto' ? null
+                    : value === 'none' ? ''
+                        : this.originalParsedData.participants[Number(value)];
+                this.setSelf(name);
+            });
+        }
+
+        const chatSwitcher = document.getElementById('chatSwitcher');
+        if (chatSwitcher) {
+            chatSwitcher.addEventListener('change', () => this.showChat(Number(chatSwitcher.value)));
+        }
+
+        // Media gallery filters
+        Object.entries({ gallerySender: 'sender', galleryType: 'type', galleryMonth: 'month' }).forEach(([id, key]) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            select.addEventListener('change', () => {
+                this.gallery[key] = select.value;
+                this.gallery.shown = GALLERY_PAGE_SIZE;
+                this.renderGalleryItems();
+            });
+        });
+
+        const galleryMoreBtn = document.getElementById('galleryMore');
+        if (galleryMoreBtn) {
+            galleryMoreBtn.addEventListener('click', () => {
+                this.gallery.shown += GALLERY_PAGE_SIZE;
+                this.renderGalleryItems();
+            });
+        }
+
+        // Cancel a long-running parse from the loader
+        const cancelParseBtn = document.getElementById('cancelParse');
+        if (cancelParseBtn) {
+            cancelParseBtn.addEventListener('click', () => this.streamingParser.cancel());
+        }
+    }
+
+    async handleFileSelect(event) {
+        const files = Array.from(event.target.files);
+        if (files.length > 0) {
+            await this.processFiles(files);
+            // RESET value so the same file fails can be retried or same file can be uploaded again if needed
+            event.target.value = '';
+        }
+    }
+
+    async processFile(file) {
+        return this.processFiles([file]);
+    }
+
+    async processFiles(files) {
+        // Show loading state
+        this.showLoading({ cancellable: true });
+
+        try {
+            const { chats, media = null } = await this.resolveChatSources(files);
+            const loaded = [];
+
+            for (const [index, chat] of chats.entries()) {
+                const parsedData = await this.parseChatSource(
+                    chat,
+                    (percent) => this.updateLoadingProgress((index * 100 + percent) / chats.length),
+                    { encoding: chat.encoding.encoding },
+                    media
+                );
+
+                // Keep the source so the chat can be re-parsed with another date format or encoding
+                loaded.push({
+                    name: chat.name || parsedData.chatName || null,
+                    parsedData,
+                    source: chat.source,
+                    format: chat.format,
+                    dateFormat: null,
+                    encoding: chat.encoding.encoding,
+                    detectedEncoding: chat.encoding,
+                    threadKey: parsedData.threadKey || null,
+                    timeZone: null,
+                    displayTimeZone: null,
+                    merges: [],
+                    dateFilter: { startDate: null, endDate: null, isActive: false },
+                    thresholds: {},
+                    libraryId: null,
+                    ...this.loadChatPreferences(parsedData)
+                });
+            }
+
+            this.openChats(loaded, media);
+            console.log('Analysis Complete');
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('Processing cancelled');
+                return;
+            }
+            console.error('Processing error:', error);
+            this.showError(`Error processing file: ${error.message}`);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Replace the session's chats and show the first on the dashboard
+     * @param {Object[]} chats - Chat entries
+     * @param {MediaLibrary|null} media - Attachments of the export, if any
+     */
+    openChats(chats, media = null) {
+        if (this.mediaLibrary) this.mediaLibrary.dispose();
+        this.mediaLibrary = media;
+        this.chats = chats;
+        this.comparison = null;
+        this.periods = null;
+        this.renderChatSwitcher();
+        this.showChat(0);
+
+        // Hide upload section, show results
+        const dropZone = document.getElementById('dropZone');
+        const results = document.getElementById('resultsSection');
+
+        if (dropZone) dropZone.classList.add('hidden');
+        if (results) results.classList.remove('hidden');
+
+        initPdfExport();
+    }
+
+    /**
+     * Back to the upload portal and the chat library; the dashboard keeps its chats
+     */
+    showUploadView() {
+        const dropZone = document.getElementById('dropZone');
+        const results = document.getElementById('resultsSection');
+
+        if (results) results.classList.add('hidden');
+        if (dropZone) dropZone.classList.remove('hidden');
+        this.renderLibrary();
+    }
+
+    /**
+     * Parse one chat source in the worker, so large exports don't freeze the page
+     * @param {Object} chat - { source, format, name } from resolveChatSources()
+     * @param {Function} onProgress - Called with 0-100
+     * @param {Object} settings - { encoding, dateFormat, timeZone } for the parser
+     * @param {MediaLibrary|null} media - Attachments to link the messages to
+     * @param {string} [threadKey] - SMS conversation to select without asking
+     */
+    async parseChatSource(chat, onProgress, settings, media, threadKey = null) {
+        let parsedData = await this.streamingParser.parse(chat.source, onProgress, { format: chat.format, ...settings });
+
+        // SMS backups hold every conversation on the phone; analyse one
+        if (parsedData.threads) {
+            parsedData = await this.pickThread(parsedData, threadKey);
+        }
+
+        if (!parsedData.messages || parsedData.messages.length === 0) {
+            throw new Error(`No messages found in ${chat.name || 'the file'}. ${this.describeUnparsedFile(parsedData.diagnostics)}`);
+        }
+
+        // Point attachment references at the real files before anything reads the messages
+        if (media) media.linkMessages(parsedData.messages);
+        return parsedData;
+    }
+
+    /**
+     * Explain an empty parse using the parser diagnostics
+     */
+    describeUnparsedFile(diagnostics) {
+        if (!diagnostics || diagnostics.totalLines === diagnostics.blankLines) {
+            return 'Please check the file format.';
+        }
+
+        const first = diagnostics.orphanLines.lines[0];
+        const sample = first ? ` Line ${first.lineNumber}: "${first.text.slice(0, 60)}"` : '';
+        return `${formatNumber(diagnostics.totalLines - diagnostics.blankLines)} lines were read but none matched a known chat format.${sample}`;
+    }
+
+    /**
+     * Make one of the loaded chats the one on screen
+     * @param {number} index - Position in this.chats
+     */
+    showChat(index) {
+        const chat = this.chats[index];
+        const { displayTimeZone } = chat;
+        const parsedData = this.getAliasedData(chat);
+        // Re-shown after a settings change, the chat keeps its period comparison
+        if (index !== this.activeChat) this.periods = null;
+        this.activeChat = index;
+        this.self = this.resolveSelf(chat, parsedData);
+
+        // Destroy old charts to prevent memory leaks and growth
+        this.destroyAllCharts();
+
+        this.gallery.sender = 'all';
+        this.gallery.type = 'all';
+        this.gallery.month = 'all';
+
+        // Dates show in Gregorian unless the user opts into the export's calendar
+        displaySettings.calendar = CALENDARS.GREGORIAN;
+
+        // Bucket hours and days in the zone picked for display, else the export's own
+        const timeZone = displayTimeZone || parsedData.timeZone || getViewerTimeZone();
+        applyTimeZone(parsedData.messages, timeZone);
+        displaySettings.timeZone = timeZone;
+
+        this.parsedData = parsedData;
+        // Only applyTimeZone() touches messages, so a shallow copy is enough to restore from
+        this.originalParsedData = { ...parsedData, messages: [...parsedData.messages] };
+        this.dateFilter = { ...chat.dateFilter };
+
+        // Initialize date filter inputs with data range, then the chat's own filter
+        this.initializeDateFilterInputs();
+        this.initializePeriodInputs();
+        if (this.dateFilter.isActive) {
+            document.getElementById('startDate').value = this.dateFilter.startDate;
+            document.getElementById('endDate').value = this.dateFilter.endDate;
+            this.applyFilterToData();
+        }
+
+        // Create analytics
+        this.analytics = this.createAnalytics();
+
+        // Render all analytics
+        this.renderAnalytics();
+        this.renderPerspectiveControl();
+        this.renderDateFormatControl();
+        this.renderEncodingControl();
+        this.renderTimeZoneControl();
+        this.renderCalendarToggle();
+        this.renderThresholdControl();
+        this.renderMergeReport();
+        this.renderSaveButton();
+    }
+
+    /**
+     * Aliases and perspective saved for this chat on an earlier visit
+     * @returns {Object} { aliasKey, aliases, selfName }
+     */
+    loadChatPreferences(parsedData) {
+        const aliasKey = getChatKey(parsedData.messages);
+        return { aliasKey, aliases: loadAliases(aliasKey), selfName: loadSelf(aliasKey) };
+    }
+
+    /**
+     * Who "me" is for the chat on screen: the user's pick, else detected
+     * @returns {Object|null} { name, source: 'user' | 'label' | 'deleted' }
+     */
+    resolveSelf(chat, parsedData) {
+        if (chat.selfName === '') return null; // Picked "nobody"
+        if (chat.selfName && parsedData.participants.includes(chat.selfName)) {
+            return { name: chat.selfName, source: 'user' };
+        }
+        return detectSelf(parsedData.messages, parsedData.participants, parsedData.diagnostics ? parsedData.diagnostics.locale : null);
+    }
+
+    /**
+     * Analytics for this.parsedData from the current perspective
+     */
+    createAnalytics() {
+        return new WhatsAppAnalytics(this.parsedData, {
+            self: this.self ? this.self.name : null,
+            thresholds: this.chats[this.activeChat].thresholds
+        });
+    }
+
+    /**
+     * Pick the participant the dashboard is told from
+     * @param {string|null} name - Participant, '' for nobody, null for auto-detect
+     */
+    setSelf(name) {
+        const chat = this.chats[this.activeChat];
+        chat.selfName = name;
+        saveSelf(chat.aliasKey, name);
+        this.self = this.resolveSelf(chat, this.originalParsedData);
+
+        this.destroyAllCharts();
+        this.analytics = this.createAnalytics();
+        this.renderAnalytics();
+        this.renderPerspectiveControl();
+        this.updateSavedChat();
+    }
+
+    /**
+     * Show who the dashboard treats as "me" and how that was decided
+     */
+    renderPerspectiveControl() {
+        const select = document.getElementById('perspectiveSelect');
+        const status = document.getElementById('perspectiveStatus');
+        if (!select) return;
+
+        const chat = this.chats[this.activeChat];
+        const { participants } = this.originalParsedData;
+        const { diagnostics } = this.originalParsedData;
+        const detected = detectSelf(this.originalParsedData.messages, participants, diagnostics ? diagnostics.locale : null);
+
+        select.innerHTML = '';
+        const options = [
+            ['auto', detected ? `Auto (${detected.name})` : 'Auto (not detected)'],
+            ['none', 'Nobody (neutral)'],
+            ...participants.map((name, index) => [String(index), name])
+        ];
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label; // Names come straight from the user's file
+            select.appendChild(option);
+        });
+
+        const picked = participants.indexOf(chat.selfName);
+        select.value = chat.selfName === '' ? 'none' : picked >= 0 ? String(picked) : 'auto';
+
+        if (status) {
+            const sources = {
+                user: 'Picked by you',
+                label: 'From "You" labels',
+                deleted: 'From "You deleted this message"'
+            };
+            status.textContent = this.self ? sources[this.self.source] : chat.selfName === '' ? '' : 'Pick yourself to see me-vs-them metrics';
+        }
+    }
+
+    /**
+     * The chat's parsed data with merged/renamed participants applied
+     */
+    getAliasedData(chat) {
+        const messages = applyAliases(chat.parsedData.messages, chat.aliases);
+        if (messages === chat.parsedData.messages) return chat.parsedData;
+        return { ...chat.parsedData, ...parser.fromMessages(messages) };
+    }
+
+    /**
+     * Open the alias editor for the chat on screen
+     */
+    openAliasEditor() {
+        const chat = this.chats[this.activeChat];
+        if (!chat) return;
+
+        const modal = document.getElementById('aliasModal');
+        const list = document.getElementById('aliasList');
+        const suggestionsEl = document.getElementById('aliasSuggestions');
+        const namesEl = document.getElementById('aliasNames');
+
+        const counts = {};
+        chat.parsedData.messages.forEach(msg => {
+            if (!msg.isSystem) counts[msg.sender] = (counts[msg.sender] || 0) + 1;
+        });
+        const rawNames = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+
+        // One "Show as" input per raw sender name
+        const inputs = {};
+        list.innerHTML = '';
+        rawNames.forEach(name => {
+            const row = document.createElement('div');
+            row.className = 'choice-item alias-row';
+            row.innerHTML = `<span><span class="choice-label"></span><br><span class="choice-detail"></span></span>`;
+            // textContent/value: names come straight from the user's file
+            row.querySelector('.choice-label').textContent = name;
+            row.querySelector('.choice-detail').textContent = `${formatNumber(counts[name])} messages`;
+
+            const input = document.createElement('input');
+            input.className = 'chat-switcher';
+            input.setAttribute('list', 'aliasNames');
+            input.placeholder = 'Show as';
+            input.value = chat.aliases[name] || name;
+            row.appendChild(input);
+
+            inputs[name] = input;
+            list.appendChild(row);
+        });
+
+        const refreshNames = () => {
+            const shown = new Set(Object.values(inputs).map(input => input.value.trim()).filter(Boolean));
+            namesEl.innerHTML = '';
+            shown.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                namesEl.appendChild(option);
+            });
+        };
+
+        const renderSuggestions = () => {
+            suggestionsEl.innerHTML = '';
+            suggestMerges(chat.parsedData.messages)
+                .filter(({ from, into }) => inputs[from].value.trim() !== inputs[into].value.trim())
+                .slice(0, 5)
+                .forEach(({ from, into, reason }) => {
+                    const row = document.createElement('div');
+                    row.className = 'alias-suggestion';
+                    row.innerHTML = `<span></span><button class="btn-filter">MERGE</button>`;
+                    row.querySelector('span').textContent = `${from} → ${inputs[into].value.trim() || into} · ${reason}`;
+                    row.querySelector('button').addEventListener('click', () => {
+                        inputs[from].value = inputs[into].value.trim() || into;
+                        refreshNames();
+                        renderSuggestions();
+                    });
+                    suggestionsEl.appendChild(row);
+                });
+        };
+
+        Object.values(inputs).forEach(input => input.addEventListener('change', () => {
+            refreshNames();
+            renderSuggestions();
+        }));
+        refreshNames();
+        renderSuggestions();
+
+        const close = () => {
+            modal.classList.add('hidden');
+            ['aliasSave', 'aliasReset', 'aliasCancel'].forEach(id => {
+                document.getElementById(id).onclick = null;
+            });
+        };
+
+        document.getElementById('aliasCancel').onclick = close;
+        document.getElementById('aliasReset').onclick = () => {
+            rawNames.forEach(name => { inputs[name].value = name; });
+            refreshNames();
+            renderSuggestions();
+        };
+        document.getElementById('aliasSave').onclick = () => {
+            const aliases = {};
+            rawNames.forEach(name => {
+                const shownAs = inputs[name].value.trim();
+                if (shownAs && shownAs !== name) aliases[name] = shownAs;
+            });
+            chat.aliases = aliases;
+            saveAliases(chat.aliasKey, aliases);
+            close();
+
+            // Re-run the analytics with the merged identities
+            this.showChat(this.activeChat);
+            this.updateSavedChat();
+        };
+
+        modal.classList.remove('hidden');
+    }
+
+    /**
+     * Show the zone the export was read in and the zone the dashboard shows it in
+     */
+    renderTimeZoneControl() {
+        const exportSelect = document.getElementById('exportTimeZoneSelect');
+        const displaySelect = document.getElementById('displayTimeZoneSelect');
+        const status = document.getElementById('timeZoneStatus');
+        if (!exportSelect || !displaySelect) return;
+
+        const chat = this.chats[this.activeChat];
+        // JSON/XML exports carry absolute times, so only WhatsApp text has an export zone
+        const exportZone = chat.parsedData.timeZone || null;
+        const zones = listTimeZones();
+        const zoneOption = (zone, label = zone.replace(/_/g, ' ')) => `<option value="${zone}">${label}</option>`;
+
+        exportSelect.style.display = exportZone ? '' : 'none';
+        if (exportZone) {
+            exportSelect.innerHTML = zones.map(zone => zoneOption(zone)).join('');
+            exportSelect.value = exportZone;
+        }
+
+        const ownZone = exportZone || getViewerTimeZone();
+        displaySelect.innerHTML = zoneOption('export', `${exportZone ? 'Export zone' : 'This device'} (${ownZone.replace(/_/g, ' ')})`) +
+            zones.map(zone => zoneOption(zone)).join('');
+        displaySelect.value = chat.displayTimeZone || 'export';
+
+        if (status) {
+            const lastMessage = chat.parsedData.messages[chat.parsedData.messages.length - 1];
+            status.textContent = formatTimeZoneOffset(displaySettings.timeZone, lastMessage ? lastMessage.timestamp : new Date());
+        }
+    }
+
+    /**
+     * Re-project the chat on screen into another zone; no re-parse needed
+     * @param {string|null} timeZone - IANA zone, or null for the export's own
+     */
+    setDisplayTimeZone(timeZone) {
+        const chat = this.chats[this.activeChat];
+        chat.displayTimeZone = timeZone;
+
+        const zone = timeZone || chat.parsedData.timeZone || getViewerTimeZone();
+        applyTimeZone(this.originalParsedData.messages, zone);
+        displaySettings.timeZone = zone;
+
+        // Date keys moved with the zone, so re-run the filter on them
+        this.applyFilterToData();
+        const { startDate, endDate, isActive } = this.dateFilter;
+        this.initializeDateFilterInputs();
+        if (isActive) {
+            document.getElementById('startDate').value = startDate;
+            document.getElementById('endDate').value = endDate;
+        }
+
+        this.destroyAllCharts();
+        this.analytics = this.createAnalytics();
+        this.renderAnalytics();
+        this.renderTimeZoneControl();
+        this.updateSavedChat();
+    }
+
+    /**
+     * Offer the export's own calendar (Jalali, Buddhist era) for displayed dates
+     */
+    renderCalendarToggle() {
+        const control = document.getElementById('calendarControl');
+        const toggle = document.getElementById('calendarToggle');
+        const label = document.getElementById('calendarLabel');
+        if (!control || !toggle) return;
+
+        const calendar = this.parsedData.calendar || CALENDARS.GREGORIAN;
+        control.classList.toggle('hidden', calendar === CALENDARS.GREGORIAN);
+        toggle.checked = displaySettings.calendar === calendar;
+        if (label) label.textContent = `Show dates in ${CALENDAR_LABELS[calendar]}`;
+    }
+
+    setDisplayCalendar(useOriginal) {
+        displaySettings.calendar = useOriginal ? this.parsedData.calendar : CALENDARS.GREGORIAN;
+
+        // Re-render so every formatted date picks up the calendar
+        this.destroyAllCharts();
+        this.renderAnalytics();
+    }
+
+    /**
+     * Show the date format in use and the override selector (line-based exports only)
+     */
+    renderDateFormatControl() {
+        const control = document.getElementById('dateFormatControl');
+        const select = document.getElementById('dateFormatSelect');
+        const status = document.getElementById('dateFormatStatus');
+        if (!control || !select) return;
+
+        const chat = this.chats[this.activeChat];
+        const diagnostics = chat.parsedData.diagnostics;
+        control.classList.toggle('hidden', !diagnostics);
+        if (!diagnostics) return;
+
+        select.innerHTML = ['auto', ...DATE_FORMATS]
+            .map(format => `<option value="${format}">${format === 'auto' ? `Auto (${diagnostics.inferredDateFormat})` : format}</option>`)
+            .join('');
+        select.value = chat.dateFormat || 'auto';
+
+        if (status) {
+            status.textContent = diagnostics.dateFormatOverridden
+                ? `Overridden · inferred ${diagnostics.inferredDateFormat}`
+                : `Inferred${diagnostics.dateFormatAmbiguous ? ' · ambiguous, check dates' : ''}`;
+        }
+    }
+
+    /**
+     * Show the encoding in use and the override selector
+     */
+    renderEncodingControl() {
+        const select = document.getElementById('encodingSelect');
+        const status = document.getElementById('encodingStatus');
+        if (!select) return;
+
+        const chat = this.chats[this.activeChat];
+        const detected = chat.detectedEncoding;
+
+        select.innerHTML = ['auto', ...ENCODINGS]
+            .map(encoding => `<option value="${encoding}">${encoding === 'auto' ? `Auto (${ENCODING_LABELS[detected.encoding]})` : ENCODING_LABELS[encoding]}</option>`)
+            .join('');
+        select.value = chat.encoding === detected.encoding ? 'auto' : chat.encoding;
+
+        if (status) {
+            status.textContent = chat.encoding !== detected.encoding
+                ? `Overridden · detected ${ENCODING_LABELS[detected.encoding]}`
+                : detected.source === 'bom' ? 'From byte order mark' : 'Guessed from content';
+        }
+    }
+
+    /**
+     * Re-parse the chat on screen with different settings
+     * @param {Object} changes - { dateFormat } (null to infer), { encoding } and/or { timeZone }
+     */
+    async reparseActiveChat(changes) {
+        const chat = this.chats[this.activeChat];
+        if (!chat || !chat.source) return;
+
+        const settings = { dateFormat: chat.dateFormat, encoding: chat.encoding, timeZone: chat.timeZone, ...changes };
+        this.showLoading({ cancellable: true });
+
+        try {
+            const sourceCount = chat.merges.length + 1;
+            // Stay on the SMS conversation that was picked the first time
+            let parsedData = await this.parseChatSource(
+                chat,
+                (percent) => this.updateLoadingProgress(percent / sourceCount),
+                settings,
+                this.mediaLibrary,
+                chat.threadKey
+            );
+
+            // Added exports keep their own date format and encoding; the time zone applies to all
+            for (const [index, merge] of chat.merges.entries()) {
+                const addedData = await this.parseChatSource(
+                    merge,
+                    (percent) => this.updateLoadingProgress(((index + 1) * 100 + percent) / sourceCount),
+                    { encoding: merge.encoding, timeZone: settings.timeZone },
+                    this.mediaLibrary,
+                    merge.threadKey
+                );
+                parsedData = this.mergeExport(parsedData, addedData, merge);
+            }
+
+            Object.assign(chat, settings, { parsedData });
+            this.showChat(this.activeChat);
+            this.updateSavedChat();
+        } catch (error) {
+            // Put the selectors back to the settings still on screen
+            this.renderDateFormatControl();
+            this.renderEncodingControl();
+            this.renderTimeZoneControl();
+            if (error.name === 'AbortError') return;
+            console.error('Re-parse error:', error);
+            this.showError(`Error re-parsing file: ${error.message}`);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Merge more exports of the chat on screen into its timeline
+     * @param {File[]} files - Export(s) picked with "Add export"
+     */
+    async addExports(files) {
+        const chat = this.chats[this.activeChat];
+        if (!chat) return;
+
+        this.showLoading({ cancellable: true });
+
+        try {
+            const { chats: sources, media = null } = await this.resolveChatSources(files);
+            const mismatch = sources.find(source => source.format !== chat.format);
+            if (mismatch) {
+                throw new Error(`Only ${CHAT_FORMAT_LABELS[chat.format]} exports can be merged into this chat.`);
+            }
+
+            // Attachments of an added ZIP are only used when the session has none yet
+            if (media && !this.mediaLibrary) {
+                this.mediaLibrary = media;
+                media.linkMessages(chat.parsedData.messages);
+            } else if (media) {
+                media.dispose();
+            }
+
+            let { parsedData } = chat;
+            const merges = [];
+            for (const [index, source] of sources.entries()) {
+                const addedData = await this.parseChatSource(
+                    source,
+                    (percent) => this.updateLoadingProgress((index * 100 + percent) / sources.length),
+                    { encoding: source.encoding.encoding, timeZone: chat.timeZone },
+                    this.mediaLibrary
+                );
+
+                const merge = {
+                    name: source.name || files[0].name,
+                    source: source.source,
+                    format: source.format,
+                    encoding: source.encoding.encoding,
+                    threadKey: addedData.threadKey || null
+                };
+                parsedData = this.mergeExport(parsedData, addedData, merge);
+                merges.push(merge);
+            }
+
+            chat.parsedData = parsedData;
+            chat.merges.push(...merges);
+            this.showChat(this.activeChat);
+            this.updateSavedChat();
+
+            const added = merges.reduce((sum, merge) => sum + merge.added, 0);
+            const status = document.getElementById('mergeStatus');
+            if (status) {
+                status.textContent = `+${formatNumber(added)} new message${added === 1 ? '' : 's'} from ${merges.length} file${merges.length === 1 ? '' : 's'}`;
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Merge error:', error);
+            this.showError(`Error adding export: ${error.message}`);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Merge one parsed export into a chat's data, recording what it added on `merge`
+     * @returns {Object} The merged parsed data
+     */
+    mergeExport(parsedData, addedData, merge) {
+        const { messages, added, duplicates, renamed } = mergeMessages(parsedData.messages, addedData.messages);
+        Object.assign(merge, { added, duplicates, renamed });
+        if (messages === parsedData.messages) return parsedData;
+        return { ...parsedData, ...parser.fromMessages(messages) };
+    }
+
+    /**
+     * List the exports merged into the chat on screen and what each one added
+     */
+    renderMergeReport() {
+        const container = document.getElementById('mergeReport');
+        if (!container) return;
+
+        const chat = this.chats[this.activeChat];
+        const panel = container.closest('.glass-panel');
+        if (panel) {
+            panel.style.display = chat.merges.length ? '' : 'none';
+        }
+        const status = document.getElementById('mergeStatus');
+        if (status) status.textContent = '';
+        if (!chat.merges.length) return;
+
+        const fromMerges = chat.merges.reduce((sum, merge) => sum + merge.added, 0);
+        const rows = [
+            { name: chat.name || 'First export', added: chat.parsedData.messages.length - fromMerges, duplicates: null, renamed: {} },
+            ...chat.merges
+        ];
+
+        container.innerHTML = `
+            <table class="member-table">
+                <thead><tr><th>Export</th><th>Added</th><th>Duplicates</th><th>Senders matched</th></tr></thead>
+                <tbody>${rows.map(row => `
+                    <tr>
+                        <td class="merge-name"></td>
+                        <td>${formatNumber(row.added)}</td>
+                        <td>${row.duplicates === null ? '-' : formatNumber(row.duplicates)}</td>
+                        <td class="merge-renamed"></td>
+                    </tr>
+                `).join('')}</tbody>
+            </table>
+        `;
+
+        // File and sender names come straight from the user's files
+        container.querySelectorAll('tbody tr').forEach((tr, index) => {
+            const { name, renamed } = rows[index];
+            tr.querySelector('.merge-name').textContent = name;
+            tr.querySelector('.merge-renamed').textContent = Object.entries(renamed)
+                .map(([from, to]) => `${from} → ${to}`)
+                .join(', ');
+        });
+    }
+
+    /**
+     * Show the thresholds the chat on screen is analysed with
+     */
+    renderThresholdControl() {
+        const thresholds = { ...DEFAULT_THRESHOLDS, ...this.chats[this.activeChat].thresholds };
+        const values = {
+            conversationGapInput: thresholds.conversationGap / HOUR_MS,
+            ghostGapInput: thresholds.ghostGap / HOUR_MS,
+            minResponsesInput: thresholds.minResponses
+        };
+        Object.entries(values).forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value;
+        });
+    }
+
+    /**
+     * Thresholds typed into the inputs, as overrides of DEFAULT_THRESHOLDS
+     * @returns {Object|null} null when a value is out of range
+     */
+    readThresholdInputs() {
+        const value = (id) => Number(document.getElementById(id).value);
+        const thresholds = {
+            conversationGap: value('conversationGapInput') * HOUR_MS,
+            ghostGap: value('ghostGapInput') * HOUR_MS,
+            minResponses: value('minResponsesInput')
+        };
+        if (!(thresholds.conversationGap > 0) || !(thresholds.ghostGap > 0) ||
+            !Number.isInteger(thresholds.minResponses) || thresholds.minResponses < 1) {
+            return null;
+        }
+
+        // Keep only what differs, so the chat follows any later change of the defaults
+        return Object.fromEntries(Object.entries(thresholds).filter(([key, v]) => v !== DEFAULT_THRESHOLDS[key]));
+    }
+
+    /**
+     * Re-run the analytics of the chat on screen with other thresholds
+     * @param {Object} [thresholds] - Overrides of DEFAULT_THRESHOLDS; read from the inputs when omitted
+     */
+    setThresholds(thresholds = this.readThresholdInputs()) {
+        if (!thresholds) {
+            this.showError('Gaps must be more than 0 hours and replies a whole number of at least 1');
+            this.renderThresholdControl();
+            return;
+        }
+
+        this.chats[this.activeChat].thresholds = thresholds;
+        this.destroyAllCharts();
+        this.analytics = this.createAnalytics();
+        this.renderAnalytics();
+        this.renderThresholdControl();
+        this.updateSavedChat();
+    }
+
+    /**
+     * The chat entry as stored in the library
+     */
+    toLibraryEntry(chat) {
+        const { libraryId, ...entry } = chat;
+        return entry;
+    }
+
+    /**
+     * Save the chat on screen to the library; later changes to it are saved automatically
+     */
+    async saveActiveChat() {
+        const chat = this.chats[this.activeChat];
+        if (!chat) return;
+        if (isVaultLocked()) {
+            this.showUnlockModal();
+            return;
+        }
+
+        try {
+            chat.libraryId = await saveChat(this.toLibraryEntry(chat), chat.libraryId);
+            this.renderSaveButton();
+        } catch (error) {
+            console.error('Library save error:', error);
+            this.showError(`Could not save the chat: ${error.message}`);
+        }
+    }
+
+    /**
+     * Keep the library copy of a saved chat in step with its data and settings
+     */
+    updateSavedChat(chat = this.chats[this.activeChat]) {
+        if (!chat || !chat.libraryId) return;
+
+        saveChat(this.toLibraryEntry(chat), chat.libraryId).catch(error => {
+            console.error('Library save error:', error);
+            this.showError(`Could not update the saved chat: ${error.message}`);
+        });
+    }
+
+    renderSaveButton() {
+        const button = document.getElementById('saveChatBtn');
+        const chat = this.chats[this.activeChat];
+        if (!button || !chat) return;
+
+        button.textContent = chat.libraryId ? '✓ SAVED' : '💾 SAVE TO LIBRARY';
+        button.title = chat.libraryId
+            ? 'Saved on this device; changes are saved automatically'
+            : 'Keep this chat and its settings on this device';
+    }
+
+    /**
+     * Cards for the chats saved on this device; hidden while there are none and
+     * no passphrase is set
+     */
+    async renderLibrary() {
+        const container = document.getElementById('chatLibrary');
+        const list = document.getElementById('libraryList');
+        if (!container || !list) return;
+
+        const enabled = isVaultEnabled();
+        const locked = isVaultLocked();
+        document.getElementById('vaultBtn').classList.toggle('hidden', locked);
+        document.getElementById('lockBtn').classList.toggle('hidden', !enabled || locked);
+
+        if (locked) {
+            container.classList.remove('hidden');
+            list.innerHTML = `
+                <div class="library-empty">🔒 Saved chats are encrypted.</div>
+                <button class="btn-filter" data-action="unlock">UNLOCK</button>
+            `;
+            list.querySelector('[data-action="unlock"]').addEventListener('click', () => this.showUnlockModal());
+            return;
+        }
+
+        let summaries = [];
+        try {
+            summaries = await listChats();
+        } catch (error) {
+            console.warn('Chat library unavailable:', error);
+        }
+
+        container.classList.toggle('hidden', summaries.length === 0 && !enabled);
+        if (summaries.length === 0) {
+            list.innerHTML = '<div class="library-empty">No saved chats yet. Open a chat and choose "Save to library".</div>';
+            return;
+        }
+        list.innerHTML = summaries.map(summary => `
+            <div class="library-card">
+                <div class="library-card-name"></div>
+                <div class="library-card-detail library-card-participants"></div>
+                <div class="library-card-detail">${formatters.formatDate(summary.start)} - ${formatters.formatDate(summary.end)}</div>
+                <div class="library-card-detail">${formatNumber(summary.messageCount)} messages · ${CHAT_FORMAT_LABELS[summary.format] || summary.format}</div>
+                <div class="library-card-detail">Saved ${formatters.formatDate(summary.savedAt)}</div>
+                <div class="library-card-actions">
+                    <button class="btn-filter" data-action="open">OPEN</button>
+                    <button class="btn-filter-reset" data-action="delete">DELETE</button>
+                </div>
+            </div>
+        `).join('');
+
+        // Chat and participant names come straight from the user's files
+        list.querySelectorAll('.library-card').forEach((card, index) => {
+            const summary = summaries[index];
+            card.querySelector('.library-card-name').textContent = summary.name || 'Untitled chat';
+            card.querySelector('.library-card-participants').textContent = summary.participants.join(', ');
+            card.querySelector('[data-action="open"]').addEventListener('click', () => this.openSavedChat(summary.id));
+            card.querySelector('[data-action="delete"]').addEventListener('click', () => this.deleteSavedChat(summary.id));
+        });
+    }
+
+    /**
+     * Show a saved chat without re-uploading it
+     */
+    async openSavedChat(id) {
+        this.showLoading();
+
+        try {
+            const chat = await loadChat(id);
+            if (!chat) throw new Error('It is no longer in the library');
+            this.openChats([{ ...chat, libraryId: id }]);
+        } catch (error) {
+            console.error('Library load error:', error);
+            this.showError(`Could not open the saved chat: ${error.message}`);
+            this.renderLibrary();
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    async deleteSavedChat(id) {
+        try {
+            await deleteChat(id);
+        } catch (error) {
+            console.error('Library delete error:', error);
+            this.showError(`Could not delete the saved chat: ${error.message}`);
+        }
+
+        // A chat still on the dashboard stays open, just no longer saved
+        this.chats.filter(chat => chat.libraryId === id).forEach(chat => { chat.libraryId = null; });
+        this.renderSaveButton();
+        this.renderLibrary();
+    }
+
+    /**
+     * "Wipe everything": every saved chat and per-chat setting on this device
+     */
+    async wipeSavedData() {
+        if (!window.confirm('Delete every saved chat and setting from this device?')) return;
+
+        try {
+            await wipeLibrary();
+        } catch (error) {
+            console.error('Library wipe error:', error);
+            this.showError(`Could not wipe the library: ${error.message}`);
+        }
+
+        document.getElementById('unlockModal').classList.add('hidden');
+
+        this.chats.forEach(chat => { chat.libraryId = null; });
+        this.renderSaveButton();
+        this.renderLibrary();
+    }
+
+    /**
+     * Fill the chat switcher; hidden when only one chat is loaded
+     */
+    renderChatSwitcher() {
+        const select = document.getElementById('chatSwitcher');
+        if (!select) return;
+
+        select.innerHTML = '';
+        this.chats.forEach((chat, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = this.chatLabel(chat, index);
+            select.appendChild(option);
+        });
+        select.classList.toggle('hidden', this.chats.length < 2);
     }
 
-    async handleFileSelect(event) {
-        const file = event.target.files[0];
-        if (file) {
-            await this.processFile(file);
-            // RESET value so the same file fails can be retried or same file can be uploaded again if needed
-            event.target.value = '';
-        }
+    chatLabel(chat, index) {
+        return chat.name || chat.parsedData.chatName || `Chat ${index + 1}`;
     }
 
-    async processFile(file) {
-        // Validate file type
-        const isTextFile = file.name.endsWith('.txt');
-        const isZipFile = file.name.endsWith('.zip');
+    /**
+     * Pick loaded and saved chats to line up side by side; saved ones join the session
+     */
+    async startComparison() {
+        let saved = [];
+        if (!isVaultLocked()) {
+            try {
+                saved = await listChats();
+            } catch (error) {
+                console.warn('Chat library unavailable:', error);
+            }
+        }
 
-        if (!isTextFile && !isZipFile) {
-            this.showError('Please upload a .txt or .zip file (WhatsApp chat export)');
+        const loadedIds = new Set(this.chats.map(chat => chat.libraryId).filter(Boolean));
+        const items = [
+            ...this.chats.map((chat, index) => ({
+                id: `chat:${index}`,
+                label: this.chatLabel(chat, index),
+                detail: `Loaded · ${formatNumber(chat.parsedData.messages.length)} messages`,
+                checked: this.comparison ? this.comparison.includes(index) : true
+            })),
+            ...saved.filter(summary => !loadedIds.has(summary.id)).map(summary => ({
+                id: `saved:${summary.id}`,
+                label: summary.name || 'Untitled chat',
+                detail: `Saved · ${formatNumber(summary.messageCount)} messages · ${formatters.formatDate(summary.start)} - ${formatters.formatDate(summary.end)}`
+            }))
+        ];
+        if (items.length < 2) {
+            this.showError('Load or save at least two chats to compare them.');
+            return;
+        }
+
+        const picked = await this.chooseFromList('Select the chats to compare', items, { multiple: true });
+        if (picked === null) return;
+        if (picked.length < 2) {
+            this.showError('Select at least two chats to compare.');
             return;
         }
 
-        // Show loading state
         this.showLoading();
+        try {
+            const indexes = [];
+            for (const id of picked) {
+                if (id.startsWith('chat:')) {
+                    indexes.push(Number(id.slice('chat:'.length)));
+                    continue;
+                }
+                const libraryId = id.slice('saved:'.length);
+                const chat = await loadChat(libraryId);
+                if (!chat) continue;
+                this.chats.push({ ...chat, libraryId });
+                indexes.push(this.chats.length - 1);
+            }
 
-        // Destroy old charts to prevent memory leaks and growth
-        this.destroyAllCharts();
+            this.renderChatSwitcher();
+            const switcher = document.getElementById('chatSwitcher');
+            if (switcher) switcher.value = String(this.activeChat);
 
-        try {
-            let text;
+            this.comparison = indexes;
+            this.renderComparison();
+            const table = document.getElementById('comparisonTable');
+            if (table) table.closest('.glass-panel').scrollIntoView({ behavior: 'smooth' });
+        } catch (error) {
+            console.error('Comparison error:', error);
+            this.showError(`Could not compare the chats: ${error.message}`);
+        } finally {
+            this.hideLoading();
+        }
+    }
 
-            if (isZipFile) {
-                // Handle ZIP file - extract .txt file
-                text = await this.extractTextFromZip(file);
-            } else {
-                // Handle regular .txt file
-                text = await file.text();
-            }
+    closeComparison() {
+        this.comparison = null;
+        this.renderComparison();
+    }
 
-            // Store original raw text for filtering and re-parsing
-            this.originalRawText = text;
+    /**
+     * Analytics for a chat that isn't on screen, prepared the way showChat() prepares the one that is
+     */
+    analyticsForChat(chat) {
+        const parsedData = this.getAliasedData(chat);
+        applyTimeZone(parsedData.messages, chat.displayTimeZone || parsedData.timeZone || getViewerTimeZone());
 
-            // Parse chat
-            this.parsedData = parser.parse(text);
-            this.originalParsedData = JSON.parse(JSON.stringify(this.parsedData)); // Deep copy
+        const { isActive, startDate, endDate } = chat.dateFilter;
+        const data = isActive
+            ? { ...parsedData, ...parser.fromMessages(parsedData.messages.filter(msg => msg.metadata.dateKey >= startDate && msg.metadata.dateKey <= endDate)) }
+            : parsedData;
+        const self = this.resolveSelf(chat, parsedData);
 
-            // Validate parsed data
-            if (!this.parsedData.messages || this.parsedData.messages.length === 0) {
-                throw new Error('No messages found in the file. Please check the file format.');
-            }
+        return new WhatsAppAnalytics(data, { self: self ? self.name : null, thresholds: chat.thresholds });
+    }
+
+    /**
+     * Key metrics of the compared chats in one table, with their hourly and monthly activity overlaid
+     */
+    renderComparison() {
+        const container = document.getElementById('comparisonTable');
+        if (!container) return;
+
+        ChartBuilder.destroyChart(this.charts.comparisonHourly);
+        ChartBuilder.destroyChart(this.charts.comparisonMonthly);
+        delete this.charts.comparisonHourly;
+        delete this.charts.comparisonMonthly;
+
+        const panel = container.closest('.glass-panel');
+        if (panel) {
+            panel.style.display = this.comparison ? '' : 'none';
+        }
+        if (!this.comparison) return;
+
+        const { chats, months } = compareChats(this.comparison.map(index => ({
+            name: this.chatLabel(this.chats[index], index),
+            analytics: index === this.activeChat ? this.analytics : this.analyticsForChat(this.chats[index])
+        })));
+
+        const percent = (value) => value === null ? '—' : `${value}%`;
+        const duration = (value) => value === null ? '—' : formatters.formatDuration(value);
+        const number = (value) => value === null ? '—' : formatNumber(value);
+        // Reply times each way only mean something where "this is me" is set
+        const hasSelf = chats.some(chat => chat.initiation.isSelf);
+        const rows = [
+            ['Messages', chat => formatNumber(chat.messageCount)],
+            ['Days', chat => formatNumber(chat.days)],
+            ['Messages per day', chat => formatNumber(chat.messagesPerDay)],
+            ['Days with messages', chat => percent(chat.activeDayShare)],
+            ['Median reply time', chat => duration(chat.medianReply)],
+            ...(hasSelf ? [
+                ['Your median reply', chat => duration(chat.myMedianReply)],
+                ['Their median reply', chat => duration(chat.theirMedianReply)]
+            ] : []),
+            ['Starts conversations', chat => `${chat.initiation.isSelf ? 'You' : chat.initiation.name} ${percent(chat.initiation.share)}`],
+            ['Ghosts per 100 replies', chat => number(chat.ghostsPer100Replies)],
+            ['Messages in double texts', chat => percent(chat.doubleTextShare)],
+            ['Messages at night (0-6h)', chat => percent(chat.nightShare)],
+            ['Persona', chat => chat.persona]
+        ];
+
+        container.innerHTML = `
+            <table class="member-table">
+                <thead><tr><th></th>${chats.map(() => '<th></th>').join('')}</tr></thead>
+                <tbody>${rows.map(([label]) => `<tr><td>${label}</td>${chats.map(() => '<td></td>').join('')}</tr>`).join('')}</tbody>
+            </table>
+        `;
+
+        // Chat and participant names come straight from the user's files
+        container.querySelectorAll('thead th').forEach((th, index) => {
+            if (index > 0) th.textContent = chats[index - 1].name;
+        });
+        container.querySelectorAll('tbody tr').forEach((tr, row) => {
+            tr.querySelectorAll('td').forEach((td, index) => {
+                if (index > 0) td.textContent = rows[row][1](chats[index - 1]);
+            });
+        });
 
-            // Initialize date filter inputs with data range
-            this.initializeDateFilterInputs();
+        const hourlyCtx = document.getElementById('comparisonHourlyChart');
+        if (hourlyCtx) {
+            this.charts.comparisonHourly = this.chartBuilder.createComparisonHourlyChart(hourlyCtx, chats);
+        }
+        const monthlyCtx = document.getElementById('comparisonMonthlyChart');
+        if (monthlyCtx) {
+            this.charts.comparisonMonthly = this.chartBuilder.createComparisonMonthlyChart(monthlyCtx, months, chats);
+        }
+    }
 
-            // Create analytics
-            this.analytics = new WhatsAppAnalytics(this.parsedData);
+    /**
+     * Work out what to parse from the uploaded file(s)
+     * @returns {Promise<Object>} { chats: [{ source: Blob|Blob[], format, name, encoding }], media }
+     *   where encoding is the detection result { encoding, source }
+     */
+    async resolveChatSources(files) {
+        if (files.length === 1 && files[0].name.toLowerCase().endsWith('.zip')) {
+            return this.extractChatsFromZip(files[0]);
+        }
 
-            // Render all analytics
-            this.renderAnalytics();
+        // Sniff the content rather than trusting the extension
+        const encodings = await Promise.all(files.map(file => detectBlobEncoding(file)));
+        const formats = await Promise.all(files.map((file, i) => detectChatFormat(file, encodings[i].encoding)));
+        const format = formats[0];
 
-            // Hide upload section, show results
-            // Use querySelector to be safe if IDs are dynamic, but ID dropZone is correct
-            const dropZone = document.getElementById('dropZone');
-            const results = document.getElementById('resultsSection');
+        if (formats.some(f => !f)) {
+            throw new Error('Unrecognised file. Upload a WhatsApp .txt/.zip export, a Telegram result.json, Messenger/Instagram message_N.json files or an SMS Backup & Restore .xml file.');
+        }
 
-            if (dropZone) dropZone.classList.add('hidden');
-            if (results) results.classList.remove('hidden');
+        if (files.length === 1) {
+            return { chats: [{ source: files[0], format, name: null, encoding: encodings[0] }] };
+        }
 
-            initPdfExport();
+        // Several files only make sense as pages of one Messenger/Instagram thread
+        if (!isMultiFileFormat(format) || formats.some(f => f !== format)) {
+            throw new Error('Please upload one chat export at a time (multiple files are only supported for Messenger/Instagram message_N.json pages).');
+        }
 
+        return { chats: [{ source: files, format, name: null, encoding: encodings[0] }] };
+    }
 
-            console.log('Analysis Complete');
+    /**
+     * Narrow a multi-thread import (SMS backup) to the conversation the user picks
+     * @param {string} [threadKey] - Conversation to select without asking
+     */
+    async pickThread(parsedData, threadKey = null) {
+        if (!threadKey && parsedData.threads.length === 1) {
+            threadKey = parsedData.threads[0].key;
+        }
 
-        } catch (error) {
-            console.error('Processing error:', error);
-            this.showError(`Error processing file: ${error.message}`);
-        } finally {
+        if (!threadKey) {
             this.hideLoading();
+            threadKey = await this.chooseFromList('Select a conversation', parsedData.threads.map(thread => ({
+                id: thread.key,
+                label: thread.name,
+                detail: `${formatNumber(thread.messageCount)} messages · ${formatters.formatDate(thread.start)} - ${formatters.formatDate(thread.end)}`
+            })));
+
+            if (threadKey === null) {
+                const error = new Error('Thread selection cancelled');
+                error.name = 'AbortError';
+                throw error;
+            }
+            this.showLoading();
+        }
+
+        return new SmsBackupParser().selectThread(parsedData, threadKey);
+    }
+
+    /**
+     * Show options in the choice modal
+     * @param {string} title - Modal heading
+     * @param {Object[]} items - { id, label, detail, checked }
+     * @param {Object} [options] - { multiple: true } to pick several items with checkboxes
+     * @returns {Promise<string|string[]|null>} The chosen id (or ids), or null if cancelled
+     */
+    chooseFromList(title, items, { multiple = false } = {}) {
+        const modal = document.getElementById('choiceModal');
+        const list = document.getElementById('choiceList');
+        const cancelBtn = document.getElementById('choiceCancel');
+        const confirmBtn = document.getElementById('choiceConfirm');
+
+        document.getElementById('choiceTitle').textContent = title;
+        list.innerHTML = '';
+        confirmBtn.classList.toggle('hidden', !multiple);
+
+        return new Promise(resolve => {
+            const close = (id) => {
+                modal.classList.add('hidden');
+                cancelBtn.onclick = null;
+                confirmBtn.onclick = null;
+                resolve(id);
+            };
+
+            items.forEach(item => {
+                const row = document.createElement(multiple ? 'label' : 'button');
+                row.className = 'choice-item';
+                row.innerHTML = `<span class="choice-label"></span><span class="choice-detail"></span>`;
+                // textContent: names come straight from the user's file
+                row.querySelector('.choice-label').textContent = item.label;
+                row.querySelector('.choice-detail').textContent = item.detail || '';
+
+                if (multiple) {
+                    const checkbox = document.createElement('input');
+                    checkbox.type = 'checkbox';
+                    checkbox.value = item.id;
+                    checkbox.checked = Boolean(item.checked);
+                    row.classList.add('choice-item-check');
+                    row.prepend(checkbox);
+                } else {
+                    row.addEventListener('click', () => close(item.id));
+                }
+                list.appendChild(row);
+            });
+
+            cancelBtn.onclick = () => close(null);
+            confirmBtn.onclick = () => {
+                const ids = Array.from(list.querySelectorAll('input:checked')).map(input => input.value);
+                if (ids.length) close(ids);
+            };
+            modal.classList.remove('hidden');
+        });
+    }
+
+    /**
+     * Let the user pick which of several .txt files in a ZIP to analyse
+     * @param {Object[]} txtFiles - { path, file } JSZip entries
+     * @returns {Promise<Object[]>} Chats to parse: { source, format, name, encoding }
+     */
+    async pickTextFiles(txtFiles) {
+        // Kept as undecoded Blobs: the preview reads a few KB of each and counts lines on the bytes
+        const candidates = await Promise.all(txtFiles.map(async ({ path, file }) => {
+            const source = await file.async('blob');
+            const encoding = await detectBlobEncoding(source);
+            return { path, source, encoding, preview: await previewChatFile(source, encoding.encoding) };
+        }));
+
+        // Pre-select the largest recognised chat; stray notes files stay unchecked
+        const largest = candidates
+            .filter(c => c.preview.format)
+            .sort((a, b) => b.preview.lineCount - a.preview.lineCount)[0];
+
+        this.hideLoading();
+        const chosen = await this.chooseFromList('Select the chats to analyse', candidates.map(({ path, preview }) => {
+            const dates = preview.firstDate && preview.lastDate
+                ? ` · ${formatters.formatDate(preview.firstDate)} - ${formatters.formatDate(preview.lastDate)}`
+                : '';
+            return {
+                id: path,
+                label: path,
+                detail: `${preview.format ? CHAT_FORMAT_LABELS[preview.format] : 'Not a recognised chat'} · ${formatNumber(preview.lineCount)} lines${dates}`,
+                checked: Boolean(largest) && largest.path === path
+            };
+        }), { multiple: true });
+
+        if (chosen === null) {
+            const error = new Error('Chat selection cancelled');
+            error.name = 'AbortError';
+            throw error;
         }
+        this.showLoading({ cancellable: true });
+
+        return candidates
+            .filter(c => chosen.includes(c.path))
+            .map(({ path, source, encoding, preview }) => {
+                if (!preview.format) {
+                    throw new Error(`${path} does not look like a chat export.`);
+                }
+                return {
+                    // Raw bytes, so the encoding can still be overridden later
+                    source,
+                    format: preview.format,
+                    name: path.split('/').pop().replace(/\.txt$/i, ''),
+                    encoding
+                };
+            });
     }
 
-    async extractTextFromZip(zipFile) {
+    async extractChatsFromZip(zipFile) {
         // Dynamically import JSZip
         const JSZip = (await import('https://cdn.jsdelivr.net/npm/jszip@3.10.1/+esm')).default;
 
         try {
             const zip = await JSZip.loadAsync(zipFile);
 
-            // Find .txt file in the zip
-            let txtFile = null;
-            let txtFileName = null;
+            // Find the chat file(s) in the zip
+            const txtFiles = [];
+            let telegramFile = null;
+            const messengerThreads = {};
+            const mediaEntries = [];
 
             zip.forEach((relativePath, file) => {
-                if (relativePath.endsWith('.txt') && !file.dir) {
-                    txtFile = file;
-                    txtFileName = relativePath;
+                if (file.dir) return;
+
+                const fileName = relativePath.split('/').pop();
+                if (relativePath.toLowerCase().endsWith('.txt')) {
+                    txtFiles.push({ path: relativePath, file });
+                } else if (fileName === 'result.json') {
+                    telegramFile = file;
+                } else if (/^message_\d+\.json$/.test(fileName)) {
+                    // Group Messenger/Instagram pages by their thread folder
+                    const thread = relativePath.slice(0, -fileName.length);
+                    (messengerThreads[thread] = messengerThreads[thread] || []).push(file);
+                } else if (!fileName.startsWith('.')) {
+                    // Everything else is an attachment ("include media" exports)
+                    mediaEntries.push(file);
                 }
             });
 
-            if (!txtFile) {
-                throw new Error('No .txt file found in the ZIP archive. Please ensure your WhatsApp export contains a chat file.');
+            const media = mediaEntries.length ? new MediaLibrary(mediaEntries) : null;
+
+            if (txtFiles.length > 1) {
+                return { chats: await this.pickTextFiles(txtFiles), media };
             }
 
-            console.log(`Found chat file: ${txtFileName}`);
+            if (txtFiles.length === 1) {
+                console.log(`Found chat file: ${txtFiles[0].path}`);
+                // Extract as a Blob so the worker can stream it like a regular file
+                const source = await txtFiles[0].file.async('blob');
+                const encoding = await detectBlobEncoding(source);
+                return { chats: [{ source, format: CHAT_FORMATS.WHATSAPP, name: null, encoding }], media };
+            }
+
+            if (telegramFile) {
+                const source = await telegramFile.async('blob');
+                const encoding = await detectBlobEncoding(source);
+                return { chats: [{ source, format: CHAT_FORMATS.TELEGRAM, name: null, encoding }] };
+            }
+
+            // Analyse the thread with the most pages
+            const threadPages = Object.values(messengerThreads).sort((a, b) => b.length - a.length)[0];
+            if (threadPages) {
+                const pages = await Promise.all(threadPages.map(file => file.async('blob')));
+                const encoding = await detectBlobEncoding(pages[0]);
+                return { chats: [{ source: pages, format: CHAT_FORMATS.MESSENGER, name: null, encoding }], media };
+            }
 
-            // Extract and read the text content
-            const text = await txtFile.async('text');
-            return text;
+            throw new Error('No chat file found in the ZIP archive. Please ensure your export contains a chat file.');
 
         } catch (error) {
-            if (error.message.includes('No .txt file')) {
+            if (error.message.includes('No chat file') || error.name === 'AbortError' || error.message.includes('does not look like')) {
                 throw error;
             }
-            throw new Error('Failed to extract ZIP file. Please ensure it\'s a valid WhatsApp export.');
+            throw new Error('Failed to extract ZIP file. Please ensure it\'s a valid chat export.');
         }
     }
 
@@ -240,6 +1807,22 @@ class WhatsAppAnalyzerApp {
         // Render engagement metrics
         this.renderEngagementMetrics(summary.engagementMetrics);
 
+        // Render group membership timeline
+        this.renderMembership(summary.membershipMetrics);
+
+        // Render me-versus-them comparison (when a participant is marked as self)
+        this.renderPerspective(summary.perspective);
+
+        // Render attachment gallery (ZIP exports with media only)
+        this.renderMediaGallery(summary.engagementMetrics.mediaSharingFrequency);
+
+        // Render parser diagnostics (line-based WhatsApp exports only)
+        this.renderDiagnostics(this.parsedData.diagnostics);
+
+        // Render the side-by-side comparisons, with this chat's current settings
+        this.renderComparison();
+        this.renderPeriodComparison();
+
         // Re-initialize Tilt for new dynamic elements
         if (typeof VanillaTilt !== 'undefined') {
             setTimeout(() => {
@@ -386,6 +1969,58 @@ class WhatsAppAnalyzerApp {
 
         // Activity personas
         this.renderActivityPersonas(temporal.activityPersona);
+
+        // Each participant's inferred zone and local-time activity
+        this.renderParticipantTimeZones(temporal.participantTimeZones);
+    }
+
+    renderParticipantTimeZones(zones) {
+        const container = document.getElementById('participantTimeZones');
+        if (!container) return;
+
+        container.innerHTML = '';
+        Object.entries(zones).forEach(([person, zone]) => {
+            const card = document.createElement('div');
+            card.className = 'best-time-card';
+            card.innerHTML = zone ? this.timeZoneCardHtml(zone) : `
+                <div class="best-time-name"></div>
+                <div class="no-data-message">Insufficient data for analysis</div>
+            `;
+            // textContent: names come straight from the user's file
+            card.querySelector('.best-time-name').textContent = person;
+            container.appendChild(card);
+        });
+    }
+
+    /**
+     * Inner markup of a participant's time zone card, name left empty
+     */
+    timeZoneCardHtml(zone) {
+        const hourLabel = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+        const peak = Math.max(...zone.localHourly, 1);
+        const bars = zone.localHourly.map((count, hour) => `
+            <div class="tz-bar" style="height: ${Math.max(2, Math.round(count / peak * 100))}%" title="${hourLabel(hour)} · ${formatNumber(count)} messages"></div>
+        `).join('');
+
+        const moves = zone.moves.map(move => `
+            <div class="tz-move">⚠️ Seems to have moved ${formatUtcOffset(move.from)} → ${formatUtcOffset(move.to)} around ${formatters.formatDate(move.date)}</div>
+        `).join('');
+
+        return `
+            <div class="best-time-header">
+                <div class="best-time-name"></div>
+                <div class="best-time-badge">Likely ${formatUtcOffset(zone.offset)}</div>
+            </div>
+            <div class="tz-details">
+                <span>Confidence ${Math.round(zone.confidence * 100)}%</span>
+                <span>Quiet ${hourLabel(zone.sleepWindow.start)} - ${hourLabel(zone.sleepWindow.end)} their time</span>
+                <span>${zone.localPersona}</span>
+            </div>
+            <div class="tz-bars">${bars}</div>
+            <div class="tz-axis"><span>00</span><span>06</span><span>12</span><span>18</span><span>23</span></div>
+            ${moves}
+        `;
     }
 
 
@@ -412,6 +2047,291 @@ class WhatsAppAnalyzerApp {
     }
 
 
+    renderMembership(membership) {
+        const container = document.getElementById('membershipAnalysis');
+        if (!container) return;
+
+        // Membership only means something for groups with join/leave lines
+        const panel = container.closest('.glass-panel');
+        if (panel) {
+            panel.style.display = membership.hasMembershipEvents ? '' : 'none';
+        }
+        if (!membership.hasMembershipEvents) return;
+
+        const summaryEl = document.getElementById('membershipSummary');
+        if (summaryEl) {
+            const tiles = [
+                { label: 'Members Seen', value: membership.totalMembers },
+                { label: 'Current', value: membership.currentMembers.length },
+                { label: 'Former', value: membership.formerMembers.length },
+                { label: 'Lurkers', value: membership.lurkers.length }
+            ];
+            summaryEl.innerHTML = tiles.map(tile => `
+                <div class="membership-stat">
+                    <span class="metric-label">${tile.label}</span>
+                    <span class="metric-value">${tile.value}</span>
+                </div>
+            `).join('');
+        }
+
+        const ctx = document.getElementById('headcountChart');
+        if (ctx && membership.headcount.length > 0) {
+            this.charts.headcount = this.chartBuilder.createHeadcountChart(ctx, membership.headcount);
+        }
+
+        container.innerHTML = `
+            <table class="member-table">
+                <thead>
+                    <tr><th>Member</th><th>Joined</th><th>Left</th><th>Tenure</th><th>Messages</th></tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+        `;
+
+        // Longest-serving members first; textContent: names come from "X added <name>" lines in the user's file
+        const tbody = container.querySelector('tbody');
+        Object.entries(membership.members)
+            .sort((a, b) => b[1].tenure - a[1].tenure)
+            .forEach(([person, data]) => {
+                const tr = tbody.insertRow();
+                if (!data.isCurrentMember) tr.className = 'former-member';
+
+                const name = tr.insertCell();
+                name.textContent = person;
+                if (data.isLurker) {
+                    const badge = document.createElement('span');
+                    badge.className = 'lurker-badge';
+                    badge.textContent = 'lurker';
+                    name.append(' ', badge);
+                }
+
+                [
+                    data.firstJoined ? formatters.formatDate(data.firstJoined) : 'Before export',
+                    data.lastLeft && !data.isCurrentMember ? formatters.formatDate(data.lastLeft) : '—',
+                    formatters.formatDuration(data.tenure),
+                    data.messagesWhilePresent
+                ].forEach(text => {
+                    tr.insertCell().textContent = text;
+                });
+            });
+    }
+
+    renderMediaGallery(mediaStats) {
+        const container = document.getElementById('mediaGallery');
+        if (!container) return;
+
+        const panel = container.closest('.glass-panel');
+        const hasFiles = Boolean(this.mediaLibrary) && mediaStats.fromFiles;
+        if (panel) {
+            panel.style.display = hasFiles ? '' : 'none';
+        }
+        if (!hasFiles) return;
+
+        // Per-participant totals from the actual files
+        const summaryEl = document.getElementById('mediaSummary');
+        if (summaryEl) {
+            const rows = Object.entries(mediaStats.byParticipant)
+                .filter(([, data]) => data.total > 0)
+                .sort((a, b) => b[1].totalBytes - a[1].totalBytes)
+                .map(([person, data]) => [
+                    person,
+                    formatNumber(data.total),
+                    formatters.formatBytes(data.totalBytes),
+                    Object.entries(data.byType).sort((a, b) => b[1] - a[1]).map(([type, n]) => `${type} ${n}`).join(' · ')
+                ]);
+
+            summaryEl.innerHTML = `
+                <table class="member-table">
+                    <thead>
+                        <tr><th>Sender</th><th>Files</th><th>Size</th><th>Types</th></tr>
+                    </thead>
+                    <tbody></tbody>
+                    <tfoot>
+                        <tr><td>Total</td><td>${formatNumber(mediaStats.overall.total)}</td><td>${formatters.formatBytes(mediaStats.overall.totalBytes)}</td><td></td></tr>
+                    </tfoot>
+                </table>
+            `;
+            // textContent: sender names come straight from the user's file
+            const tbody = summaryEl.querySelector('tbody');
+            rows.forEach(cells => {
+                const tr = tbody.insertRow();
+                cells.forEach(text => {
+                    tr.insertCell().textContent = text;
+                });
+            });
+        }
+
+        const fillSelect = (id, values, current) => {
+            const select = document.getElementById(id);
+            if (!select) return 'all';
+            const selected = values.includes(current) ? current : 'all';
+            select.innerHTML = '';
+            ['all', ...values].forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value === 'all' ? 'All' : value;
+                select.appendChild(option);
+            });
+            select.value = selected;
+            return selected;
+        };
+
+        const senders = Object.keys(mediaStats.byParticipant).filter(p => mediaStats.byParticipant[p].total > 0);
+        // Months as the gallery headers label them, oldest first
+        const months = [...new Set(this.parsedData.messages
+            .filter(msg => msg.metadata.attachments)
+            .map(msg => formatters.formatMonth(msg.timestamp)))];
+        this.gallery.sender = fillSelect('gallerySender', senders, this.gallery.sender);
+        this.gallery.type = fillSelect('galleryType', Object.keys(mediaStats.overall.byType).sort(), this.gallery.type);
+        this.gallery.month = fillSelect('galleryMonth', months, this.gallery.month);
+        this.gallery.shown = GALLERY_PAGE_SIZE;
+
+        this.renderGalleryItems();
+    }
+
+    /**
+     * Render gallery tiles for the current sender/type/month filter, grouped by month
+     */
+    renderGalleryItems() {
+        const container = document.getElementById('mediaGallery');
+        const moreBtn = document.getElementById('galleryMore');
+        if (!container || !this.mediaLibrary) return;
+
+        const items = this.parsedData.messages
+            .filter(msg => msg.metadata.attachments && (this.gallery.sender === 'all' || msg.sender === this.gallery.sender))
+            .flatMap(msg => msg.metadata.attachments.map(file => ({
+                file, sender: msg.sender, date: msg.timestamp, month: formatters.formatMonth(msg.timestamp)
+            })))
+            .filter(item => this.gallery.type === 'all' || item.file.mediaType === this.gallery.type)
+            .filter(item => this.gallery.month === 'all' || item.month === this.gallery.month);
+
+        // Built node by node: sender and file names come straight from the user's export
+        container.innerHTML = '';
+        let currentMonth = null;
+        items.slice(0, this.gallery.shown).forEach(({ file, sender, date, month }) => {
+            if (month !== currentMonth) {
+                const header = document.createElement('div');
+                header.className = 'gallery-month';
+                header.textContent = month;
+                container.appendChild(header);
+                currentMonth = month;
+            }
+
+            const tile = document.createElement('button');
+            tile.className = 'media-tile';
+            tile.dataset.file = file.fileName;
+            tile.title = file.fileName;
+
+            const thumb = document.createElement('span');
+            thumb.className = `media-thumb media-${file.mediaType}`;
+            thumb.textContent = file.mediaType;
+
+            const caption = document.createElement('span');
+            caption.className = 'media-caption';
+            caption.textContent = `${sender} · ${formatters.formatDate(date)} · ${formatters.formatBytes(file.size)}`;
+
+            tile.append(thumb, caption);
+            container.appendChild(tile);
+        });
+
+        if (!items.length) {
+            container.innerHTML = '<p class="gallery-empty">No files match this filter.</p>';
+        }
+        if (moreBtn) {
+            moreBtn.classList.toggle('hidden', items.length <= this.gallery.shown);
+        }
+
+        // Thumbnails are generated only when a tile scrolls into view
+        if (this.gallery.observer) this.gallery.observer.disconnect();
+        this.gallery.observer = new IntersectionObserver(entries => {
+            entries.filter(entry => entry.isIntersecting).forEach(async entry => {
+                this.gallery.observer.unobserve(entry.target);
+                const url = await this.mediaLibrary.getThumbnail(entry.target.dataset.file);
+                const thumb = entry.target.querySelector('.media-thumb');
+                if (url && thumb) {
+                    thumb.style.backgroundImage = `url(${url})`;
+                    thumb.classList.add('has-thumbnail');
+                }
+            });
+        }, { rootMargin: '200px' });
+
+        container.querySelectorAll('.media-tile').forEach(tile => {
+            this.gallery.observer.observe(tile);
+            tile.addEventListener('click', async () => {
+                const url = await this.mediaLibrary.getFileUrl(tile.dataset.file);
+                if (url) window.open(url, '_blank', 'noopener');
+            });
+        });
+    }
+
+    renderDiagnostics(diagnostics) {
+        const container = document.getElementById('parserDiagnostics');
+        if (!container) return;
+
+        const panel = container.closest('.glass-panel');
+        if (panel) {
+            panel.style.display = diagnostics ? '' : 'none';
+        }
+        if (!diagnostics) return;
+
+        const summaryEl = document.getElementById('diagnosticsSummary');
+        if (summaryEl) {
+            const tiles = [
+                { label: 'Confidence', value: `${Math.round(diagnostics.confidence * 100)}%` },
+                { label: 'Date Format', value: `${diagnostics.dateFormat}${diagnostics.dateFormatAmbiguous ? ' ?' : ''}` },
+                { label: 'Separator', value: diagnostics.dateSeparator },
+                { label: 'Calendar', value: CALENDAR_LABELS[diagnostics.calendar] || CALENDAR_LABELS.gregory },
+                { label: 'Language', value: diagnostics.locale ? LOCALE_PACKS[diagnostics.locale].name : 'Unknown' },
+                { label: 'Lines', value: formatNumber(diagnostics.totalLines) },
+                { label: 'Headers', value: formatNumber(diagnostics.headerLines) },
+                { label: 'Continuations', value: formatNumber(diagnostics.continuationLines) }
+            ];
+            summaryEl.innerHTML = tiles.map(tile => `
+                <div class="membership-stat">
+                    <span class="metric-label">${tile.label}</span>
+                    <span class="metric-value">${tile.value}</span>
+                </div>
+            `).join('');
+        }
+
+        const hitRows = ['message', 'system'].flatMap(kind =>
+            Object.entries(diagnostics.patternHits[kind]).map(([index, count]) => `
+                <tr><td>${kind}</td><td>#${index} ${PATTERN_LABELS[index] || ''}</td><td>${formatNumber(count)}</td></tr>
+            `));
+
+        const flagged = [
+            { title: 'Header-like lines treated as continuations', data: diagnostics.suspiciousContinuations },
+            { title: 'Lines before the first message (dropped)', data: diagnostics.orphanLines },
+            { title: 'Timestamps that failed to parse', data: diagnostics.invalidTimestamps },
+            { title: 'Timestamps earlier than the previous message', data: diagnostics.backwardsTimestamps }
+        ];
+
+        container.innerHTML = `
+            <table class="member-table">
+                <thead><tr><th>Kind</th><th>Pattern</th><th>Lines</th></tr></thead>
+                <tbody>${hitRows.join('') || '<tr><td colspan="3">No pattern matched</td></tr>'}</tbody>
+            </table>
+            ${flagged.map(({ title, data }) => `
+                <details class="diagnostics-group" ${data.count ? '' : 'hidden'}>
+                    <summary>${title} <span class="lurker-badge">${formatNumber(data.count)}</span></summary>
+                    <ol class="diagnostics-lines">
+                        ${data.lines.map(item => `
+                            <li><span class="diagnostics-line-number">L${item.lineNumber}${item.previousLineNumber ? ` (after L${item.previousLineNumber})` : ''}</span><code></code></li>
+                        `).join('')}
+                    </ol>
+                    ${data.count > data.lines.length ? `<p class="diagnostics-more">Showing first ${data.lines.length} of ${formatNumber(data.count)}</p>` : ''}
+                </details>
+            `).join('')}
+        `;
+
+        // Line text comes straight from the user's file
+        container.querySelectorAll('.diagnostics-group').forEach((group, groupIndex) => {
+            group.querySelectorAll('code').forEach((code, lineIndex) => {
+                code.textContent = flagged[groupIndex].data.lines[lineIndex].text;
+            });
+        });
+    }
+
     // Helper rendering methods
     updateStatCard(id, value) {
         const el = document.getElementById(id);
@@ -515,7 +2435,7 @@ class WhatsAppAnalyzerApp {
                         <div class="time-slot-label">
                             <span class="time-emoji">${timeEmojis[slot.key]}</span>
                             <span>${slot.label}</span>
-                            <span class="time-percent">${slot.value}%</span>
+                            <span class="time-percent">${slot.value.toFixed(1)}%</span>
                         </div>
                         <div class="progress-track">
                             <div class="progress-fill" style="width: ${slot.value}%; background: linear-gradient(90deg, ${timeColors[slot.key]}, transparent); box-shadow: 0 0 10px ${timeColors[slot.key]};"></div>
@@ -542,12 +2462,15 @@ class WhatsAppAnalyzerApp {
         const container = document.getElementById('bestTimeToMessage');
         if (!container) return;
 
-        const html = Object.entries(bestTimes)
+        // From your side: when each of them answers you, and when you answer them
+        const title = (person) => this.isSelf(person) ? 'When you reply fastest' : this.self ? `Best time to message ${person}` : person;
+
+        const html = this.selfFirst(Object.entries(bestTimes))
             .map(([person, data]) => {
                 if (!data.bestHour && data.top3Hours.length === 0) {
                     return `
                         <div class="best-time-card">
-                            <div class="best-time-name">${person}</div>
+                            <div class="best-time-name">${title(person)}</div>
                             <div class="no-data-message">Insufficient data for analysis</div>
                         </div>
                     `;
@@ -568,15 +2491,20 @@ class WhatsAppAnalyzerApp {
                 }).join('');
 
                 return `
-                    <div class="best-time-card">
+                    <div class="best-time-card ${this.isSelf(person) ? 'self-card' : ''}">
                         <div class="best-time-header">
-                            <div class="best-time-name">${person}</div>
+                            <div class="best-time-name">${title(person)}</div>
                             ${data.bestHour !== null ? `
                                 <div class="best-time-badge">
                                     Best: ${data.bestHour}:00 - ${data.bestHour + 1}:00
                                 </div>
                             ` : ''}
                         </div>
+                        ${data.theirTime && data.theirTime.bestHour !== null ? `
+                            <div class="tz-details">
+                                <span>Their time (${formatUtcOffset(data.theirTime.offset)}): ${data.theirTime.bestHour}:00 - ${data.theirTime.bestHour + 1}:00</span>
+                            </div>
+                        ` : ''}
                         <div class="best-time-slots">
                             ${top3HTML}
                         </div>
@@ -588,6 +2516,93 @@ class WhatsAppAnalyzerApp {
         container.innerHTML = html;
     }
 
+    isSelf(person) {
+        return Boolean(this.self) && person === this.self.name;
+    }
+
+    /**
+     * "You (Name)" for the participant marked as self
+     */
+    personLabel(person) {
+        return this.isSelf(person) ? `You (${person})` : person;
+    }
+
+    /**
+     * Per-participant entries with yours first
+     */
+    selfFirst(entries) {
+        return [...entries].sort(([a], [b]) => this.isSelf(b) - this.isSelf(a));
+    }
+
+    /**
+     * Me-versus-them comparison; hidden until a participant is marked as self
+     */
+    renderPerspective(perspective) {
+        const container = document.getElementById('perspectiveAnalysis');
+        if (!container) return;
+
+        const panel = container.closest('.glass-panel');
+        if (panel) {
+            panel.style.display = perspective ? '' : 'none';
+        }
+        if (!perspective) return;
+
+        const them = perspective.isGroup ? 'Everyone else' : perspective.others[0];
+        const percent = (value) => value === null ? '—' : `${Math.round(value)}%`;
+        const duration = (value) => value === null ? '—' : formatters.formatDuration(value);
+
+        const summaryEl = document.getElementById('perspectiveSummary');
+        if (summaryEl) {
+            const { ratio } = perspective.effortBalance;
+            const tiles = [
+                { label: 'Your Effort', value: `${Math.round(perspective.effortBalance.myShare)}%` },
+                { label: 'Effort Balance', value: ratio > 1.15 ? 'You carry it' : ratio < 0.85 ? 'They carry it' : 'Even' },
+                { label: 'Your Unanswered', value: formatNumber(perspective.unanswered.mine) },
+                { label: 'Ghosted You', value: formatNumber(perspective.ghosts.theirs) }
+            ];
+            summaryEl.innerHTML = tiles.map(tile => `
+                <div class="membership-stat">
+                    <span class="metric-label">${tile.label}</span>
+                    <span class="metric-value">${tile.value}</span>
+                </div>
+            `).join('');
+        }
+
+        const rows = [
+            ['Messages sent', formatNumber(perspective.messages.mine), formatNumber(perspective.messages.theirs)],
+            ['Words written', formatNumber(perspective.words.mine), formatNumber(perspective.words.theirs)],
+            ['Conversations started', formatNumber(perspective.initiations.mine), formatNumber(perspective.initiations.theirs)],
+            ['Median reply time', duration(perspective.replyTime.mine), duration(perspective.replyTime.theirs)],
+            ['Replies to the other side\'s openers', percent(perspective.reciprocity.mine), percent(perspective.reciprocity.theirs)],
+            ['Openers left unanswered', formatNumber(perspective.unanswered.mine), formatNumber(perspective.unanswered.theirs)],
+            ['Went quiet for 24h+', formatNumber(perspective.ghosts.mine), formatNumber(perspective.ghosts.theirs)],
+            [perspective.isGroup ? 'Double texts (per person)' : 'Double texts', formatNumber(perspective.doubleTexts.mine), formatNumber(Math.round(perspective.doubleTexts.theirs))]
+        ];
+
+        container.innerHTML = `
+            <table class="member-table">
+                <thead><tr><th></th><th>You</th><th class="perspective-them"></th></tr></thead>
+                <tbody>${rows.map(([label, mine, theirs]) => `<tr><td>${label}</td><td>${mine}</td><td>${theirs}</td></tr>`).join('')}</tbody>
+            </table>
+            ${perspective.unanswered.recent.length ? `
+                <details class="diagnostics-group">
+                    <summary>Your latest unanswered openers <span class="lurker-badge">${formatNumber(perspective.unanswered.mine)}</span></summary>
+                    <ol class="diagnostics-lines">
+                        ${perspective.unanswered.recent.map(item => `
+                            <li><span class="diagnostics-line-number">${formatters.formatDate(item.date)}</span><code></code></li>
+                        `).join('')}
+                    </ol>
+                </details>
+            ` : ''}
+        `;
+
+        // Names and message text come straight from the user's file
+        container.querySelector('.perspective-them').textContent = them;
+        container.querySelectorAll('.diagnostics-lines code').forEach((code, index) => {
+            code.textContent = perspective.unanswered.recent[index].content;
+        });
+    }
+
     renderConversationGaps(gaps) {
         const container = document.getElementById('conversationGaps');
         if (!container || !gaps.longestGap) return;
@@ -629,14 +2644,14 @@ class WhatsAppAnalyzerApp {
         const container = document.getElementById('doubleTextingAnalysis');
         if (!container) return;
 
-        const html = Object.entries(patterns)
+        const html = this.selfFirst(Object.entries(patterns))
             .map(([person, data]) => {
                 const totalInstances = data.totalInstances;
 
                 return `
-                    <div class="double-text-card">
+                    <div class="double-text-card ${this.isSelf(person) ? 'self-card' : ''}">
                         <div class="dt-header">
-                            <span class="dt-name">${person}</span>
+                            <span class="dt-name">${this.personLabel(person)}</span>
                             <span class="dt-badge">${totalInstances} instances</span>
                         </div>
                         <div class="dt-stats">
@@ -658,7 +2673,7 @@ class WhatsAppAnalyzerApp {
                             </div>
                         </div>
                         <div class="dt-percentage">
-                            ${data.percentage}% of messages are consecutive
+                            ${data.percentage.toFixed(1)}% of ${this.isSelf(person) ? 'your' : 'their'} messages are consecutive
                         </div>
                     </div>
                 `;
@@ -690,17 +2705,25 @@ class WhatsAppAnalyzerApp {
             panel.style.display = '';
         }
 
-        const html = Object.entries(ghostPeriods)
+        // In a one-on-one chat every ghost is on the other person
+        const isOneOnOne = Object.keys(ghostPeriods).length === 2;
+        const ghostLabel = (person, count) => {
+            if (this.isSelf(person)) return `👻 You went quiet ${count}×`;
+            if (this.self && isOneOnOne) return `👻 Went quiet on you ${count}×`;
+            return `👻 ${count} ghosts`;
+        };
+
+        const html = this.selfFirst(Object.entries(ghostPeriods))
             .filter(([person, data]) => data.totalGhosts > 0) // Only show participants with ghosting
             .map(([person, data]) => {
                 const longestGhostDuration = formatters.formatDuration(data.longestGhost);
                 const avgGhostDuration = formatters.formatDuration(data.averageGhostDuration);
 
                 return `
-                    <div class="ghost-card">
+                    <div class="ghost-card ${this.isSelf(person) ? 'self-card' : ''}">
                         <div class="ghost-header">
-                            <span class="ghost-name">${person}</span>
-                            <span class="ghost-count">👻 ${data.totalGhosts} ghosts</span>
+                            <span class="ghost-name">${this.personLabel(person)}</span>
+                            <span class="ghost-count">${ghostLabel(person, data.totalGhosts)}</span>
                         </div>
                         <div class="ghost-metrics">
                             <div class="ghost-metric">
@@ -754,9 +2777,25 @@ class WhatsAppAnalyzerApp {
         exportUtils.toJSON(summary, 'whatsapp-analysis.json');
     }
 
-    showLoading() {
+    showLoading({ cancellable = false } = {}) {
         const loader = document.getElementById('loader');
         if (loader) loader.classList.remove('hidden');
+
+        const progress = document.getElementById('loaderProgress');
+        if (progress) progress.classList.toggle('hidden', !cancellable);
+
+        const cancelBtn = document.getElementById('cancelParse');
+        if (cancelBtn) cancelBtn.classList.toggle('hidden', !cancellable);
+
+        this.updateLoadingProgress(0);
+    }
+
+    updateLoadingProgress(percent) {
+        const fill = document.getElementById('loaderProgressFill');
+        if (fill) fill.style.width = `${percent}%`;
+
+        const label = document.getElementById('loaderPercent');
+        if (label) label.textContent = `${percent}%`;
     }
 
     hideLoading() {
@@ -786,9 +2825,9 @@ class WhatsAppAnalyzerApp {
         const endDateInput = document.getElementById('endDate');
 
         if (startDateInput && endDateInput) {
-            // Set min and max values to the data range
-            const minDate = this.formatDateForInput(firstMessage.timestamp);
-            const maxDate = this.formatDateForInput(lastMessage.timestamp);
+            // Set min and max values to the data range, as days in the display zone
+            const minDate = firstMessage.metadata.dateKey;
+            const maxDate = lastMessage.metadata.dateKey;
             
             startDateInput.min = minDate;
             startDateInput.max = maxDate;
@@ -801,9 +2840,164 @@ class WhatsAppAnalyzerApp {
         }
     }
 
-    formatDateForInput(timestamp) {
-        const date = new Date(timestamp);
-        return date.toISOString().split('T')[0];
+    /**
+     * Limit the period inputs to the chat's days; first half against second half unless already comparing
+     */
+    initializePeriodInputs() {
+        if (!this.originalParsedData || !this.originalParsedData.messages.length) return;
+
+        const span = this.getChatSpan();
+        const ids = ['periodAStart', 'periodAEnd', 'periodBStart', 'periodBEnd', 'periodSplitDate'];
+        ids.forEach(id => {
+            const input = document.getElementById(id);
+            if (!input) return;
+            input.min = span.start;
+            input.max = span.end;
+        });
+
+        if (this.periods) return;
+        const middle = new Date((Date.parse(span.start) + Date.parse(span.end)) / 2).toISOString().slice(0, 10);
+        document.getElementById('periodPreset').value = 'custom';
+        document.getElementById('periodSplitDate').classList.add('hidden');
+        this.setPeriodInputs(presetRanges('split', span, middle) || [span, span]);
+    }
+
+    /**
+     * First and last day of the chat on screen, in the display time zone
+     */
+    getChatSpan() {
+        const { messages } = this.originalParsedData;
+        return { start: messages[0].metadata.dateKey, end: messages[messages.length - 1].metadata.dateKey };
+    }
+
+    setPeriodInputs([rangeA, rangeB]) {
+        document.getElementById('periodAStart').value = rangeA.start;
+        document.getElementById('periodAEnd').value = rangeA.end;
+        document.getElementById('periodBStart').value = rangeB.start;
+        document.getElementById('periodBEnd').value = rangeB.end;
+    }
+
+    /**
+     * Fill the period inputs from the picked preset
+     */
+    applyPeriodPreset() {
+        const preset = document.getElementById('periodPreset').value;
+        const splitInput = document.getElementById('periodSplitDate');
+        splitInput.classList.toggle('hidden', preset !== 'split');
+        if (preset === 'custom' || !this.originalParsedData) return;
+
+        const ranges = presetRanges(preset, this.getChatSpan(), splitInput.value);
+        if (ranges) this.setPeriodInputs(ranges);
+    }
+
+    startPeriodComparison() {
+        if (!this.originalParsedData) return;
+
+        const value = (id) => document.getElementById(id).value;
+        const ranges = [
+            { start: value('periodAStart'), end: value('periodAEnd') },
+            { start: value('periodBStart'), end: value('periodBEnd') }
+        ];
+        if (ranges.some(range => !range.start || !range.end)) {
+            this.showError('Please select the start and end of both periods');
+            return;
+        }
+        if (ranges.some(range => range.start > range.end)) {
+            this.showError('Each period must start before it ends');
+            return;
+        }
+
+        this.periods = ranges;
+        this.renderPeriodComparison();
+        const table = document.getElementById('periodTable');
+        if (table) table.closest('.glass-panel').scrollIntoView({ behavior: 'smooth' });
+    }
+
+    /**
+     * Both periods side by side with the change in each headline metric and whether it is more than noise
+     */
+    renderPeriodComparison() {
+        const container = document.getElementById('periodTable');
+        const terms = document.getElementById('periodTerms');
+        if (!container || !terms) return;
+
+        const panel = container.closest('.glass-panel');
+        if (panel) {
+            panel.style.display = this.periods ? '' : 'none';
+        }
+        if (!this.periods) return;
+
+        const result = comparePeriods(this.originalParsedData, ...this.periods, {
+            thresholds: this.chats[this.activeChat].thresholds
+        });
+
+        const number = (value) => formatNumber(value);
+        const duration = (value) => formatters.formatDuration(value);
+        const points = (value) => `${value} pts`;
+        const percent = (value) => `${value}%`;
+        const show = (value, format) => value === null ? '—' : format(value);
+        const signed = (value, format) => value === null ? '—' : `${value > 0 ? '+' : value < 0 ? '−' : '±'}${format(Math.abs(value))}`;
+        const relative = (metric) => metric.relativeChange === null ? '' : ` (${signed(stats.round(metric.relativeChange * 100, 0), percent)})`;
+        const verdict = (metric) => {
+            if (metric.z === null) return 'Too little data';
+            if (!metric.significant) return 'Within noise';
+            return `${metric.delta > 0 ? '▲' : '▼'} Meaningful`;
+        };
+
+        // [label, change, format for values, format for the change]
+        const rows = [
+            ['Messages per day', result.messagesPerDay, number],
+            ['Median reply time', result.replyTime.overall, duration],
+            ...Object.entries(result.replyTime.byParticipant).map(([name, metric]) => [`${name}'s median reply`, metric, duration]),
+            ...Object.entries(result.initiatorShare).map(([name, metric]) => [`${name} starts conversations`, metric, percent, points]),
+            ['Ghosts per 100 replies', result.ghostsPer100Replies, number]
+        ];
+
+        container.innerHTML = `
+            <table class="member-table">
+                <thead><tr><th></th><th class="period-head"></th><th class="period-head"></th><th>Change</th><th></th></tr></thead>
+                <tbody>${rows.map(() => '<tr><td></td><td></td><td></td><td></td><td class="period-verdict"></td></tr>').join('')}</tbody>
+            </table>
+        `;
+
+        container.querySelectorAll('.period-head').forEach((th, index) => {
+            const period = result.periods[index];
+            // Day keys as typed: a Date would shift across the display time zone
+            th.textContent = `${index ? 'B' : 'A'}: ${period.start} → ${period.end} · ${formatNumber(period.messageCount)} msgs`;
+        });
+        // Participant names come straight from the user's file
+        container.querySelectorAll('tbody tr').forEach((tr, index) => {
+            const [label, metric, format, changeFormat] = rows[index];
+            const cells = tr.querySelectorAll('td');
+            cells[0].textContent = label;
+            cells[1].textContent = show(metric.a, format);
+            cells[2].textContent = show(metric.b, format);
+            cells[3].textContent = changeFormat ? signed(metric.delta, changeFormat) : `${signed(metric.delta, format)}${relative(metric)}`;
+            cells[4].textContent = verdict(metric);
+            cells[4].classList.toggle('meaningful', metric.significant);
+        });
+
+        // Top words and emojis of each period, then the ones used meaningfully more or less
+        const blocks = [
+            ['Top words · A', result.words.top[0].map(({ term, count }) => `${term} (${formatNumber(count)})`)],
+            ['Top words · B', result.words.top[1].map(({ term, count }) => `${term} (${formatNumber(count)})`)],
+            ['Words that changed (per 1,000 words)', result.words.movers.map(m => `${m.term} ${m.delta > 0 ? '▲' : '▼'} ${m.a} → ${m.b}`)],
+            ['Top emojis · A', result.emojis.top[0].map(({ term, count }) => `${term} (${formatNumber(count)})`)],
+            ['Top emojis · B', result.emojis.top[1].map(({ term, count }) => `${term} (${formatNumber(count)})`)],
+            ['Emojis that changed (per 1,000 emojis)', result.emojis.movers.map(m => `${m.term} ${m.delta > 0 ? '▲' : '▼'} ${m.a} → ${m.b}`)]
+        ];
+        terms.innerHTML = blocks.map(() => '<div><div class="period-terms-title"></div><ol></ol></div>').join('');
+        terms.querySelectorAll(':scope > div').forEach((block, index) => {
+            const [title, items] = blocks[index];
+            block.querySelector('.period-terms-title').textContent = title;
+            const list = block.querySelector('ol');
+            if (!items.length) list.insertAdjacentHTML('beforebegin', '<div class="library-empty">None</div>');
+            items.forEach(text => {
+                const item = document.createElement('li');
+                item.textContent = text; // Words come straight from the user's messages
+                list.appendChild(item);
+            });
+        });
     }
 
     applyDateFilter() {
@@ -823,134 +3017,89 @@ class WhatsAppAnalyzerApp {
             return;
         }
 
-        if (new Date(startDate) > new Date(endDate)) {
+        if (startDate > endDate) {
             this.showError('Start date must be before end date');
             return;
         }
 
         // Update filter state
-        this.dateFilter.startDate = new Date(startDate);
-        this.dateFilter.endDate = new Date(endDate + 'T23:59:59'); // Include full end date
+        this.dateFilter.startDate = startDate;
+        this.dateFilter.endDate = endDate;
         this.dateFilter.isActive = true;
 
         // Apply filter and re-render
         this.applyFilterToData();
-        
+
         this.showLoading();
-        
+
         // Destroy old charts
         this.destroyAllCharts();
-        
+
         // Re-create analytics with filtered data
-        this.analytics = new WhatsAppAnalytics(this.parsedData);
-        
+        this.analytics = this.createAnalytics();
+
         // Re-render everything
         this.renderAnalytics();
-        
+
         this.hideLoading();
-        
+
+        this.chats[this.activeChat].dateFilter = { ...this.dateFilter };
+        this.updateSavedChat();
+
         console.log(`Applied date filter: ${startDate} to ${endDate}`);
     }
 
     resetDateFilter() {
+        if (!this.originalParsedData) return;
+
         // Reset filter state
         this.dateFilter.startDate = null;
         this.dateFilter.endDate = null;
         this.dateFilter.isActive = false;
 
         // Restore original data
-        this.parsedData = parser.parse(this.originalRawText);
-        
+        this.parsedData = { ...this.originalParsedData, messages: [...this.originalParsedData.messages] };
+
         // Reset input values to full range
         this.initializeDateFilterInputs();
 
         this.showLoading();
-        
+
         // Destroy old charts
         this.destroyAllCharts();
-        
+
         // Re-create analytics with original data
-        this.analytics = new WhatsAppAnalytics(this.parsedData);
-        
+        this.analytics = this.createAnalytics();
+
         // Re-render everything
         this.renderAnalytics();
-        
-        this.hideLoading();
-        
-        console.log('Reset date filter to show all data');
-    }
 
-    applyFilterToData() {
-        if (!this.dateFilter.isActive || !this.originalRawText) return;
+        this.hideLoading();
 
-        // Filter raw text by date range
-        const filteredText = this.filterTextByDateRange(this.originalRawText);
-        
-        // Parse the filtered text
-        this.parsedData = parser.parse(filteredText);
+        this.chats[this.activeChat].dateFilter = { ...this.dateFilter };
+        this.updateSavedChat();
 
-        console.log(`Filtered text and re-parsed: ${this.parsedData.messages.length} messages in filtered range`);
+        console.log('Reset date filter to show all data');
     }
 
-    filterTextByDateRange(text) {
-        const lines = text.split('\n');
-        const filteredLines = [];
-        
-        let currentMessageDate = null;
-        let isInRange = false;
-
-        for (const line of lines) {
-            let lineDate = null;
-            
-            // Try to extract date using parser's patterns (both message and system patterns)
-            const allPatterns = [...parser.messagePatterns, ...parser.systemMessagePatterns];
-            for (const pattern of allPatterns) {
-                const match = line.match(pattern);
-                if (match) {
-                    lineDate = this.parseDateFromMatch(match);
-                    if (lineDate) {
-                        currentMessageDate = lineDate;
-                        isInRange = this.isDateInRange(lineDate);
-                        break;
-                    }
-                }
-            }
+    applyFilterToData() {
+        if (!this.dateFilter.isActive || !this.originalParsedData) return;
 
-            // If this line starts a new message, check if it's in range
-            if (lineDate) {
-                if (isInRange) {
-                    filteredLines.push(line);
-                }
-            } else if (isInRange && currentMessageDate) {
-                // This is a continuation line of a message that's in range
-                filteredLines.push(line);
-            }
-        }
+        // Filter the already-parsed messages; no need to re-read the file
+        const filtered = this.originalParsedData.messages.filter(msg => this.isDateInRange(msg.metadata.dateKey));
+        this.parsedData = {
+            ...this.originalParsedData,
+            ...parser.fromMessages(filtered)
+        };
 
-        const filteredText = filteredLines.join('\n');
-        console.log(`Filtered text from ${lines.length} lines to ${filteredLines.length} lines`);
-        
-        return filteredText;
+        console.log(`Filtered messages: ${this.parsedData.messages.length} messages in filtered range`);
     }
 
-    parseDateFromMatch(match) {
-        try {
-            // Extract the full date-time string (first capture group)
-            const dateTimeStr = match[1];
-            
-            // Parse the date using parser's existing methods
-            const { date, time } = parser.parseTimestampString(dateTimeStr);
-            return parser.parseTimestamp(date, time);
-        } catch (error) {
-            console.warn('Error parsing date from match:', error);
-            return null;
-        }
-    }
+    isDateInRange(dateKey) {
+        if (!this.dateFilter.isActive || !dateKey) return true;
 
-    isDateInRange(date) {
-        if (!this.dateFilter.isActive || !date) return true;
-        
-        return date >= this.dateFilter.startDate && date <= this.dateFilter.endDate;
+        // 'YYYY-MM-DD' keys compare correctly as strings
+        return dateKey >= this.dateFilter.startDate && dateKey <= this.dateFilter.endDate;
     }
 
 }
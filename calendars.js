@@ -0,0 +1,98 @@
+// Calendar Conversion
+//
+// Some Persian phones export Jalali (Solar Hijri) dates and Thai phones
+// Buddhist-era years. The parser converts both to Gregorian timestamps;
+// the original calendar is kept so the UI can display dates in it.
+
+export const CALENDARS = {
+    GREGORIAN: 'gregory',
+    PERSIAN: 'persian',
+    BUDDHIST: 'buddhist'
+};
+
+export const CALENDAR_LABELS = {
+    gregory: 'Gregorian',
+    persian: 'Persian (Jalali)',
+    buddhist: 'Buddhist era'
+};
+
+// Buddhist era = Gregorian year + 543
+const BUDDHIST_YEAR_OFFSET = 543;
+
+/**
+ * Decide the calendar from the four-digit years seen in a file
+ * @param {number[]} years - Year values as written in the export
+ * @returns {string} One of CALENDARS
+ */
+export function detectCalendar(years) {
+    const fullYears = years.filter(year => year >= 1000);
+    if (fullYears.length === 0) return CALENDARS.GREGORIAN;
+
+    // Majority vote keeps one stray date from switching the whole file
+    const persian = fullYears.filter(year => year >= 1300 && year < 1500).length;
+    const buddhist = fullYears.filter(year => year >= 2400 && year < 2700).length;
+    const half = fullYears.length / 2;
+
+    if (persian > half) return CALENDARS.PERSIAN;
+    if (buddhist > half) return CALENDARS.BUDDHIST;
+    return CALENDARS.GREGORIAN;
+}
+
+/**
+ * Convert a date in the given calendar to Gregorian
+ * @returns {number[]} [year, month (1-12), day]
+ */
+export function toGregorian(calendar, year, month, day) {
+    if (calendar === CALENDARS.PERSIAN) return jalaliToGregorian(year, month, day);
+    if (calendar === CALENDARS.BUDDHIST) return [year - BUDDHIST_YEAR_OFFSET, month, day];
+    return [year, month, day];
+}
+
+/**
+ * Number of days in a month of the given calendar (month is 1-12)
+ */
+export function daysInMonth(calendar, year, month) {
+    if (calendar === CALENDARS.PERSIAN) {
+        // Esfand has 29 days, 30 in leap years; accept 30 rather than compute leap years
+        if (month <= 6) return 31;
+        return 30;
+    }
+    const [gregorianYear] = toGregorian(calendar, year, month, 1);
+    return new Date(gregorianYear, month, 0).getDate();
+}
+
+/**
+ * Jalali -> Gregorian using the 33-year cycle arithmetic (valid for 1-3177 AP)
+ */
+function jalaliToGregorian(jy, jm, jd) {
+    jy += 1595;
+    let days = -355668 + (365 * jy) + (Math.floor(jy / 33) * 8) + Math.floor(((jy % 33) + 3) / 4) +
+        jd + (jm < 7 ? (jm - 1) * 31 : ((jm - 7) * 30) + 186);
+
+    let gy = 400 * Math.floor(days / 146097);
+    days %= 146097;
+    if (days > 36524) {
+        gy += 100 * Math.floor(--days / 36524);
+        days %= 36524;
+        if (days >= 365) days++;
+    }
+    gy += 4 * Math.floor(days / 1461);
+    days %= 1461;
+    if (days > 365) {
+        gy += Math.floor((days - 1) / 365);
+        days = (days - 1) % 365;
+    }
+
+    const isLeap = (gy % 4 === 0 && gy % 100 !== 0) || gy % 400 === 0;
+    const monthLengths = [31, isLeap ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+    let gd = days + 1;
+    let gm = 0;
+    while (gm < 12 && gd > monthLengths[gm]) {
+        gd -= monthLengths[gm];
+        gm++;
+    }
+
+    return [gy, gm + 1, gd];
+}
+
+export default toGregorian;
@@ -0,0 +1,121 @@
+// Chat Comparison: several chats side by side
+//
+// Chats differ far more in size and age than in character, so raw counts would
+// mostly compare those. Every metric here is a rate or a share instead:
+// messages per day of the chat's span, ghosts per 100 replies, each hour as a
+// share of the chat's messages and each month as messages per day. Metrics are
+// computed by WhatsAppAnalytics, so thresholds, aliases and "this is me" apply
+// exactly as on each chat's own dashboard.
+
+import { stats } from './utils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hours counted as night, [start, end)
+const NIGHT_HOURS = [0, 6];
+
+function dayNumber(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return Date.UTC(year, month - 1, day) / DAY_MS;
+}
+
+/**
+ * Days of a month that fall inside the chat's span
+ * @param {string} month - 'YYYY-MM'
+ * @param {string} first - First 'YYYY-MM-DD' of the chat
+ * @param {string} last - Last 'YYYY-MM-DD' of the chat
+ */
+function daysCovered(month, first, last) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    const start = Math.max(Date.UTC(year, monthIndex - 1, 1) / DAY_MS, dayNumber(first));
+    const end = Math.min(Date.UTC(year, monthIndex, 0) / DAY_MS, dayNumber(last));
+    return end - start + 1;
+}
+
+function share(part, total) {
+    return total ? stats.round((part / total) * 100) : null;
+}
+
+/**
+ * Comparable metrics of one chat
+ * @param {WhatsAppAnalytics} analytics - Analytics of the chat as its dashboard shows it
+ * @returns {Object} { messageCount, days, messagesPerDay, activeDayShare, medianReply, myMedianReply,
+ *   theirMedianReply, initiation: { name, share, isSelf }, ghostsPer100Replies, doubleTextShare,
+ *   nightShare, persona, hourlyShare: number[24], monthlyRate: { 'YYYY-MM': messages per day } }
+ */
+export function summarizeChat(analytics) {
+    const messages = analytics.userMessages;
+    const messageCount = messages.length;
+    if (!messageCount) return null;
+
+    const first = messages[0].metadata.dateKey;
+    const last = messages[messageCount - 1].metadata.dateKey;
+    const days = dayNumber(last) - dayNumber(first) + 1;
+    const activeDays = new Set(messages.map(msg => msg.metadata.dateKey)).size;
+
+    const responseTime = analytics.calculateResponseTimes();
+    const replies = Object.values(responseTime.distribution).reduce((sum, count) => sum + count, 0);
+    const perspective = analytics.getPerspectiveMetrics();
+
+    // Without a "me", the participant who opens the most conversations
+    const initiators = analytics.getConversationInitiators();
+    const initiations = Object.values(initiators).reduce((sum, count) => sum + count, 0);
+    const initiator = analytics.self || Object.entries(initiators).sort((a, b) => b[1] - a[1])[0][0];
+
+    const ghosts = Object.values(analytics.getGhostPeriods()).reduce((sum, ghost) => sum + ghost.totalGhosts, 0);
+    const streakMessages = Object.values(analytics.getDoubleTextingPatterns())
+        .reduce((sum, pattern) => sum + pattern.totalConsecutiveMessages, 0);
+
+    const hourly = analytics.getHourlyActivity().overall;
+    const inHours = (start, end) => hourly.slice(start, end).reduce((sum, count) => sum + count, 0);
+
+    const monthlyRate = {};
+    analytics.getMonthlyTrends().forEach(({ month, count }) => {
+        monthlyRate[month] = stats.round(count / daysCovered(month, first, last), 2);
+    });
+
+    return {
+        messageCount,
+        days,
+        messagesPerDay: stats.round(messageCount / days),
+        activeDayShare: share(activeDays, days),
+        medianReply: replies ? responseTime.overall.median : null,
+        myMedianReply: perspective ? perspective.replyTime.mine : null,
+        theirMedianReply: perspective ? perspective.replyTime.theirs : null,
+        initiation: { name: initiator, share: share(initiators[initiator], initiations), isSelf: Boolean(analytics.self) },
+        ghostsPer100Replies: replies ? stats.round((ghosts / replies) * 100) : null,
+        doubleTextShare: share(streakMessages, messageCount),
+        nightShare: share(inHours(...NIGHT_HOURS), messageCount),
+        persona: analytics.determinePrimaryPersona(inHours(0, 6), inHours(6, 12), inHours(12, 18), inHours(18, 24)),
+        hourlyShare: hourly.map(count => share(count, messageCount)),
+        monthlyRate
+    };
+}
+
+/**
+ * Line several chats up for the comparison table and charts
+ * @param {Object[]} chats - { name, analytics }
+ * @returns {Object} { chats: [{ name, ...summarizeChat() }], months: ['YYYY-MM', ...] } where
+ *   each chat's `monthly` follows `months`, null outside the chat's span; chats without
+ *   messages are left out
+ */
+export function compareChats(chats) {
+    const summaries = chats
+        .map(({ name, analytics }) => ({ name, summary: summarizeChat(analytics) }))
+        .filter(({ summary }) => summary)
+        .map(({ name, summary }) => ({ name, ...summary }));
+
+    const months = [...new Set(summaries.flatMap(chat => Object.keys(chat.monthlyRate)))].sort();
+    summaries.forEach(chat => {
+        const own = Object.keys(chat.monthlyRate).sort();
+        // A quiet month inside the chat's span is 0; before or after it there is no chat yet
+        chat.monthly = months.map(month => {
+            if (month in chat.monthlyRate) return chat.monthlyRate[month];
+            return month > own[0] && month < own[own.length - 1] ? 0 : null;
+        });
+    });
+
+    return { chats: summaries, months };
+}
+
+export default compareChats;
@@ -0,0 +1,156 @@
+// Chat Export Format Detection
+//
+// Sniffs the start of a file to decide which parser handles it. Kept free of
+// DOM access so the parser worker can import it too.
+
+import { WhatsAppParser } from './parser.js';
+import { normalizeLine } from './lineNormalizer.js';
+import { TelegramParser } from './telegramParser.js';
+import { MessengerParser } from './messengerParser.js';
+import { SmsBackupParser } from './smsBackupParser.js';
+
+export const CHAT_FORMATS = {
+    WHATSAPP: 'whatsapp',
+    TELEGRAM: 'telegram',
+    MESSENGER: 'messenger',
+    SMS: 'sms'
+};
+
+// Display names for pickers and previews
+export const CHAT_FORMAT_LABELS = {
+    whatsapp: 'WhatsApp',
+    telegram: 'Telegram',
+    messenger: 'Messenger/Instagram',
+    sms: 'SMS backup'
+};
+
+// Bytes read from the start of a file for sniffing
+const SNIFF_BYTES = 8192;
+
+/**
+ * Detect the export format of a text or JSON file
+ * @param {File|Blob} source - The file to inspect
+ * @param {string} [encoding] - TextDecoder label of the file
+ * @returns {Promise<string|null>} One of CHAT_FORMATS, or null if unrecognised
+ */
+export async function detectChatFormat(source, encoding = 'utf-8') {
+    const buffer = await source.slice(0, SNIFF_BYTES).arrayBuffer();
+    // stream: true so a character cut off by the slice is dropped rather than garbled
+    const head = new TextDecoder(encoding).decode(buffer, { stream: true });
+    return detectChatFormatFromText(head);
+}
+
+/**
+ * Detect the export format from the first few KB of text
+ */
+export function detectChatFormatFromText(head) {
+    if (TelegramParser.canParse(head)) return CHAT_FORMATS.TELEGRAM;
+    if (MessengerParser.canParse(head)) return CHAT_FORMATS.MESSENGER;
+    if (SmsBackupParser.canParse(head)) return CHAT_FORMATS.SMS;
+
+    // WhatsApp exports have no header; look for a line the parser recognises
+    const parser = new WhatsAppParser();
+    const lines = head.split('\n').slice(0, 50).map(normalizeLine);
+    if (lines.some(line => parser.tryParseMessage(line).success || parser.tryParseSystemMessage(line).success)) {
+        return CHAT_FORMATS.WHATSAPP;
+    }
+
+    return null;
+}
+
+/**
+ * Lines in a file, counted on its raw bytes in one streaming pass
+ * @param {Blob} source - The file
+ * @param {string} encoding - TextDecoder label of the file
+ */
+async function countLines(source, encoding) {
+    const label = encoding.toLowerCase();
+    // UTF-16 newlines are two bytes: 0x0A 0x00 (little-endian) or 0x00 0x0A (big-endian)
+    const newline = label === 'utf-16le' ? [0x0a, 0x00] : label === 'utf-16be' ? [0x00, 0x0a] : null;
+
+    let count = 0;
+    let position = 0;
+    let previous = 0;
+    let atLineStart = true;
+    const reader = source.stream().getReader();
+    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+        const bytes = chunk.value;
+        for (let i = 0; i < bytes.length; i++, position++) {
+            const byte = bytes[i];
+            atLineStart = newline
+                ? position % 2 === 1 && previous === newline[0] && byte === newline[1]
+                : byte === 0x0a;
+            if (atLineStart) count++;
+            previous = byte;
+        }
+    }
+
+    // A last line without a trailing newline still counts
+    return atLineStart ? count : count + 1;
+}
+
+/**
+ * Quick look at a text export without decoding all of it: the format and first
+ * date come from its first few KB, the last date from its last few KB, and the
+ * line count from its raw bytes
+ * @param {File|Blob} source - The file to inspect
+ * @param {string} [encoding] - TextDecoder label of the file
+ * @returns {Promise<Object>} { format, lineCount, firstDate, lastDate }; dates are null unless WhatsApp
+ */
+export async function previewChatFile(source, encoding = 'utf-8') {
+    const decode = async (blob) => new TextDecoder(encoding).decode(await blob.arrayBuffer(), { stream: true });
+    const head = await decode(source.slice(0, SNIFF_BYTES));
+    const format = detectChatFormatFromText(head);
+    const preview = { format, lineCount: await countLines(source, encoding), firstDate: null, lastDate: null };
+    if (format !== CHAT_FORMATS.WHATSAPP) return preview;
+
+    // The slices may cut the last line of the head and the first line of the tail
+    const headLines = head.split('\n');
+    if (source.size > SNIFF_BYTES) headLines.pop();
+    const lines = headLines.map(normalizeLine).filter(Boolean);
+    const tailLines = source.size > SNIFF_BYTES
+        ? (await decode(source.slice(-SNIFF_BYTES))).split('\n').slice(1).map(normalizeLine).filter(Boolean)
+        : lines;
+
+    const parser = new WhatsAppParser();
+    parser.dateFormat = parser.detectDateFormat(lines);
+
+    const dateOf = (line) => {
+        const lineMatch = parser.tryParseMessage(line);
+        const match = lineMatch.success ? lineMatch : parser.tryParseSystemMessage(line);
+        if (!match.success) return null;
+        const { date, time } = parser.parseTimestampString(match.match[1]);
+        return parser.parseTimestamp(date, time);
+    };
+
+    for (let i = 0; i < lines.length && !preview.firstDate; i++) preview.firstDate = dateOf(lines[i]);
+    for (let i = tailLines.length - 1; i >= 0 && !preview.lastDate; i--) preview.lastDate = dateOf(tailLines[i]);
+
+    return preview;
+}
+
+/**
+ * Whether a format may be split over several files that are parsed together
+ * (Messenger's message_1.json, message_2.json, ...)
+ */
+export function isMultiFileFormat(format) {
+    return format === CHAT_FORMATS.MESSENGER;
+}
+
+/**
+ * Create the whole-file parser for formats that cannot be streamed line by line
+ * @param {string} format - One of CHAT_FORMATS
+ * @returns {Object|null} Parser with a parse(text | text[], { onProgress }) method, or null for WhatsApp
+ */
+export function createDocumentParser(format) {
+    switch (format) {
+        case CHAT_FORMATS.TELEGRAM:
+            return new TelegramParser();
+        case CHAT_FORMATS.MESSENGER:
+            return new MessengerParser();
+        case CHAT_FORMATS.SMS:
+            return new SmsBackupParser();
+        default:
+            return null;
+    }
+}
@@ -0,0 +1,346 @@
+// Chat Library: parsed chats saved on this device in IndexedDB
+//
+// A saved chat is two records with the same id: a small summary for the
+// library cards and the full entry (parsed messages, the original files for
+// re-parsing, and settings such as aliases, filters and thresholds), so
+// listing the library never loads every chat's messages. With a passphrase
+// set (vault.js) both records are stored sealed: { id, savedAt, sealed }, and
+// the passphrase's salt and check value live in the meta store, so changing the
+// passphrase re-seals the chats and stores the new salt in one transaction.
+// The unlocked (non-extractable) key is kept in the sessions store under an id
+// held in sessionStorage, so it lasts as long as the tab: reloads stay
+// unlocked, while a new tab, a manual lock or IDLE_LOCK_MS of inactivity asks
+// for the passphrase again.
+// Nothing is sent anywhere; wipeLibrary() deletes the database and the
+// per-chat settings kept in localStorage.
+
+import {
+    IDLE_LOCK_MS, applyVaultKey, createVaultKey, getVaultSession, isVaultEnabled, isVaultLocked, lockVault, openValue,
+    resetVault, resumeVault, sealValue, setVaultMeta, stageVaultKey, unlockVault
+} from './vault.js';
+
+const DB_NAME = 'whattrace';
+const DB_VERSION = 3;
+const SUMMARY_STORE = 'summaries';
+const CHAT_STORE = 'chats';
+const META_STORE = 'meta';
+const SESSION_STORE = 'sessions';
+const VAULT_META_ID = 'vault';
+
+// sessionStorage key naming this tab's record in the sessions store
+const SESSION_ID_KEY = 'whattrace-vault-session';
+
+// localStorage keys written by aliases.js and perspective.js
+const SETTINGS_PREFIX = 'whattrace.';
+
+let connection = null;
+
+// lastActive of the kept key as last written, to skip rewriting it unchanged
+let keptActive = null;
+
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Saving to the chat library was aborted'));
+    });
+}
+
+function openDatabase() {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('This browser cannot store chats (IndexedDB is unavailable)'));
+    }
+
+    if (!connection) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(SUMMARY_STORE)) db.createObjectStore(SUMMARY_STORE, { keyPath: 'id' });
+            if (!db.objectStoreNames.contains(CHAT_STORE)) db.createObjectStore(CHAT_STORE, { keyPath: 'id' });
+            if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE, { keyPath: 'id' });
+            if (!db.objectStoreNames.contains(SESSION_STORE)) db.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+        };
+        connection = requestResult(request)
+            .then(async db => {
+                // Another tab upgrading or wiping the database must not wait on this one
+                db.onversionchange = () => {
+                    db.close();
+                    connection = null;
+                };
+                const record = await requestResult(db.transaction(META_STORE).objectStore(META_STORE).get(VAULT_META_ID));
+                if (record) {
+                    const { id, ...vaultMeta } = record;
+                    setVaultMeta(vaultMeta);
+                } else {
+                    setVaultMeta(null);
+                }
+                await resumeSession(db);
+                return db;
+            })
+            .catch(error => {
+                connection = null;
+                throw error;
+            });
+    }
+    return connection;
+}
+
+/**
+ * Open the library and load whether (and how) it is encrypted, unlocking it
+ * again if this tab did earlier; call before relying on isVaultEnabled()
+ */
+export async function openLibrary() {
+    await openDatabase();
+}
+
+function sessionId() {
+    try {
+        return sessionStorage.getItem(SESSION_ID_KEY);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Drop kept keys that have gone idle (tabs closed or left alone), then unlock
+ * with this tab's one if it is still good
+ */
+async function resumeSession(db) {
+    const sessions = await getAll(db, SESSION_STORE);
+    const expired = sessions.filter(session => Date.now() - session.lastActive > IDLE_LOCK_MS);
+    if (expired.length) {
+        const transaction = db.transaction(SESSION_STORE, 'readwrite');
+        expired.forEach(session => transaction.objectStore(SESSION_STORE).delete(session.id));
+        await transactionDone(transaction);
+    }
+
+    // resumeVault() also turns down one that has gone idle
+    const own = sessions.find(session => session.id === sessionId());
+    if (own && !(await resumeVault(own))) await forgetSession(db);
+}
+
+/**
+ * Keep the unlocked key for the rest of this tab's session, or forget it once locked
+ */
+async function storeSession(db) {
+    const session = getVaultSession();
+    if (!session) {
+        await forgetSession(db);
+        return;
+    }
+
+    let id = sessionId();
+    if (!id) {
+        id = crypto.randomUUID();
+        sessionStorage.setItem(SESSION_ID_KEY, id);
+    }
+    const transaction = db.transaction(SESSION_STORE, 'readwrite');
+    transaction.objectStore(SESSION_STORE).put({ id, ...session });
+    await transactionDone(transaction);
+    keptActive = session.lastActive;
+}
+
+async function forgetSession(db) {
+    const id = sessionId();
+    if (!id) return;
+    sessionStorage.removeItem(SESSION_ID_KEY);
+    const transaction = db.transaction(SESSION_STORE, 'readwrite');
+    transaction.objectStore(SESSION_STORE).delete(id);
+    await transactionDone(transaction);
+}
+
+/**
+ * Unlock with the passphrase and keep the key for this tab's session
+ * @throws {Error} When the passphrase is wrong
+ */
+export async function unlockLibrary(passphrase) {
+    const db = await openDatabase();
+    await unlockVault(passphrase);
+    await storeSession(db);
+}
+
+/**
+ * Lock now and forget the kept key
+ */
+export async function lockLibrary() {
+    lockVault();
+    const db = await openDatabase();
+    await forgetSession(db);
+}
+
+/**
+ * Record the latest activity on the kept key, so its idle timeout runs from there
+ */
+export async function keepLibrarySession() {
+    const session = getVaultSession();
+    if (!session || session.lastActive === keptActive) return;
+    await storeSession(await openDatabase());
+}
+
+/**
+ * Card data for a chat entry
+ * @param {Object} chat - App chat entry ({ name, format, parsedData, ... })
+ */
+function summarize(chat) {
+    const { parsedData } = chat;
+    return {
+        name: chat.name || parsedData.chatName || null,
+        format: chat.format,
+        participants: parsedData.participants,
+        start: parsedData.dateRange.start,
+        end: parsedData.dateRange.end,
+        messageCount: parsedData.messages.filter(msg => !msg.isSystem).length
+    };
+}
+
+/**
+ * Summary and chat records for a saved chat, sealed when `encrypt` is set
+ * @param {CryptoKey} [key] - Key to seal with; the vault's session key when omitted
+ */
+async function toRecords(id, savedAt, summary, chat, encrypt, key) {
+    if (!encrypt) return [{ id, savedAt, ...summary }, { id, savedAt, chat }];
+    return [
+        { id, savedAt, sealed: await sealValue(summary, key) },
+        { id, savedAt, sealed: await sealValue(chat, key) }
+    ];
+}
+
+async function readSummary(record) {
+    return record.sealed ? { id: record.id, savedAt: record.savedAt, ...await openValue(record.sealed) } : record;
+}
+
+async function readChat(record) {
+    return record.sealed ? openValue(record.sealed) : record.chat;
+}
+
+function getAll(db, storeName) {
+    return requestResult(db.transaction(storeName).objectStore(storeName).getAll());
+}
+
+/**
+ * Summaries of every saved chat, most recently saved first
+ * @returns {Promise<Object[]>} { id, savedAt, name, format, participants, start, end, messageCount }
+ */
+export async function listChats() {
+    const db = await openDatabase();
+    const summaries = await Promise.all((await getAll(db, SUMMARY_STORE)).map(readSummary));
+    return summaries.sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * Full saved entry
+ * @returns {Promise<Object|null>} The chat entry as it was saved
+ */
+export async function loadChat(id) {
+    const db = await openDatabase();
+    const record = await requestResult(db.transaction(CHAT_STORE).objectStore(CHAT_STORE).get(id));
+    return record ? readChat(record) : null;
+}
+
+/**
+ * Save a chat entry, replacing the one with the same id
+ * @param {Object} chat - App chat entry; must be structured-cloneable
+ * @param {string} [id] - Existing library id; a new one is created when omitted
+ * @returns {Promise<string>} Library id
+ */
+export async function saveChat(chat, id = null) {
+    const db = await openDatabase();
+    const key = id || crypto.randomUUID();
+    // Sealed before the transaction opens: it would commit while awaiting WebCrypto
+    const [summaryRecord, chatRecord] = await toRecords(key, new Date(), summarize(chat), chat, isVaultEnabled());
+
+    const transaction = db.transaction([SUMMARY_STORE, CHAT_STORE], 'readwrite');
+    transaction.objectStore(SUMMARY_STORE).put(summaryRecord);
+    transaction.objectStore(CHAT_STORE).put(chatRecord);
+    await transactionDone(transaction);
+    return key;
+}
+
+export async function deleteChat(id) {
+    const db = await openDatabase();
+    const transaction = db.transaction([SUMMARY_STORE, CHAT_STORE], 'readwrite');
+    transaction.objectStore(SUMMARY_STORE).delete(id);
+    transaction.objectStore(CHAT_STORE).delete(id);
+    await transactionDone(transaction);
+}
+
+/**
+ * Set, change or (with null) remove the passphrase, re-sealing every saved chat
+ * and setting under it. The vault must be unlocked.
+ * @param {string|null} passphrase
+ */
+export async function setLibraryPassphrase(passphrase) {
+    const db = await openDatabase();
+    if (isVaultLocked()) throw new Error('Unlock the library first');
+    if (passphrase === null && !isVaultEnabled()) return;
+    const vaultKey = await createVaultKey(passphrase);
+
+    // All in memory, then one transaction: a chat must never be left under the old key
+    const [summaries, chats] = await Promise.all([getAll(db, SUMMARY_STORE), getAll(db, CHAT_STORE)]);
+    const chatsById = new Map(chats.map(record => [record.id, record]));
+    const records = [];
+    for (const record of summaries) {
+        const chatRecord = chatsById.get(record.id);
+        if (!chatRecord) continue;
+        const { id, savedAt, ...summary } = await readSummary(record);
+        records.push(await toRecords(id, savedAt, summary, await readChat(chatRecord), Boolean(vaultKey), vaultKey && vaultKey.key));
+    }
+
+    // Settings become readable under either key first; chats and the new salt then switch together
+    await stageVaultKey(vaultKey);
+    const transaction = db.transaction([SUMMARY_STORE, CHAT_STORE, META_STORE], 'readwrite');
+    records.forEach(([summaryRecord, chatRecord]) => {
+        transaction.objectStore(SUMMARY_STORE).put(summaryRecord);
+        transaction.objectStore(CHAT_STORE).put(chatRecord);
+    });
+    if (vaultKey) transaction.objectStore(META_STORE).put({ id: VAULT_META_ID, ...vaultKey.meta });
+    else transaction.objectStore(META_STORE).delete(VAULT_META_ID);
+    await transactionDone(transaction);
+
+    await applyVaultKey(vaultKey);
+    await storeSession(db);
+}
+
+/**
+ * Delete every saved chat and every per-chat setting (aliases, "this is me")
+ * along with the passphrase
+ */
+export async function wipeLibrary() {
+    if (connection) {
+        // An open connection would block the delete
+        const db = await connection.catch(() => null);
+        if (db) db.close();
+        connection = null;
+    }
+
+    resetVault();
+    try {
+        sessionStorage.removeItem(SESSION_ID_KEY);
+    } catch (error) {
+        // No sessionStorage: nothing was kept
+    }
+
+    // Backwards, as removing a key shifts the ones after it
+    for (let i = localStorage.length - 1; i >= 0; i--) {
+        const key = localStorage.key(i);
+        if (key && key.startsWith(SETTINGS_PREFIX)) localStorage.removeItem(key);
+    }
+
+    if (typeof indexedDB !== 'undefined') {
+        const request = indexedDB.deleteDatabase(DB_NAME);
+        // Tabs still holding the database (one open since before this version) block the delete
+        const blocked = new Promise((resolve, reject) => {
+            request.onblocked = () => reject(new Error('Close WhatTrace in your other tabs, then wipe again'));
+        });
+        await Promise.race([requestResult(request), blocked]);
+    }
+}
+
+export default listChats;
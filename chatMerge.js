@@ -0,0 +1,157 @@
+// Chat Merging: several exports of the same chat as one timeline
+//
+// WhatsApp caps how many messages an export holds, so a long chat arrives as
+// several overlapping exports, sometimes one from each phone. The same
+// message then differs between files in everything but its meaning: the
+// date format, the language of "<Media omitted>", whether the exporter is
+// "You" or their name, and (between phones) the minute it was logged.
+// Messages are compared on a key that ignores those differences, and sender
+// names in the incoming export are mapped onto the existing ones by looking
+// at which senders wrote the messages both files share.
+
+import { SYSTEM_EVENT_TYPES } from './systemEvents.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Phones log the same message up to this many minutes apart
+const TIMESTAMP_TOLERANCE_MINUTES = 1;
+
+// Trailing "<This message was edited>" in any language
+const EDITED_SUFFIX = /\s*<[^<>]*>\s*$/;
+
+/**
+ * What a message says, independent of the export's language
+ */
+function contentKey(msg) {
+    const { metadata } = msg;
+    if (msg.isSystem && msg.systemEvent && msg.systemEvent.type !== SYSTEM_EVENT_TYPES.OTHER) {
+        // Who did what to whom: "Anna added Bob" and "Anna added Carl" in one minute are two events
+        const { type, actor, targets, details } = msg.systemEvent;
+        return `\u0000event:${type}|${actor || ''}|${[...targets].sort().join(',')}|${JSON.stringify(details)}`;
+    }
+    if (metadata.isDeleted) return '\u0000deleted';
+    if (metadata.callType) return `\u0000call:${metadata.callType}:${metadata.isMissedCall}`;
+    // Attachment names differ between Android and iPhone exports
+    if (metadata.isMedia) return '\u0000media';
+
+    const content = metadata.isEdited ? msg.content.replace(EDITED_SUFFIX, '') : msg.content;
+    return content.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+function minuteOf(msg) {
+    return Math.floor(msg.timestamp.getTime() / MINUTE_MS);
+}
+
+/**
+ * Minutes to look in for a message's twin, its own first
+ */
+function nearbyMinutes(minute) {
+    const minutes = [minute];
+    for (let offset = 1; offset <= TIMESTAMP_TOLERANCE_MINUTES; offset++) {
+        minutes.push(minute - offset, minute + offset);
+    }
+    return minutes;
+}
+
+/**
+ * Map the incoming export's sender names onto the existing ones
+ * ("You" -> "Anna", "+49 151 ..." -> "Bob") by who wrote the shared messages
+ * @returns {Object} { incomingName: existingName } for names that differ
+ */
+export function matchSenders(existing, incoming) {
+    const byMoment = new Map();
+    existing.forEach(msg => {
+        if (msg.isSystem || msg.metadata.isMedia || msg.metadata.isDeleted) return;
+        const key = `${minuteOf(msg)}|${contentKey(msg)}`;
+        if (!byMoment.has(key)) byMoment.set(key, new Set());
+        byMoment.get(key).add(msg.sender);
+    });
+
+    // votes[incomingName][existingName] = shared messages
+    const votes = {};
+    incoming.forEach(msg => {
+        if (msg.isSystem || msg.metadata.isMedia || msg.metadata.isDeleted) return;
+        const content = contentKey(msg);
+        const minute = nearbyMinutes(minuteOf(msg)).find(m => byMoment.has(`${m}|${content}`));
+        if (minute === undefined) return;
+
+        const senders = byMoment.get(`${minute}|${content}`);
+        // Two people saying "ok" in the same minute proves nothing
+        if (senders.size !== 1) return;
+        const [existingName] = senders;
+        votes[msg.sender] = votes[msg.sender] || {};
+        votes[msg.sender][existingName] = (votes[msg.sender][existingName] || 0) + 1;
+    });
+
+    const mapping = {};
+    Object.entries(votes).forEach(([incomingName, counts]) => {
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        const [bestName, bestCount] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+        if (bestName !== incomingName && bestCount * 2 > total) {
+            mapping[incomingName] = bestName;
+        }
+    });
+    return mapping;
+}
+
+/**
+ * An incoming message with its sender, and the people its system event names, mapped by matchSenders()
+ */
+function renameMessage(msg, renamed) {
+    const rename = (name) => renamed[name] || name;
+    const event = msg.systemEvent;
+    const renamesEvent = event && ((event.actor && renamed[event.actor]) || event.targets.some(name => renamed[name]));
+    if (!renamed[msg.sender] && !renamesEvent) return msg;
+
+    return {
+        ...msg,
+        sender: rename(msg.sender),
+        systemEvent: renamesEvent
+            ? { ...event, actor: event.actor && rename(event.actor), targets: event.targets.map(rename) }
+            : event
+    };
+}
+
+/**
+ * Merge an export's messages into an existing timeline, dropping the ones it already has
+ * @param {Object[]} existing - Messages already loaded, in chronological order
+ * @param {Object[]} incoming - Messages of another export of the same chat
+ * @returns {Object} { messages, added, duplicates, renamed } where renamed maps
+ *   incoming sender names to the existing names they were merged into
+ */
+export function mergeMessages(existing, incoming) {
+    const renamed = matchSenders(existing, incoming);
+
+    // Multiset: a file may hold the same "ok" twice in a minute, and both are real
+    const remaining = new Map();
+    const keyOf = (msg, minute) => `${minute}|${msg.isSystem ? '' : msg.sender}|${contentKey(msg)}`;
+    existing.forEach(msg => {
+        const key = keyOf(msg, minuteOf(msg));
+        remaining.set(key, (remaining.get(key) || 0) + 1);
+    });
+
+    const additions = [];
+    let duplicates = 0;
+    incoming.forEach(original => {
+        const msg = renameMessage(original, renamed);
+        const key = nearbyMinutes(minuteOf(msg))
+            .map(minute => keyOf(msg, minute))
+            .find(candidate => remaining.get(candidate) > 0);
+
+        if (key) {
+            remaining.set(key, remaining.get(key) - 1);
+            duplicates++;
+        } else {
+            additions.push(msg);
+        }
+    });
+
+    // Array sort is stable: at equal timestamps, messages already loaded keep their order and come first
+    const messages = additions.length
+        ? [...existing, ...additions].sort((a, b) => a.timestamp - b.timestamp)
+        : existing;
+
+    return { messages, added: additions.length, duplicates, renamed };
+}
+
+export default mergeMessages;
@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+// WhatTrace command line: analyse chat exports without a browser
+//
+// Runs the dashboard's parsers and WhatsAppAnalytics.getComprehensiveSummary()
+// on WhatsApp .txt/.zip, Telegram result.json, Messenger message_N.json and
+// SMS Backup .xml files, and writes JSON, CSV or Markdown to stdout or files.
+//
+//   node cli.js chat.txt --format md
+//   node cli.js exports/*.zip --format csv --out results/
+
+import { mkdir, readFile, stat, writeFile } from 'node:fs/promises';
+import { basename, extname, join } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { analyzeChats, DATE_FORMATS, DEFAULT_THRESHOLDS } from './whattrace.js';
+import { ENCODINGS } from './textEncoding.js';
+import { getViewerTimeZone, isValidTimeZone } from './timezones.js';
+import { displaySettings, formatters, formatNumber } from './utils.js';
+
+const OUTPUT_FORMATS = { json: 'json', csv: 'csv', md: 'md', markdown: 'md' };
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const USAGE = `Usage: whattrace <file...> [options]
+
+Analyse WhatsApp (.txt/.zip), Telegram (result.json), Messenger/Instagram
+(message_N.json) and SMS Backup & Restore (.xml) exports.
+
+Output:
+  -f, --format <json|csv|md>   Output format (default: json)
+  -o, --out <path>             Write to a file, or to a directory (one file per
+                               chat) when it ends in / or several chats are read
+  -v, --verbose                Print parser progress to stderr
+
+Filters:
+      --from <YYYY-MM-DD>      First day to include (in the chat's time zone)
+      --to <YYYY-MM-DD>        Last day to include
+  -p, --participants <names>   Comma-separated senders to keep (repeatable)
+      --me <name>              Participant who exported the chat (me-vs-them metrics)
+
+Thresholds:
+      --conversation-gap <h>   Hours of silence that end a conversation (default: ${DEFAULT_THRESHOLDS.conversationGap / HOUR_MS})
+      --ghost-gap <h>          Reply delay in hours counted as ghosting (default: ${DEFAULT_THRESHOLDS.ghostGap / HOUR_MS})
+      --min-responses <n>      Responses an hour needs to rank as a best time (default: ${DEFAULT_THRESHOLDS.minResponses})
+
+Parsing:
+      --date-format <format>   ${DATE_FORMATS.join(', ')} (default: inferred)
+      --encoding <label>       ${ENCODINGS.join(', ')} (default: detected)
+      --time-zone <zone>       IANA zone the export was written in (default: ${getViewerTimeZone()})
+      --thread <name|key>      SMS backup conversation (default: the busiest)
+
+  -h, --help                   Show this help`;
+
+/**
+ * Read and validate command-line arguments
+ * @returns {Object} { files, format, out, verbose, filters, analytics, parse }
+ */
+function parseOptions(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', short: 'f', default: 'json' },
+            out: { type: 'string', short: 'o' },
+            verbose: { type: 'boolean', short: 'v', default: false },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            participants: { type: 'string', short: 'p', multiple: true },
+            me: { type: 'string' },
+            'conversation-gap': { type: 'string' },
+            'ghost-gap': { type: 'string' },
+            'min-responses': { type: 'string' },
+            'date-format': { type: 'string' },
+            encoding: { type: 'string' },
+            'time-zone': { type: 'string' },
+            thread: { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) return { help: true };
+    if (positionals.length === 0) throw new Error('No input files given (see --help)');
+
+    const format = OUTPUT_FORMATS[values.format.toLowerCase()];
+    if (!format) throw new Error(`Unknown output format: ${values.format}`);
+
+    ['from', 'to'].forEach(flag => {
+        if (values[flag] && !/^\d{4}-\d{2}-\d{2}$/.test(values[flag])) {
+            throw new Error(`--${flag} must be a date like 2024-01-31`);
+        }
+    });
+    if (values['date-format'] && !DATE_FORMATS.includes(values['date-format'])) {
+        throw new Error(`Unknown date format: ${values['date-format']}`);
+    }
+    if (values.encoding && !ENCODINGS.includes(values.encoding.toLowerCase())) {
+        throw new Error(`Unsupported encoding: ${values.encoding}`);
+    }
+    if (values['time-zone'] && !isValidTimeZone(values['time-zone'])) {
+        throw new Error(`Unknown time zone: ${values['time-zone']}`);
+    }
+
+    const thresholds = {};
+    if (values['conversation-gap']) thresholds.conversationGap = positiveNumber(values['conversation-gap'], 'conversation-gap') * HOUR_MS;
+    if (values['ghost-gap']) thresholds.ghostGap = positiveNumber(values['ghost-gap'], 'ghost-gap') * HOUR_MS;
+    if (values['min-responses']) thresholds.minResponses = Math.ceil(positiveNumber(values['min-responses'], 'min-responses'));
+
+    return {
+        files: positionals,
+        format,
+        out: values.out || null,
+        verbose: values.verbose,
+        filters: {
+            from: values.from || null,
+            to: values.to || null,
+            participants: values.participants
+                ? values.participants.flatMap(list => list.split(',')).map(name => name.trim()).filter(Boolean)
+                : null
+        },
+        analytics: { self: values.me || null, thresholds },
+        parse: {
+            dateFormat: values['date-format'] || null,
+            encoding: values.encoding ? values.encoding.toLowerCase() : null,
+            timeZone: values['time-zone'] || null,
+            thread: values.thread || null
+        }
+    };
+}
+
+function positiveNumber(value, flag) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) throw new Error(`--${flag} must be a positive number`);
+    return number;
+}
+
+/**
+ * FORMATTERS
+ */
+
+function toJson(results) {
+    return `${JSON.stringify(results.length === 1 ? results[0] : results, null, 2)}\n`;
+}
+
+/**
+ * Long-format CSV (chat, metric, value) so runs diff line by line
+ */
+function toCsv(results) {
+    const rows = [['chat', 'metric', 'value']];
+    results.forEach(result => {
+        flatten(result.summary).forEach(([metric, value]) => rows.push([result.chat.name, metric, value]));
+    });
+    return `${rows.map(row => row.map(csvCell).join(',')).join('\n')}\n`;
+}
+
+function flatten(value, path = '', rows = []) {
+    if (value !== null && typeof value === 'object') {
+        Object.entries(value).forEach(([key, child]) => flatten(child, path ? `${path}.${key}` : key, rows));
+    } else {
+        rows.push([path, value === null ? '' : value]);
+    }
+    return rows;
+}
+
+function csvCell(value) {
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toMarkdown(results) {
+    return results.map(markdownReport).join('\n---\n\n');
+}
+
+function markdownReport({ chat, summary }) {
+    const { overview, messagingPatterns, contentAnalysis, temporalPatterns, engagementMetrics, perspective } = summary;
+    const duration = (ms) => ms ? formatters.formatDuration(ms) : '—';
+    const lines = [
+        `# ${chat.name}`,
+        '',
+        '## Overview',
+        '',
+        '| Metric | Value |',
+        '| --- | --- |',
+        `| Messages | ${formatNumber(overview.userMessages)} |`,
+        `| Participants | ${overview.participants.length} |`,
+        `| First message | ${formatters.formatDate(new Date(overview.dateRange.start))} |`,
+        `| Last message | ${formatters.formatDate(new Date(overview.dateRange.end))} |`,
+        `| Messages per day | ${overview.averageMessagesPerDay} |`,
+        `| Median response time | ${duration(messagingPatterns.responseTime.overall.median)} |`,
+        `| Peak hour | ${temporalPatterns.peakActivityTimes.peakHour.timeRange} |`,
+        `| Peak day | ${temporalPatterns.peakActivityTimes.peakDay.day} |`,
+        '',
+        '## Participants',
+        '',
+        '| Participant | Messages | Share | Median reply | Started | Double texts | Ghosts |',
+        '| --- | ---: | ---: | ---: | ---: | ---: | ---: |',
+        ...overview.participants.map(p => `| ${markdownCell(p)} | ${formatNumber(messagingPatterns.messageCountByParticipant.counts[p])} | ${messagingPatterns.messageCountByParticipant.percentages[p]}% | ${duration(messagingPatterns.responseTime.byParticipant.median[p])} | ${formatNumber(messagingPatterns.conversationInitiators[p])} | ${engagementMetrics.doubleTextingPatterns[p].totalInstances} | ${engagementMetrics.ghostPeriods[p].totalGhosts} |`),
+        '',
+        '## Top Words',
+        '',
+        contentAnalysis.wordFrequency.overall.slice(0, 15).map(({ word, count }) => `${markdownCell(word)} (${count})`).join(', ') || '—',
+        '',
+        '## Top Emojis',
+        '',
+        contentAnalysis.emojiAnalysis.overall.slice(0, 10).map(({ emoji, count }) => `${emoji} ${count}`).join('  ') || '—'
+    ];
+
+    if (perspective) {
+        const them = perspective.isGroup ? 'Everyone else' : markdownCell(perspective.others[0]);
+        const percent = (value) => value === null ? '—' : `${Math.round(value)}%`;
+        lines.push(
+            '',
+            `## Me vs Them (${markdownCell(perspective.self)})`,
+            '',
+            `| Metric | You | ${them} |`,
+            '| --- | ---: | ---: |',
+            `| Messages | ${formatNumber(perspective.messages.mine)} | ${formatNumber(perspective.messages.theirs)} |`,
+            `| Conversations started | ${perspective.initiations.mine} | ${perspective.initiations.theirs} |`,
+            `| Median reply time | ${duration(perspective.replyTime.mine)} | ${duration(perspective.replyTime.theirs)} |`,
+            `| Replies to the other side's openers | ${percent(perspective.reciprocity.mine)} | ${percent(perspective.reciprocity.theirs)} |`,
+            `| Openers left unanswered | ${perspective.unanswered.mine} | ${perspective.unanswered.theirs} |`,
+            '',
+            `Your share of the effort: ${Math.round(perspective.effortBalance.myShare)}% (fair share ${Math.round(perspective.effortBalance.fairShare)}%)`
+        );
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+function markdownCell(text) {
+    return String(text).replace(/\|/g, '\\|');
+}
+
+const WRITERS = { json: toJson, csv: toCsv, md: toMarkdown };
+
+/**
+ * Write all results to stdout, one file, or one file per chat in a directory
+ */
+async function writeResults(results, { format, out }) {
+    const write = WRITERS[format];
+    if (!out) {
+        process.stdout.write(write(results));
+        return;
+    }
+
+    const isDirectory = out.endsWith('/') || results.length > 1 || await stat(out).then(s => s.isDirectory(), () => false);
+    if (!isDirectory) {
+        await writeFile(out, write(results));
+        return;
+    }
+
+    await mkdir(out, { recursive: true });
+    const used = new Set();
+    for (const result of results) {
+        // Chats from different inputs can share a name
+        const safeName = (result.chat.name || 'chat').replace(/[\\/:*?"<>|]/g, '_');
+        let fileName = `${safeName}.${format}`;
+        for (let n = 2; used.has(fileName); n++) fileName = `${safeName}-${n}.${format}`;
+        used.add(fileName);
+        await writeFile(join(out, fileName), write([result]));
+    }
+}
+
+async function main(argv) {
+    const options = parseOptions(argv);
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    // Dates in Markdown show in the zone the chat was read in
+    displaySettings.timeZone = options.parse.timeZone || getViewerTimeZone();
+
+    const results = [];
+    for (const file of options.files) {
+        const bytes = new Uint8Array(await readFile(file));
+        const chats = await analyzeChats(bytes, {
+            name: basename(file, extname(file)),
+            ...options.parse,
+            ...options.filters,
+            ...options.analytics,
+            onWarning: (message, chat) => console.warn(chat ? `${file} (${chat}): ${message}` : `${file}: ${message}`),
+            // Parser progress goes to stderr; stdout is kept for results
+            onProgress: options.verbose ? (message) => console.error(message) : null
+        }).catch(error => {
+            throw new Error(`${file}: ${error.message}`);
+        });
+        results.push(...chats);
+    }
+
+    await writeResults(results, options);
+}
+
+// Piping into `head` closes stdout early; that is not an error
+process.stdout.on('error', (error) => {
+    if (error.code === 'EPIPE') process.exit(0);
+    throw error;
+});
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(`whattrace: ${error.message}`);
+    process.exitCode = 1;
+});
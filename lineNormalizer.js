@@ -0,0 +1,144 @@
+// Export Line Normalisation
+//
+// Runs on every line before the parser's patterns see it. Newer exports add
+// invisible characters around the timestamp, and many locales write the
+// AM/PM marker in their own language, sometimes before the time:
+//   "[05/01/2024, 3:04:12 PM]"  (U+200E, U+202F)
+//   "05/01/2024, 3:04 p. m. - "   (Spanish)
+//   "2024. 1. 5. 오후 3:04 - "     (Korean, marker first)
+//   "٠٥/٠١/٢٠٢٤، ٣:٠٤ م - "        (Arabic-Indic digits)
+// Everything is rewritten to "H:MM[:SS] AM|PM" with ASCII digits and plain
+// spaces, and the spaced Korean date ("2024. 1. 5.") is collapsed to "2024.1.5".
+
+// Direction marks and BOMs that exports put at the start of lines
+const LEADING_MARKS = /^[\u200e\u200f\u202a-\u202e\u2066-\u2069\ufeff]+/;
+
+// Space variants used inside timestamps (no-break, narrow no-break, thin)
+const SPACE_VARIANTS = /[\u00a0\u202f\u2009]/g;
+
+// Code point of "0" in each native digit block: Arabic-Indic, Persian,
+// Devanagari, Bengali, Gurmukhi, Gujarati, Oriya, Tamil, Telugu, Kannada,
+// Malayalam, Thai, Lao, Myanmar, Khmer
+const DIGIT_ZEROS = [0x0660, 0x06F0, 0x0966, 0x09E6, 0x0A66, 0x0AE6, 0x0B66, 0x0BE6, 0x0C66, 0x0CE6, 0x0D66, 0x0E50, 0x0ED0, 0x1040, 0x17E0];
+
+const NATIVE_DIGIT = new RegExp(`[${DIGIT_ZEROS.map(zero =>
+    `\\u${zero.toString(16).padStart(4, '0')}-\\u${(zero + 9).toString(16).padStart(4, '0')}`).join('')}]`, 'g');
+
+// Marks and punctuation found inside right-to-left timestamps
+const HEADER_MARKS = /[\u200e\u200f\u061c]/g;
+const ARABIC_COMMA = /\u060c/g;
+
+// Most lines are plain ASCII and skip the header rewrite entirely
+const NEEDS_HEADER_REWRITE = new RegExp(`${NATIVE_DIGIT.source}|[\\u200e\\u200f\\u061c\\u060c]`);
+
+// Only lines that start with a digit can be message headers
+const STARTS_WITH_DIGIT = new RegExp(`^[\\[\\(]?(?:\\d|${NATIVE_DIGIT.source})`);
+
+// Korean exports space and terminate each date part: "2024. 1. 5."
+const SPACED_DATE = /^(\d{4})\. ?(\d{1,2})\. ?(\d{1,2})\.?(?=\s)/;
+
+// Meridiem markers per locale. Order within a list does not matter; longer
+// markers are tried first when the patterns are built.
+export const MERIDIEM_MARKERS = {
+    en: { am: ['AM', 'a.m.'], pm: ['PM', 'p.m.'] },
+    es: { am: ['a. m.', 'a.m.', 'a. m'], pm: ['p. m.', 'p.m.', 'p. m'] },
+    pt: { am: ['da manhã'], pm: ['da tarde', 'da noite'] },
+    de: { am: ['vorm.'], pm: ['nachm.'] },
+    fa: { am: ['ق.ظ.', 'ق.ظ'], pm: ['ب.ظ.', 'ب.ظ'] },
+    bn: { am: ['পূর্বাহ্ণ'], pm: ['অপরাহ্ণ'] },
+    el: { am: ['π.μ.', 'π.μ'], pm: ['μ.μ.', 'μ.μ'] },
+    ar: { am: ['ص'], pm: ['م'] },
+    hi: { am: ['पूर्वाह्न'], pm: ['अपराह्न'] },
+    ko: { am: ['오전'], pm: ['오후'] },
+    ja: { am: ['午前'], pm: ['午後'] },
+    zh: { am: ['上午'], pm: ['下午'] },
+    vi: { am: ['SA'], pm: ['CH'] },
+    th: { am: ['ก่อนเที่ยง'], pm: ['หลังเที่ยง'] },
+    id: { am: ['pagi'], pm: ['sore', 'malam'] }
+};
+
+const TIME = '\\d{1,2}:\\d{2}(?::\\d{2})?';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build the before/after-time patterns for one meridiem. The prefix may not
+ * contain ':' so only the first time on the line (the timestamp) is touched.
+ */
+function buildMeridiemPatterns(key) {
+    const markers = Object.values(MERIDIEM_MARKERS)
+        .flatMap(locale => locale[key])
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegExp)
+        .join('|');
+
+    return {
+        after: new RegExp(`^([^:]{0,30}?${TIME})\\s*(?:${markers})(?=[\\]\\)\\s,\\-–—]|$)`, 'i'),
+        before: new RegExp(`^([^:]{0,30}?)(?:${markers})\\s*(${TIME})`, 'i')
+    };
+}
+
+const MERIDIEM_PATTERNS = {
+    AM: buildMeridiemPatterns('am'),
+    PM: buildMeridiemPatterns('pm')
+};
+
+/**
+ * Convert native digits to ASCII
+ * @param {string} text - Text that may contain Arabic, Persian, Indic, Thai, ... digits
+ */
+export function transliterateDigits(text) {
+    return text.replace(NATIVE_DIGIT, digit => {
+        const code = digit.charCodeAt(0);
+        const zero = DIGIT_ZEROS.find(start => code >= start && code <= start + 9);
+        return String(code - zero);
+    });
+}
+
+/**
+ * Rewrite the timestamp part of a line (up to "]" or " - ") in ASCII digits
+ * without marks; message text after it is left alone
+ */
+function normalizeHeader(text) {
+    if (!STARTS_WITH_DIGIT.test(text)) return text;
+
+    const bracket = text.indexOf(']');
+    const dash = text.search(/\s[-–—]\s/);
+    const ends = [bracket + 1, dash].filter(index => index > 0 && index <= 60);
+    const end = ends.length ? Math.min(...ends) : Math.min(text.length, 60);
+
+    const header = transliterateDigits(text.slice(0, end))
+        .replace(HEADER_MARKS, '')
+        .replace(ARABIC_COMMA, ',');
+    return header + text.slice(end);
+}
+
+/**
+ * Normalise one export line so the parser's patterns can match it
+ * @param {string} line - Raw line (may include invisible marks)
+ * @returns {string} Line with marks stripped, plain spaces and AM/PM markers
+ */
+export function normalizeLine(line) {
+    let text = line
+        .replace(LEADING_MARKS, '')
+        .replace(SPACE_VARIANTS, ' ')
+        .trim();
+
+    if (NEEDS_HEADER_REWRITE.test(text)) {
+        text = normalizeHeader(text);
+    }
+    text = text.replace(SPACED_DATE, '$1.$2.$3');
+
+    for (const [meridiem, patterns] of Object.entries(MERIDIEM_PATTERNS)) {
+        if (patterns.after.test(text)) {
+            return text.replace(patterns.after, `$1 ${meridiem}`);
+        }
+        if (patterns.before.test(text)) {
+            return text.replace(patterns.before, `$1$2 ${meridiem}`);
+        }
+    }
+
+    return text;
+}
+
+export default normalizeLine;
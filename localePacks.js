@@ -0,0 +1,633 @@
+// Locale Packs: the phrases WhatsApp writes in place of media, deleted and
+// edited messages and calls, in the language of the exporting phone.
+//
+// Each pack lists the phrases per marker. The parser detects the export's
+// language from which pack's phrases occur most, then matches with that pack
+// plus English (iOS mixes English labels into some localised exports).
+// Register extra languages with registerLocalePack() before parsing.
+//
+// Pack shape:
+//   name      - Language name shown in diagnostics
+//   media     - { image, video, audio, sticker, gif, document, contact }: "<type> omitted" phrases
+//   omitted   - Media placeholders that do not say the type ("<Media omitted>")
+//   deleted   - Placeholders for messages deleted by someone else
+//   deletedBySelf - "You deleted this message": only ever shown on the exporter's own messages
+//   edited    - Edited-message suffixes
+//   calls     - { missedVoice, missedVideo, voice, video }: call log entries
+
+export const LOCALE_PACKS = {
+    en: {
+        name: 'English',
+        media: {
+            image: ['image omitted'],
+            video: ['video omitted'],
+            audio: ['audio omitted'],
+            sticker: ['sticker omitted'],
+            gif: ['GIF omitted'],
+            document: ['document omitted'],
+            contact: ['Contact card omitted']
+        },
+        omitted: ['<Media omitted>', 'media omitted'],
+        deleted: ['This message was deleted'],
+        deletedBySelf: ['You deleted this message'],
+        edited: ['<This message was edited>'],
+        calls: {
+            missedVoice: ['Missed voice call'],
+            missedVideo: ['Missed video call'],
+            voice: ['Voice call'],
+            video: ['Video call']
+        }
+    },
+    es: {
+        name: 'Spanish',
+        media: {
+            image: ['imagen omitida'],
+            video: ['video omitido', 'vídeo omitido'],
+            audio: ['audio omitido'],
+            sticker: ['sticker omitido'],
+            gif: ['GIF omitido'],
+            document: ['documento omitido'],
+            contact: ['tarjeta de contacto omitida']
+        },
+        omitted: ['<Multimedia omitido>'],
+        deleted: ['Se eliminó este mensaje'],
+        deletedBySelf: ['Eliminaste este mensaje'],
+        edited: ['<Se editó este mensaje.>'],
+        calls: {
+            missedVoice: ['Llamada perdida'],
+            missedVideo: ['Videollamada perdida'],
+            voice: ['Llamada de voz'],
+            video: ['Videollamada']
+        }
+    },
+    pt: {
+        name: 'Portuguese',
+        media: {
+            image: ['imagem ocultada', 'imagem oculta'],
+            video: ['vídeo omitido', 'vídeo oculto', 'video oculto'],
+            audio: ['áudio ocultado', 'áudio oculto'],
+            sticker: ['figurinha omitida'],
+            gif: ['GIF omitido'],
+            document: ['documento omitido'],
+            contact: ['cartão do contato omitido']
+        },
+        omitted: ['<Mídia oculta>', '<Arquivo de mídia oculto>'],
+        deleted: ['Mensagem apagada', 'Esta mensagem foi apagada'],
+        deletedBySelf: ['Você apagou esta mensagem'],
+        edited: ['<Mensagem editada>'],
+        calls: {
+            missedVoice: ['Chamada de voz perdida'],
+            missedVideo: ['Chamada de vídeo perdida'],
+            voice: ['Chamada de voz'],
+            video: ['Chamada de vídeo']
+        }
+    },
+    de: {
+        name: 'German',
+        media: {
+            image: ['Bild weggelassen'],
+            video: ['Video weggelassen'],
+            audio: ['Audio weggelassen'],
+            sticker: ['Sticker weggelassen'],
+            gif: ['GIF weggelassen'],
+            document: ['Dokument weggelassen'],
+            contact: ['Kontaktkarte ausgelassen']
+        },
+        omitted: ['<Medien ausgeschlossen>'],
+        deleted: ['Diese Nachricht wurde gelöscht'],
+        deletedBySelf: ['Du hast diese Nachricht gelöscht'],
+        edited: ['<Diese Nachricht wurde bearbeitet>'],
+        calls: {
+            missedVoice: ['Verpasster Sprachanruf'],
+            missedVideo: ['Verpasster Videoanruf'],
+            voice: ['Sprachanruf'],
+            video: ['Videoanruf']
+        }
+    },
+    fr: {
+        name: 'French',
+        media: {
+            image: ['image absente', 'image omise'],
+            video: ['vidéo absente', 'vidéo omise'],
+            audio: ['audio omis'],
+            sticker: ['sticker omis'],
+            gif: ['GIF retiré', 'GIF omis'],
+            document: ['document omis'],
+            contact: ['carte de contact omise']
+        },
+        omitted: ['<Médias omis>'],
+        deleted: ['Ce message a été supprimé'],
+        deletedBySelf: ['Vous avez supprimé ce message'],
+        edited: ['<Ce message a été modifié>'],
+        calls: {
+            missedVoice: ['Appel vocal manqué'],
+            missedVideo: ['Appel vidéo manqué'],
+            voice: ['Appel vocal'],
+            video: ['Appel vidéo']
+        }
+    },
+    it: {
+        name: 'Italian',
+        media: {
+            image: ['immagine omessa'],
+            video: ['video omesso'],
+            audio: ['audio omesso'],
+            sticker: ['sticker omesso'],
+            gif: ['GIF omessa'],
+            document: ['documento omesso'],
+            contact: ['scheda contatto omessa']
+        },
+        omitted: ['<Media omessi>'],
+        deleted: ['Questo messaggio è stato eliminato'],
+        deletedBySelf: ['Hai eliminato questo messaggio'],
+        edited: ['<Questo messaggio è stato modificato>'],
+        calls: {
+            missedVoice: ['Chiamata vocale persa'],
+            missedVideo: ['Videochiamata persa'],
+            voice: ['Chiamata vocale'],
+            video: ['Videochiamata']
+        }
+    },
+    nl: {
+        name: 'Dutch',
+        media: {
+            image: ['afbeelding weggelaten'],
+            video: ['video weggelaten'],
+            audio: ['audio weggelaten'],
+            sticker: ['sticker weggelaten'],
+            gif: ['GIF weggelaten'],
+            document: ['document weggelaten'],
+            contact: ['contactkaart weggelaten']
+        },
+        omitted: ['<Media weggelaten>'],
+        deleted: ['Dit bericht is verwijderd'],
+        deletedBySelf: ['Je hebt dit bericht verwijderd'],
+        edited: ['<Dit bericht is bewerkt>'],
+        calls: {
+            missedVoice: ['Gemiste spraakoproep'],
+            missedVideo: ['Gemiste video-oproep'],
+            voice: ['Spraakoproep'],
+            video: ['Video-oproep']
+        }
+    },
+    ru: {
+        name: 'Russian',
+        media: {
+            image: ['изображение отсутствует'],
+            video: ['видео отсутствует'],
+            audio: ['аудио отсутствует'],
+            sticker: ['стикер отсутствует'],
+            gif: ['GIF отсутствует'],
+            document: ['документ отсутствует'],
+            contact: ['карточка контакта отсутствует']
+        },
+        omitted: ['<Без медиафайлов>'],
+        deleted: ['Данное сообщение удалено'],
+        deletedBySelf: ['Вы удалили данное сообщение'],
+        edited: ['<Сообщение изменено>'],
+        calls: {
+            missedVoice: ['Пропущенный аудиозвонок'],
+            missedVideo: ['Пропущенный видеозвонок'],
+            voice: ['Аудиозвонок'],
+            video: ['Видеозвонок']
+        }
+    },
+    tr: {
+        name: 'Turkish',
+        media: {
+            image: ['görüntü dahil edilmedi'],
+            video: ['video dahil edilmedi'],
+            audio: ['ses dahil edilmedi'],
+            sticker: ['çıkartma dahil edilmedi'],
+            gif: ['GIF dahil edilmedi'],
+            document: ['belge dahil edilmedi'],
+            contact: ['kişi kartı dahil edilmedi']
+        },
+        omitted: ['<Medya dahil edilmedi>'],
+        deleted: ['Bu mesaj silindi'],
+        deletedBySelf: ['Bu mesajı sildiniz'],
+        edited: ['<Bu mesaj düzenlendi>'],
+        calls: {
+            missedVoice: ['Cevapsız sesli arama'],
+            missedVideo: ['Cevapsız görüntülü arama'],
+            voice: ['Sesli arama'],
+            video: ['Görüntülü arama']
+        }
+    },
+    ar: {
+        name: 'Arabic',
+        media: {
+            image: ['الصورة محذوفة'],
+            video: ['الفيديو محذوف'],
+            audio: ['الصوت محذوف'],
+            sticker: ['الملصق محذوف'],
+            gif: ['صورة GIF محذوفة'],
+            document: ['المستند محذوف'],
+            contact: ['بطاقة جهة الاتصال محذوفة']
+        },
+        omitted: ['<الوسائط محذوفة>'],
+        deleted: ['تم حذف هذه الرسالة'],
+        deletedBySelf: ['لقد حذفت هذه الرسالة'],
+        edited: ['<تم تعديل هذه الرسالة>'],
+        calls: {
+            missedVoice: ['مكالمة صوتية فائتة'],
+            missedVideo: ['مكالمة فيديو فائتة'],
+            voice: ['مكالمة صوتية'],
+            video: ['مكالمة فيديو']
+        }
+    },
+    fa: {
+        name: 'Persian',
+        media: {
+            image: ['تصویر حذف شد'],
+            video: ['ویدیو حذف شد'],
+            audio: ['صوت حذف شد'],
+            sticker: ['استیکر حذف شد'],
+            gif: ['GIF حذف شد'],
+            document: ['سند حذف شد'],
+            contact: ['کارت مخاطب حذف شد']
+        },
+        omitted: ['<رسانه حذف شد>'],
+        deleted: ['این پیام حذف شد'],
+        deletedBySelf: ['شما این پیام را حذف کردید'],
+        edited: ['<این پیام ویرایش شد>'],
+        calls: {
+            // "\u200c" is the zero-width non-joiner Persian writes inside "unanswered"
+            missedVoice: ['تماس صوتی بی\u200cپاسخ'],
+            missedVideo: ['تماس تصویری بی\u200cپاسخ'],
+            voice: ['تماس صوتی'],
+            video: ['تماس تصویری']
+        }
+    },
+    hi: {
+        name: 'Hindi',
+        media: {
+            image: ['छवि छोड़ दी गई'],
+            video: ['वीडियो छोड़ दिया गया'],
+            audio: ['ऑडियो छोड़ दिया गया'],
+            sticker: ['स्टिकर छोड़ दिया गया'],
+            gif: ['GIF छोड़ दिया गया'],
+            document: ['दस्तावेज़ छोड़ दिया गया'],
+            contact: ['संपर्क कार्ड छोड़ दिया गया']
+        },
+        omitted: ['<मीडिया के बिना>'],
+        deleted: ['यह मैसेज हटा दिया गया था'],
+        deletedBySelf: ['आपने यह मैसेज हटा दिया'],
+        edited: ['<यह मैसेज एडिट किया गया था>'],
+        calls: {
+            missedVoice: ['मिस्ड वॉइस कॉल'],
+            missedVideo: ['मिस्ड वीडियो कॉल'],
+            voice: ['वॉइस कॉल'],
+            video: ['वीडियो कॉल']
+        }
+    },
+    id: {
+        name: 'Indonesian',
+        media: {
+            image: ['gambar tidak disertakan'],
+            video: ['video tidak disertakan'],
+            audio: ['audio tidak disertakan'],
+            sticker: ['stiker tidak disertakan'],
+            gif: ['GIF tidak disertakan'],
+            document: ['dokumen tidak disertakan'],
+            contact: ['kartu kontak tidak disertakan']
+        },
+        omitted: ['<Media tidak disertakan>'],
+        deleted: ['Pesan ini telah dihapus'],
+        deletedBySelf: ['Anda menghapus pesan ini'],
+        edited: ['<Pesan ini telah diedit>'],
+        calls: {
+            missedVoice: ['Panggilan suara tak terjawab'],
+            missedVideo: ['Panggilan video tak terjawab'],
+            voice: ['Panggilan suara'],
+            video: ['Panggilan video']
+        }
+    },
+    ms: {
+        name: 'Malay',
+        media: {
+            image: ['imej dikecualikan'],
+            video: ['video dikecualikan'],
+            audio: ['audio dikecualikan'],
+            sticker: ['pelekat dikecualikan'],
+            gif: ['GIF dikecualikan'],
+            document: ['dokumen dikecualikan'],
+            contact: ['kad kenalan dikecualikan']
+        },
+        omitted: ['<Media dikecualikan>'],
+        deleted: ['Mesej ini telah dipadam'],
+        deletedBySelf: ['Anda telah memadam mesej ini'],
+        edited: ['<Mesej ini telah disunting>'],
+        calls: {
+            missedVoice: ['Panggilan suara terlepas'],
+            missedVideo: ['Panggilan video terlepas'],
+            voice: ['Panggilan suara'],
+            video: ['Panggilan video']
+        }
+    },
+    pl: {
+        name: 'Polish',
+        media: {
+            image: ['pominięto obraz'],
+            video: ['pominięto wideo'],
+            audio: ['pominięto audio'],
+            sticker: ['pominięto naklejkę'],
+            gif: ['pominięto GIF'],
+            document: ['pominięto dokument'],
+            contact: ['pominięto wizytówkę']
+        },
+        omitted: ['<pominięto multimedia>'],
+        deleted: ['Ta wiadomość została usunięta'],
+        deletedBySelf: ['Usunięto tę wiadomość'],
+        edited: ['<Edytowano tę wiadomość>'],
+        calls: {
+            missedVoice: ['Nieodebrane połączenie głosowe'],
+            missedVideo: ['Nieodebrane połączenie wideo'],
+            voice: ['Połączenie głosowe'],
+            video: ['Połączenie wideo']
+        }
+    },
+    ko: {
+        name: 'Korean',
+        media: {
+            image: ['사진 생략됨'],
+            video: ['동영상 생략됨'],
+            audio: ['오디오 생략됨'],
+            sticker: ['스티커 생략됨'],
+            gif: ['GIF 생략됨'],
+            document: ['문서 생략됨'],
+            contact: ['연락처 카드 생략됨']
+        },
+        omitted: ['<미디어 파일 제외됨>'],
+        deleted: ['삭제된 메시지입니다'],
+        deletedBySelf: ['메시지를 삭제했습니다'],
+        edited: ['<수정된 메시지입니다>'],
+        calls: {
+            missedVoice: ['부재중 음성 통화'],
+            missedVideo: ['부재중 영상 통화'],
+            voice: ['음성 통화'],
+            video: ['영상 통화']
+        }
+    },
+    ja: {
+        name: 'Japanese',
+        media: {
+            image: ['画像は含まれていません'],
+            video: ['動画は含まれていません'],
+            audio: ['音声は含まれていません'],
+            sticker: ['スタンプは含まれていません'],
+            gif: ['GIFは含まれていません'],
+            document: ['ドキュメントは含まれていません'],
+            contact: ['連絡先カードは含まれていません']
+        },
+        omitted: ['<メディアなし>'],
+        deleted: ['このメッセージは削除されました'],
+        deletedBySelf: ['メッセージを削除しました'],
+        edited: ['<このメッセージは編集されました>'],
+        calls: {
+            missedVoice: ['不在着信の音声通話'],
+            missedVideo: ['不在着信のビデオ通話'],
+            voice: ['音声通話'],
+            video: ['ビデオ通話']
+        }
+    },
+    zh: {
+        name: 'Chinese',
+        media: {
+            image: ['图片已省略'],
+            video: ['视频已省略'],
+            audio: ['音频已省略'],
+            sticker: ['贴图已省略'],
+            gif: ['GIF 已省略'],
+            document: ['文档已省略'],
+            contact: ['联系人名片已省略']
+        },
+        omitted: ['<省略影音内容>'],
+        deleted: ['此消息已删除'],
+        deletedBySelf: ['你删除了此消息'],
+        edited: ['<此消息已编辑>'],
+        calls: {
+            missedVoice: ['未接语音通话'],
+            missedVideo: ['未接视频通话'],
+            voice: ['语音通话'],
+            video: ['视频通话']
+        }
+    },
+    vi: {
+        name: 'Vietnamese',
+        media: {
+            image: ['hình ảnh bị bỏ qua'],
+            video: ['video bị bỏ qua'],
+            audio: ['âm thanh bị bỏ qua'],
+            sticker: ['nhãn dán bị bỏ qua'],
+            gif: ['GIF bị bỏ qua'],
+            document: ['tài liệu bị bỏ qua'],
+            contact: ['thẻ liên hệ bị bỏ qua']
+        },
+        omitted: ['<Tập tin phương tiện bị bỏ qua>'],
+        deleted: ['Tin nhắn này đã bị xóa'],
+        deletedBySelf: ['Bạn đã xóa tin nhắn này'],
+        edited: ['<Tin nhắn này đã được chỉnh sửa>'],
+        calls: {
+            missedVoice: ['Cuộc gọi thoại bị nhỡ'],
+            missedVideo: ['Cuộc gọi video bị nhỡ'],
+            voice: ['Cuộc gọi thoại'],
+            video: ['Cuộc gọi video']
+        }
+    },
+    th: {
+        name: 'Thai',
+        media: {
+            image: ['ไม่รวมรูปภาพ'],
+            video: ['ไม่รวมวิดีโอ'],
+            audio: ['ไม่รวมเสียง'],
+            sticker: ['ไม่รวมสติกเกอร์'],
+            gif: ['ไม่รวม GIF'],
+            document: ['ไม่รวมเอกสาร'],
+            contact: ['ไม่รวมนามบัตร']
+        },
+        omitted: ['<ไม่รวมสื่อ>'],
+        deleted: ['ข้อความนี้ถูกลบแล้ว'],
+        deletedBySelf: ['คุณลบข้อความนี้แล้ว'],
+        edited: ['<ข้อความนี้ถูกแก้ไขแล้ว>'],
+        calls: {
+            missedVoice: ['การโทรด้วยเสียงที่ไม่ได้รับ'],
+            missedVideo: ['วิดีโอคอลที่ไม่ได้รับ'],
+            voice: ['การโทรด้วยเสียง'],
+            video: ['วิดีโอคอล']
+        }
+    }
+};
+
+// Always matched alongside the detected pack
+const FALLBACK_LOCALE = 'en';
+
+// Detection stops once one pack has this many marker hits
+const DETECTION_HITS = 50;
+
+// Call log entries, missed calls first so "Missed voice call" wins over "Voice call"
+const CALL_TYPES = [
+    ['missedVoice', { callType: 'voice', isMissedCall: true }],
+    ['missedVideo', { callType: 'video', isMissedCall: true }],
+    ['voice', { callType: 'voice', isMissedCall: false }],
+    ['video', { callType: 'video', isMissedCall: false }]
+];
+
+// Direction marks iOS puts before system-like message text
+const LEADING_MARKS = '[\\u200e\\u200f\\s]*';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Add or replace a locale pack
+ * @param {string} code - Language code, e.g. 'sv'
+ * @param {Object} pack - Same shape as the packs in LOCALE_PACKS
+ */
+export function registerLocalePack(code, pack) {
+    LOCALE_PACKS[code] = pack;
+}
+
+/**
+ * Compile phrase -> value pairs into one case-insensitive alternation.
+ * Longer phrases go first so "Missed voice call" is not read as "voice call".
+ */
+function compilePhrases(entries, { anchored = false } = {}) {
+    const values = new Map();
+    entries.forEach(([phrase, value]) => {
+        const key = phrase.toLowerCase();
+        if (!values.has(key)) values.set(key, value);
+    });
+    if (values.size === 0) return null;
+
+    const alternation = [...values.keys()]
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegExp)
+        .join('|');
+
+    return {
+        pattern: new RegExp(anchored ? `^${LEADING_MARKS}(${alternation})` : `(${alternation})`, 'i'),
+        values
+    };
+}
+
+function lookup(compiled, content) {
+    if (!compiled) return undefined;
+    const match = content.match(compiled.pattern);
+    return match ? compiled.values.get(match[1].toLowerCase()) : undefined;
+}
+
+/**
+ * Matcher for the markers of a set of locale packs
+ */
+export class MarkerMatcher {
+    /**
+     * @param {string[]} [locales] - Pack codes; every registered pack when omitted
+     */
+    constructor(locales = Object.keys(LOCALE_PACKS)) {
+        const packs = locales.map(code => LOCALE_PACKS[code]).filter(Boolean);
+        this.locales = locales;
+
+        this.media = compilePhrases(packs.flatMap(pack => Object.entries(pack.media || {})
+            .flatMap(([type, phrases]) => phrases.map(phrase => [phrase, type]))));
+        this.omitted = compilePhrases(packs.flatMap(pack => (pack.omitted || []).map(phrase => [phrase, true])));
+        this.deleted = compilePhrases(packs.flatMap(pack => (pack.deleted || []).map(phrase => [phrase, true])));
+        this.deletedBySelf = compilePhrases(packs.flatMap(pack => (pack.deletedBySelf || []).map(phrase => [phrase, true])));
+        this.edited = compilePhrases(packs.flatMap(pack => (pack.edited || []).map(phrase => [phrase, true])));
+        this.calls = compilePhrases(packs.flatMap(pack => CALL_TYPES
+            .flatMap(([key, call]) => ((pack.calls || {})[key] || []).map(phrase => [phrase, call]))), { anchored: true });
+    }
+
+    /**
+     * Media type named by an "<type> omitted" placeholder, or null
+     */
+    mediaType(content) {
+        return lookup(this.media, content) || null;
+    }
+
+    /**
+     * Whether the message is any media placeholder, typed or not
+     */
+    isMedia(content) {
+        return Boolean(this.mediaType(content) || lookup(this.omitted, content));
+    }
+
+    isDeleted(content) {
+        return Boolean(lookup(this.deleted, content)) || this.isDeletedBySelf(content);
+    }
+
+    /**
+     * Deleted-message placeholder worded for the exporter ("You deleted ...")
+     */
+    isDeletedBySelf(content) {
+        return Boolean(lookup(this.deletedBySelf, content));
+    }
+
+    isEdited(content) {
+        return Boolean(lookup(this.edited, content));
+    }
+
+    /**
+     * Call log entry at the start of the message
+     * @returns {Object|null} { callType: 'voice'|'video', isMissedCall }
+     */
+    call(content) {
+        return lookup(this.calls, content) || null;
+    }
+}
+
+/**
+ * Detect the export's language from which pack's markers occur most
+ * @param {string[]} contents - Message texts
+ * @returns {string|null} Pack code, or null when no marker was found
+ */
+export function detectLocale(contents) {
+    const codes = Object.keys(LOCALE_PACKS);
+    const phrasesOf = (pack) => [
+        ...Object.values(pack.media || {}).flat(),
+        ...(pack.omitted || []),
+        ...(pack.deleted || []),
+        ...(pack.deletedBySelf || []),
+        ...(pack.edited || [])
+    ];
+    const callsOf = (pack) => Object.values(pack.calls || {}).flat();
+
+    // One pattern over every pack; a phrase shared by packs counts for each
+    const markers = compileLocales(codes, phrasesOf);
+    const calls = compileLocales(codes, callsOf, { anchored: true });
+    const hits = Object.fromEntries(codes.map(code => [code, 0]));
+
+    for (const content of contents) {
+        const matched = lookup(markers, content) || lookup(calls, content);
+        if (!matched) continue;
+        matched.forEach(code => hits[code]++);
+        if (matched.some(code => hits[code] >= DETECTION_HITS)) break;
+    }
+
+    // Ties go to the pack listed first, so English wins when its phrases are shared
+    let best = null;
+    codes.forEach(code => {
+        if (hits[code] > 0 && (best === null || hits[code] > hits[best])) best = code;
+    });
+    return best;
+}
+
+function compileLocales(codes, phrasesOf, options) {
+    const owners = new Map();
+    codes.forEach(code => phrasesOf(LOCALE_PACKS[code]).forEach(phrase => {
+        const key = phrase.toLowerCase();
+        if (!owners.has(key)) owners.set(key, []);
+        if (!owners.get(key).includes(code)) owners.get(key).push(code);
+    }));
+    return compilePhrases([...owners], options);
+}
+
+/**
+ * Matcher for a detected locale, with the English fallback
+ * @param {string|null} locale - Result of detectLocale()
+ */
+export function createMarkerMatcher(locale) {
+    if (!locale) return new MarkerMatcher();
+    return new MarkerMatcher(locale === FALLBACK_LOCALE ? [locale] : [locale, FALLBACK_LOCALE]);
+}
+
+export default LOCALE_PACKS;
@@ -0,0 +1,184 @@
+// Media Library: the attachment files shipped inside a chat export ZIP
+//
+// Links attachment references in messages to real ZIP entries so media stats
+// use actual files and sizes, and generates gallery thumbnails locally.
+
+// File extension -> WhatTrace media type
+const EXTENSION_TYPES = {
+    jpg: 'image', jpeg: 'image', png: 'image', heic: 'image', bmp: 'image',
+    webp: 'image',
+    gif: 'gif',
+    mp4: 'video', mov: 'video', '3gp': 'video', mkv: 'video', webm: 'video', avi: 'video',
+    opus: 'audio', ogg: 'audio', mp3: 'audio', m4a: 'audio', aac: 'audio', amr: 'audio', wav: 'audio',
+    vcf: 'contact',
+    pdf: 'document', doc: 'document', docx: 'document', xls: 'document', xlsx: 'document',
+    ppt: 'document', pptx: 'document', txt: 'document', zip: 'document'
+};
+
+// iOS: "<attached: 00000123-PHOTO-2023-01-01-10-00-00.jpg>" (localised label)
+const INLINE_ATTACHMENT_PATTERN = /<[^<>:]{2,24}:\s*([^<>]+?\.[A-Za-z0-9]{2,5})\s*>/;
+// Android: "IMG-20230101-WA0001.jpg (file attached)" (localised suffix)
+const SUFFIX_ATTACHMENT_PATTERN = /^[\u200e\u200f]?\s*([^\n()<>]+?\.[A-Za-z0-9]{2,5}) \([^()\n]+\)/;
+
+const THUMBNAIL_SIZE = 160;
+
+export class MediaLibrary {
+    /**
+     * @param {Object[]} entries - JSZip file objects for every non-chat file in the export
+     */
+    constructor(entries) {
+        this.files = new Map();
+        this.thumbnails = new Map();
+        this.fileUrls = new Map();
+
+        entries.forEach(entry => {
+            const fileName = entry.name.split('/').pop();
+            this.files.set(fileName, {
+                fileName,
+                path: entry.name,
+                // JSZip has no public size getter; the central directory value is on _data
+                size: entry._data ? entry._data.uncompressedSize || 0 : 0,
+                mediaType: MediaLibrary.getMediaTypeFromName(fileName),
+                entry
+            });
+        });
+    }
+
+    get size() {
+        return this.files.size;
+    }
+
+    /**
+     * Media type from a file name; WhatsApp stickers are .webp files named STK-* or *-STICKER-*
+     */
+    static getMediaTypeFromName(fileName) {
+        if (/^STK-|-STICKER-/i.test(fileName)) return 'sticker';
+        const extension = fileName.split('.').pop().toLowerCase();
+        return EXTENSION_TYPES[extension] || 'document';
+    }
+
+    /**
+     * Attachment file name referenced by a WhatsApp message, if any
+     */
+    static extractReference(content) {
+        const inline = content.match(INLINE_ATTACHMENT_PATTERN);
+        if (inline) return inline[1].trim();
+
+        const suffix = content.match(SUFFIX_ATTACHMENT_PATTERN);
+        return suffix ? suffix[1].trim() : null;
+    }
+
+    /**
+     * Attach metadata.attachments to every message whose reference matches a file
+     * in the export. Call once, before the messages are shared with analytics.
+     * @returns {number} Number of messages linked
+     */
+    linkMessages(messages) {
+        let linked = 0;
+
+        messages.forEach(msg => {
+            if (msg.isSystem) return;
+
+            // Messenger/Instagram keep URIs; WhatsApp names the file in the text
+            const references = msg.metadata.mediaUris && msg.metadata.mediaUris.length
+                ? msg.metadata.mediaUris.map(uri => uri.split('/').pop())
+                : [MediaLibrary.extractReference(msg.content)].filter(Boolean);
+
+            const attachments = references
+                .map(name => this.files.get(name))
+                .filter(Boolean)
+                .map(({ fileName, size, mediaType }) => ({ fileName, size, mediaType }));
+
+            if (attachments.length === 0) return;
+
+            msg.metadata.attachments = attachments;
+            msg.metadata.isMedia = true;
+            msg.metadata.mediaType = attachments[0].mediaType;
+            linked++;
+        });
+
+        console.log(`Linked ${linked} messages to ${this.files.size} files in the export`);
+        return linked;
+    }
+
+    /**
+     * Object URL for the full file, created on first use
+     */
+    async getFileUrl(fileName) {
+        if (this.fileUrls.has(fileName)) return this.fileUrls.get(fileName);
+
+        const file = this.files.get(fileName);
+        if (!file) return null;
+
+        const blob = await file.entry.async('blob');
+        const url = URL.createObjectURL(blob);
+        this.fileUrls.set(fileName, url);
+        return url;
+    }
+
+    /**
+     * Object URL for a small JPEG thumbnail, or null when the browser cannot decode the file
+     */
+    async getThumbnail(fileName) {
+        if (this.thumbnails.has(fileName)) return this.thumbnails.get(fileName);
+
+        const file = this.files.get(fileName);
+        let url = null;
+
+        try {
+            if (file && ['image', 'gif', 'sticker'].includes(file.mediaType)) {
+                const bitmap = await createImageBitmap(await file.entry.async('blob'));
+                url = await this.drawThumbnail(bitmap, bitmap.width, bitmap.height);
+                bitmap.close();
+            } else if (file && file.mediaType === 'video') {
+                url = await this.captureVideoFrame(await this.getFileUrl(fileName));
+            }
+        } catch (error) {
+            // HEIC and some codecs are not decodable in every browser
+            console.warn(`No thumbnail for ${fileName}:`, error.message);
+        }
+
+        this.thumbnails.set(fileName, url);
+        return url;
+    }
+
+    async drawThumbnail(source, width, height) {
+        const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * scale));
+        canvas.height = Math.max(1, Math.round(height * scale));
+        canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+        return blob ? URL.createObjectURL(blob) : null;
+    }
+
+    captureVideoFrame(videoUrl) {
+        return new Promise((resolve, reject) => {
+            const video = document.createElement('video');
+            video.muted = true;
+            video.preload = 'auto';
+            video.addEventListener('loadeddata', () => {
+                video.currentTime = Math.min(0.5, video.duration / 2 || 0);
+            }, { once: true });
+            video.addEventListener('seeked', () => {
+                this.drawThumbnail(video, video.videoWidth, video.videoHeight).then(resolve, reject);
+            }, { once: true });
+            video.addEventListener('error', () => reject(new Error('Video could not be decoded')), { once: true });
+            video.src = videoUrl;
+        });
+    }
+
+    /**
+     * Release every object URL created for this export
+     */
+    dispose() {
+        [...this.thumbnails.values(), ...this.fileUrls.values()]
+            .filter(Boolean)
+            .forEach(url => URL.revokeObjectURL(url));
+        this.thumbnails.clear();
+        this.fileUrls.clear();
+    }
+}
+
+export default MediaLibrary;
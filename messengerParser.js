@@ -0,0 +1,175 @@
+// Facebook Messenger / Instagram DM JSON Export Parser (message_N.json)
+
+import { WhatsAppParser } from './parser.js';
+import { SYSTEM_EVENT_TYPES } from './systemEvents.js';
+
+// Attachment arrays on a Meta message -> WhatTrace media types
+const MEDIA_FIELDS = [
+    ['photos', 'image'],
+    ['videos', 'video'],
+    ['gifs', 'gif'],
+    ['audio_files', 'audio'],
+    ['files', 'document']
+];
+
+// fatal: text that was never mojibake-encoded must not be mangled into U+FFFD
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+export class MessengerParser {
+    constructor() {
+        // Reuse the WhatsApp parser's message builder so metadata stays identical
+        this.messageBuilder = new WhatsAppParser();
+    }
+
+    /**
+     * Check whether a text snippet looks like a Messenger/Instagram message_N.json
+     * @param {string} head - First few KB of the file
+     */
+    static canParse(head) {
+        const text = head.trimStart();
+        return text.startsWith('{') && /"participants"\s*:/.test(text) &&
+            (/"sender_name"\s*:/.test(text) || /"timestamp_ms"\s*:/.test(text) || /"thread_path"\s*:/.test(text));
+    }
+
+    /**
+     * Meta writes UTF-8 bytes as if each were a latin1 code point ("Ã©" for "é").
+     * Re-encode the code points as bytes and decode them as UTF-8.
+     */
+    static decodeText(value) {
+        if (typeof value !== 'string') return value;
+        // Anything above 0xFF means the string is already real Unicode
+        if (!/[\u0080-\u00ff]/.test(value) || /[^\u0000-\u00ff]/.test(value)) return value;
+
+        try {
+            const bytes = Uint8Array.from(value, char => char.charCodeAt(0));
+            return utf8Decoder.decode(bytes);
+        } catch (error) {
+            return value;
+        }
+    }
+
+    /**
+     * Parse one or more pages of a thread
+     * @param {string|string[]} fileContents - Raw JSON of message_1.json, message_2.json, ...
+     * @returns {Object} Parsed chat data, same shape as WhatsAppParser.parse()
+     */
+    parse(fileContents) {
+        const pages = (Array.isArray(fileContents) ? fileContents : [fileContents]).map(text => {
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                throw new Error('Invalid Messenger export: a file is not valid JSON.');
+            }
+        });
+
+        const threads = new Set(pages.map(page => page.thread_path).filter(Boolean));
+        if (threads.size > 1) {
+            throw new Error('These message files belong to different conversations. Upload one thread at a time.');
+        }
+
+        // Pages are newest-first and do not overlap; sort once after merging
+        const messages = pages
+            .flatMap(page => Array.isArray(page.messages) ? page.messages : [])
+            .map(msg => this.processMessage(msg))
+            .filter(msg => msg !== null)
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        if (messages.length === 0) {
+            throw new Error('Invalid Messenger export: no messages found.');
+        }
+
+        const firstPage = pages[0];
+        return {
+            ...this.messageBuilder.fromMessages(messages),
+            chatName: MessengerParser.decodeText(firstPage.title) || null,
+            format: 'messenger'
+        };
+    }
+
+    /**
+     * Convert one Meta message to the common message shape
+     */
+    processMessage(msg) {
+        if (!msg.timestamp_ms) return null;
+
+        const timestamp = new Date(Number(msg.timestamp_ms));
+        const sender = MessengerParser.decodeText(msg.sender_name) || 'Facebook User';
+        const content = MessengerParser.decodeText(msg.content) || '';
+
+        const systemEvent = this.mapMembershipEvent(msg, sender);
+        if (systemEvent) {
+            return this.messageBuilder.buildMessage({
+                timestamp,
+                sender: 'SYSTEM',
+                content,
+                isSystem: true,
+                systemEvent
+            });
+        }
+
+        const media = this.getMedia(msg);
+        const shareLink = msg.share && msg.share.link ? msg.share.link : null;
+
+        return this.messageBuilder.buildMessage({
+            timestamp,
+            sender,
+            content,
+            metadata: {
+                isMedia: media.type !== null,
+                mediaType: media.type,
+                mediaCount: media.count,
+                mediaUris: media.uris,
+                isDeleted: Boolean(msg.is_unsent),
+                hasUrl: Boolean(shareLink) || this.messageBuilder.hasUrl(content),
+                sharedLink: shareLink,
+                reactions: this.getReactions(msg),
+                callDuration: msg.type === 'Call' ? (msg.call_duration || 0) : null
+            }
+        });
+    }
+
+    /**
+     * Reactions as { reaction, actor } with both fields decoded
+     */
+    getReactions(msg) {
+        if (!Array.isArray(msg.reactions)) return [];
+        return msg.reactions.map(r => ({
+            reaction: MessengerParser.decodeText(r.reaction),
+            actor: MessengerParser.decodeText(r.actor)
+        }));
+    }
+
+    getMedia(msg) {
+        for (const [field, type] of MEDIA_FIELDS) {
+            if (Array.isArray(msg[field]) && msg[field].length > 0) {
+                return { type, count: msg[field].length, uris: msg[field].map(item => item.uri).filter(Boolean) };
+            }
+        }
+        if (msg.sticker) {
+            return { type: 'sticker', count: 1, uris: msg.sticker.uri ? [msg.sticker.uri] : [] };
+        }
+        return { type: null, count: 0, uris: [] };
+    }
+
+    /**
+     * "Subscribe"/"Unsubscribe" messages are group membership changes
+     */
+    mapMembershipEvent(msg, sender) {
+        if (msg.type !== 'Subscribe' && msg.type !== 'Unsubscribe') return null;
+
+        const users = Array.isArray(msg.users)
+            ? msg.users.map(user => MessengerParser.decodeText(user.name)).filter(Boolean)
+            : [];
+
+        if (msg.type === 'Subscribe') {
+            return { type: SYSTEM_EVENT_TYPES.ADDED, actor: sender, targets: users, details: {} };
+        }
+
+        const leftThemselves = users.length === 0 || (users.length === 1 && users[0] === sender);
+        return leftThemselves
+            ? { type: SYSTEM_EVENT_TYPES.LEFT, actor: null, targets: users.length ? users : [sender], details: {} }
+            : { type: SYSTEM_EVENT_TYPES.REMOVED, actor: sender, targets: users, details: {} };
+    }
+}
+
+export default MessengerParser;
@@ -1,5 +1,29 @@
 // WhatsApp Chat Parser for Android .txt Format
 
+import { classifySystemEvent } from './systemEvents.js';
+import { normalizeLine } from './lineNormalizer.js';
+import { CALENDARS, detectCalendar, toGregorian, daysInMonth } from './calendars.js';
+import { createMarkerMatcher, detectLocale } from './localePacks.js';
+import { getViewerTimeZone, getZonedParts, zonedTimeToEpoch } from './timezones.js';
+
+// Labels for messagePatterns / systemMessagePatterns, by index
+export const PATTERN_LABELS = ['iPhone [bracketed]', 'Android dash', 'ISO date', 'Flexible fallback'];
+
+// A line that starts like a timestamp but matched no pattern is probably a missed header
+const HEADER_LIKE_PATTERN = /^[\[\(\u200e\u200f]*(?:\d{1,4}[\/\-\.]\d{1,2}[\/\-\.]\d{1,4}|\d{1,2}:\d{2}\b)/;
+
+// Every date format the parser can apply
+export const DATE_FORMATS = ['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD'];
+
+// inferDateFormat() scoring: an impossible date outweighs any number of odd gaps
+const INVALID_DATE_PENALTY = 1000;
+const BACKWARDS_DATE_PENALTY = 10;
+const AMBIGUITY_MARGIN = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Flagged lines kept per diagnostics category; totals are still counted past this
+const MAX_FLAGGED_LINES = 200;
+
 export class WhatsAppParser {
     constructor() {
         // Support multiple WhatsApp export formats across regions and platforms
@@ -13,7 +37,7 @@ export class WhatsAppParser {
             /^(\d{1,2}[\/\-\.](\d{1,2})[\/\-\.](\d{2,4}),?\s+(\d{1,2}:\d{2}(?::\d{2})?(?:\s?[AP]M)?))\s*[-–—]\s*([^:]+?):\s*(.*)$/,
 
             // ISO format: YYYY-MM-DD HH:MM:SS
-            /^(\d{4}[\/\-\.](\d{1,2})[\/\-\.](\d{1,2})\s+(\d{1,2}:\d{2}(?::\d{2})?))\s*[-–—]?\s*([^:]+?):\s*(.*)$/,
+            /^(\d{4}[\/\-\.](\d{1,2})[\/\-\.](\d{1,2}),?\s+(\d{1,2}:\d{2}(?::\d{2})?(?:\s?[AP]M)?))\s*[-–—]?\s*([^:]+?):\s*(.*)$/,
 
             // Flexible fallback: any date-like pattern with optional brackets
             /^[\[\(]?(\d{1,4}[\/\-\.](\d{1,2})[\/\-\.](\d{1,4})[,\s]+(\d{1,2}:\d{2}(?::\d{2})?(?:\s?[AP]M)?))[\]\)]?\s*[-–—]?\s*([^:]+?):\s*(.*)$/
@@ -27,7 +51,7 @@ export class WhatsAppParser {
             /^(\d{1,2}[\/\-\.](\d{1,2})[\/\-\.](\d{2,4}),?\s+(\d{1,2}:\d{2}(?::\d{2})?(?:\s?[AP]M)?))\s*[-–—]\s*(.*)$/,
 
             // ISO format system message
-            /^(\d{4}[\/\-\.](\d{1,2})[\/\-\.](\d{1,2})\s+(\d{1,2}:\d{2}(?::\d{2})?))\s*[-–—]?\s*(.*)$/,
+            /^(\d{4}[\/\-\.](\d{1,2})[\/\-\.](\d{1,2}),?\s+(\d{1,2}:\d{2}(?::\d{2})?(?:\s?[AP]M)?))\s*[-–—]?\s*(.*)$/,
 
             // Flexible fallback
             /^[\[\(]?(\d{1,4}[\/\-\.](\d{1,2})[\/\-\.](\d{1,4})[,\s]+(\d{1,2}:\d{2}(?::\d{2})?(?:\s?[AP]M)?))[\]\)]?\s*(.*)$/
@@ -37,91 +61,290 @@ export class WhatsAppParser {
         this.dateFormat = null;
         this.dateSeparator = '/';
         this.isISOFormat = false;
+        this.calendar = CALENDARS.GREGORIAN;
+
+        // Zone the export's wall-clock times are read in, and hour/day buckets computed in
+        this.timeZone = getViewerTimeZone();
+
+        // Media/deleted/edited/call markers; every locale pack until the export's language is known
+        this.locale = null;
+        this.markers = createMarkerMatcher(null);
     }
 
     /**
      * Parse WhatsApp chat export file
      * @param {string} fileContent - Raw text content of the chat export
+     * @param {Object} [options] - { dateFormat } one of DATE_FORMATS to skip inference,
+     *   { timeZone } IANA zone the export was written in (default: the viewer's),
+     *   { onProgress } called with a message for each detection step
      * @returns {Object} Parsed chat data with messages and metadata
      */
-    parse(fileContent) {
-        const lines = fileContent.split('\n');
-        const messages = [];
-        const participants = new Set();
-        let currentMessage = null;
+    parse(fileContent, options = {}) {
+        const state = this.createParseState(options);
+        this.consumeLines(state, fileContent.split('\n'));
+
+        return {
+            ...this.finishParse(state),
+            rawContent: fileContent
+        };
+    }
+
+    /**
+     * Create the incremental state used by consumeLines() / finishParse().
+     * Lets callers (e.g. the parser worker) feed the file in chunks.
+     * @param {Object} [options] - { dateFormat } forces a date format instead of inferring it,
+     *   { timeZone } IANA zone the timestamps are read in, { onProgress } progress callback
+     */
+    createParseState({ dateFormat = null, timeZone = null, onProgress = null } = {}) {
+        return {
+            dateFormatOverride: dateFormat,
+            timeZone: timeZone || getViewerTimeZone(),
+            onProgress: onProgress || (() => { }),
+            records: [],
+            currentRecord: null,
+            dateEvidence: { isMMDD: false, isDDMM: false, isISO: false, separator: '/', settled: false },
+            lineNumber: 0,
+            diagnostics: {
+                totalLines: 0,
+                blankLines: 0,
+                continuationLines: 0,
+                patternHits: { message: {}, system: {} },
+                suspiciousContinuations: { count: 0, lines: [] },
+                orphanLines: { count: 0, lines: [] }
+            }
+        };
+    }
 
-        // Detect date format first
-        this.dateFormat = this.detectDateFormat(lines);
-        console.log('Detected date format:', this.dateFormat);
+    /**
+     * Feed a batch of complete lines into the parse state
+     * @param {Object} state - State from createParseState()
+     * @param {string[]} lines - Lines without trailing newlines
+     */
+    consumeLines(state, lines) {
+        const diagnostics = state.diagnostics;
 
         for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
+            const line = normalizeLine(lines[i]);
+            const lineNumber = ++state.lineNumber;
+            diagnostics.totalLines++;
+            if (!line) {
+                diagnostics.blankLines++;
+                continue;
+            }
 
             // Try to match as a new message using all patterns
             const messageMatch = this.tryParseMessage(line);
 
             if (messageMatch.success) {
-                // Save previous message if exists
-                if (currentMessage) {
-                    messages.push(this.processMessage(currentMessage));
-                    if (currentMessage.sender !== 'SYSTEM') {
-                        participants.add(currentMessage.sender);
-                    }
-                }
+                this.observeDateFormat(state.dateEvidence, messageMatch.match[1]);
+                this.countPatternHit(diagnostics.patternHits.message, messageMatch.patternIndex);
 
                 // Start new message - extract date, time, sender, content
                 const extracted = this.extractMessageParts(messageMatch.match, messageMatch.patternIndex);
-                currentMessage = {
+                this.startRecord(state, {
                     date: extracted.date,
                     time: extracted.time,
                     sender: extracted.sender.trim(),
                     content: extracted.content.trim(),
-                    rawLine: line
-                };
-            } else {
-                // Check if it's a system message
-                const systemMatch = this.tryParseSystemMessage(line);
-
-                if (systemMatch.success) {
-                    // Save previous message if exists
-                    if (currentMessage) {
-                        messages.push(this.processMessage(currentMessage));
-                        if (currentMessage.sender !== 'SYSTEM') {
-                            participants.add(currentMessage.sender);
-                        }
-                    }
-
-                    const extracted = this.extractSystemMessageParts(systemMatch.match, systemMatch.patternIndex);
-                    currentMessage = {
-                        date: extracted.date,
-                        time: extracted.time,
-                        sender: 'SYSTEM',
-                        content: extracted.content.trim(),
-                        rawLine: line,
-                        isSystem: true
-                    };
-                } else if (currentMessage) {
-                    // This is a continuation of the previous message (multi-line)
-                    currentMessage.content += '\n' + line;
+                    rawLine: line,
+                    lineNumber
+                });
+                continue;
+            }
+
+            // Check if it's a system message
+            const systemMatch = this.tryParseSystemMessage(line);
+
+            if (systemMatch.success) {
+                this.observeDateFormat(state.dateEvidence, systemMatch.match[1]);
+                this.countPatternHit(diagnostics.patternHits.system, systemMatch.patternIndex);
+
+                const extracted = this.extractSystemMessageParts(systemMatch.match, systemMatch.patternIndex);
+                this.startRecord(state, {
+                    date: extracted.date,
+                    time: extracted.time,
+                    sender: 'SYSTEM',
+                    content: extracted.content.trim(),
+                    rawLine: line,
+                    lineNumber,
+                    isSystem: true
+                });
+            } else if (state.currentRecord) {
+                // This is a continuation of the previous message (multi-line)
+                state.currentRecord.content += '\n' + line;
+                diagnostics.continuationLines++;
+                if (HEADER_LIKE_PATTERN.test(line)) {
+                    this.flagLine(diagnostics.suspiciousContinuations, lineNumber, line);
                 }
+            } else {
+                // Nothing to attach to yet; the line is dropped
+                this.flagLine(diagnostics.orphanLines, lineNumber, line);
             }
         }
+    }
 
+    countPatternHit(hits, patternIndex) {
+        hits[patternIndex] = (hits[patternIndex] || 0) + 1;
+    }
+
+    flagLine(category, lineNumber, text, extra = {}) {
+        category.count++;
+        if (category.lines.length < MAX_FLAGGED_LINES) {
+            category.lines.push({ lineNumber, text: text.slice(0, 200), ...extra });
+        }
+    }
+
+    /**
+     * Close the current record (if any) and make `record` the open one
+     */
+    startRecord(state, record) {
+        if (state.currentRecord) {
+            state.records.push(state.currentRecord);
+        }
+        state.currentRecord = record;
+    }
+
+    /**
+     * Resolve the date format and turn buffered records into messages.
+     * Timestamps are only built here because the date format may not be
+     * known until the whole file has been seen.
+     * @param {Object} state - State from createParseState()
+     * @param {Function} [onMessage] - Optional callback invoked with each processed message
+     * @returns {Object} Parsed chat data with messages and metadata
+     */
+    finishParse(state, onMessage) {
         // Don't forget the last message
-        if (currentMessage) {
-            messages.push(this.processMessage(currentMessage));
-            if (currentMessage.sender !== 'SYSTEM') {
-                participants.add(currentMessage.sender);
+        this.startRecord(state, null);
+
+        this.dateFormat = this.resolveDateFormat(state.dateEvidence, state.records.map(record => record.date));
+        this.inferredDateFormat = this.dateFormat;
+        if (state.dateFormatOverride) {
+            this.dateFormat = state.dateFormatOverride;
+            state.onProgress(`Date format overridden: ${this.dateFormat} (inferred ${this.inferredDateFormat})`);
+        } else {
+            state.onProgress(`Detected date format: ${this.dateFormat}`);
+        }
+
+        this.timeZone = state.timeZone;
+
+        this.locale = detectLocale(state.records.map(record => record.content));
+        this.markers = createMarkerMatcher(this.locale);
+        state.onProgress(`Detected marker language: ${this.locale || 'none (matching every language)'}`);
+
+        const invalidTimestamps = { count: 0, lines: [] };
+        const backwardsTimestamps = { count: 0, lines: [] };
+        let previous = null;
+
+        const messages = new Array(state.records.length);
+        for (let i = 0; i < state.records.length; i++) {
+            const record = state.records[i];
+            messages[i] = this.processMessage(record);
+
+            const time = messages[i].timestamp.getTime();
+            if (isNaN(time) || !this.isValidDate(record.date)) {
+                this.flagLine(invalidTimestamps, record.lineNumber, record.rawLine);
+            } else {
+                if (previous && time < previous.time) {
+                    this.flagLine(backwardsTimestamps, record.lineNumber, record.rawLine, { previousLineNumber: previous.lineNumber });
+                }
+                previous = { time, lineNumber: record.lineNumber };
             }
+
+            if (onMessage) onMessage(messages[i], i, state.records.length);
         }
 
+        return {
+            ...this.fromMessages(messages),
+            dateFormat: this.dateFormat,
+            calendar: this.calendar,
+            timeZone: this.timeZone,
+            diagnostics: this.buildDiagnostics(state, invalidTimestamps, backwardsTimestamps)
+        };
+    }
+
+    /**
+     * Date rolls impossible values over (month 13 -> January), so check the
+     * written parts against the file's calendar before trusting a timestamp
+     */
+    isValidDate(dateStr, dateFormat = this.dateFormat) {
+        const { year, month, day } = this.splitDateParts(dateStr, dateFormat);
+        return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth(this.calendar, year, month);
+    }
+
+    /**
+     * Split a date string into numeric parts for the given format.
+     * Years stay in the file's calendar; two-digit years are expanded.
+     * @returns {Object} { year, month, day }
+     */
+    splitDateParts(dateStr, dateFormat = this.dateFormat) {
+        const parts = dateStr.split(/[\/\-\.]/).map(Number);
+        let day, month, year;
+
+        if (dateFormat === 'YYYY-MM-DD') {
+            [year, month, day] = parts;
+        } else if (dateFormat === 'MM/DD/YYYY') {
+            [month, day, year] = parts;
+        } else {
+            [day, month, year] = parts;
+        }
+
+        return { year: year < 100 ? 2000 + year : year, month, day };
+    }
+
+    /**
+     * Summarise how well the file matched the known formats
+     * @returns {Object} Diagnostics with a 0-1 confidence score; flagged lines carry lineNumber
+     */
+    buildDiagnostics(state, invalidTimestamps, backwardsTimestamps) {
+        const { diagnostics, records } = state;
+        const ambiguous = this.dateFormatAmbiguous && !state.dateFormatOverride;
+        const headerLines = records.length;
+
+        // Share of non-blank lines we could account for, discounted by timestamp problems
+        const unexplained = diagnostics.suspiciousContinuations.count + diagnostics.orphanLines.count;
+        let confidence = headerLines ? headerLines / (headerLines + unexplained) : 0;
+        if (headerLines) {
+            confidence *= 1 - invalidTimestamps.count / headerLines;
+            confidence *= 1 - Math.min(0.5, backwardsTimestamps.count / headerLines);
+        }
+        // Day/month order could not be told apart from the dates in the file
+        if (ambiguous) confidence *= 0.9;
+
+        return {
+            ...diagnostics,
+            dateFormat: this.dateFormat,
+            inferredDateFormat: this.inferredDateFormat,
+            dateFormatOverridden: Boolean(state.dateFormatOverride),
+            dateFormatScores: this.dateFormatScores,
+            dateSeparator: this.dateSeparator,
+            calendar: this.calendar,
+            locale: this.locale,
+            dateFormatAmbiguous: ambiguous,
+            headerLines,
+            invalidTimestamps,
+            backwardsTimestamps,
+            confidence: Math.round(confidence * 100) / 100
+        };
+    }
+
+    /**
+     * Build the parsed-data shape (participants, date range) around a message list
+     * @param {Object[]} messages - Processed messages in chronological order
+     * @returns {Object} { messages, participants, totalMessages, dateRange }
+     */
+    fromMessages(messages) {
+        const participants = new Set();
+        messages.forEach(msg => {
+            if (msg.sender !== 'SYSTEM') {
+                participants.add(msg.sender);
+            }
+        });
+
         return {
             messages,
             participants: Array.from(participants),
             totalMessages: messages.length,
-            dateRange: this.getDateRange(messages),
-            rawContent: fileContent
+            dateRange: this.getDateRange(messages)
         };
     }
 
@@ -209,54 +432,132 @@ export class WhatsAppParser {
      * Detect date format (DD/MM/YYYY, MM/DD/YYYY, or YYYY-MM-DD) and separator
      */
     detectDateFormat(lines) {
-        let isMMDD = false;
-        let isDDMM = false;
-        let isISO = false;
-        let separator = '/';
+        const evidence = this.createParseState().dateEvidence;
+        const dates = [];
 
-        for (const line of lines) {
+        for (const rawLine of lines) {
+            const line = normalizeLine(rawLine);
             const messageMatch = this.tryParseMessage(line);
-            const systemMatch = this.tryParseSystemMessage(line);
+            const lineMatch = messageMatch.success ? messageMatch : this.tryParseSystemMessage(line);
 
-            const match = messageMatch.success ? messageMatch.match :
-                (systemMatch.success ? systemMatch.match : null);
+            if (lineMatch.success) {
+                this.observeDateFormat(evidence, lineMatch.match[1]);
+                dates.push(this.parseTimestampString(lineMatch.match[1]).date);
+            }
+        }
 
-            if (match) {
-                const timestampStr = match[1];
-
-                // Detect separator
-                if (timestampStr.includes('/')) separator = '/';
-                else if (timestampStr.includes('-')) separator = '-';
-                else if (timestampStr.includes('.')) separator = '.';
-
-                // Extract date part
-                const datePart = timestampStr.split(/[,\s]+/)[0];
-                const parts = datePart.split(/[\/\-\.]/);
-
-                if (parts.length === 3) {
-                    const [p1, p2, p3] = parts.map(Number);
-
-                    // Check for ISO format (YYYY-MM-DD)
-                    if (p1 > 31 && p1 < 3000) {
-                        isISO = true;
-                        this.isISOFormat = true;
-                    } else {
-                        // Check DD/MM vs MM/DD
-                        if (p2 > 12) isMMDD = true; // 12/30 -> p2=30 -> MM/DD
-                        if (p1 > 12) isDDMM = true; // 30/12 -> p1=30 -> DD/MM
-                    }
-                }
+        return this.resolveDateFormat(evidence, dates);
+    }
+
+    /**
+     * Record what a single timestamp tells us about the date format.
+     * Stops updating once a decisive timestamp has been seen.
+     */
+    observeDateFormat(evidence, timestampStr) {
+        if (evidence.settled) return;
+
+        // Detect separator
+        if (timestampStr.includes('/')) evidence.separator = '/';
+        else if (timestampStr.includes('-')) evidence.separator = '-';
+        else if (timestampStr.includes('.')) evidence.separator = '.';
+
+        // Extract date part
+        const datePart = timestampStr.split(/[,\s]+/)[0];
+        const parts = datePart.split(/[\/\-\.]/);
 
-                if (isMMDD || isDDMM || isISO) break;
+        if (parts.length === 3) {
+            const [p1, p2] = parts.map(Number);
+
+            // Check for ISO format (YYYY-MM-DD)
+            if (p1 > 31 && p1 < 3000) {
+                evidence.isISO = true;
+            } else {
+                // Check DD/MM vs MM/DD
+                if (p2 > 12) evidence.isMMDD = true; // 12/30 -> p2=30 -> MM/DD
+                if (p1 > 12) evidence.isDDMM = true; // 30/12 -> p1=30 -> DD/MM
             }
         }
 
-        this.dateSeparator = separator;
+        evidence.settled = evidence.isMMDD || evidence.isDDMM || evidence.isISO;
+    }
+
+    /**
+     * Turn collected date evidence into a format string
+     * @param {Object} evidence - From observeDateFormat()
+     * @param {string[]} [dateStrings] - Every date part in the file, for inferDateFormat()
+     */
+    resolveDateFormat(evidence, dateStrings = []) {
+        this.dateSeparator = evidence.separator;
+        this.isISOFormat = evidence.isISO;
+        this.dateFormatScores = null;
+        this.dateFormatAmbiguous = false;
+
+        // The year is first in ISO dates and last otherwise, whatever the day/month order
+        this.calendar = detectCalendar(dateStrings.map(dateStr => {
+            const parts = dateStr.split(/[\/\-\.]/).map(Number);
+            return evidence.isISO ? parts[0] : parts[2];
+        }));
+
+        if (evidence.isISO) return 'YYYY-MM-DD';
+
+        if (dateStrings.length === 0) {
+            if (evidence.isMMDD && !evidence.isDDMM) return 'MM/DD/YYYY';
+            if (evidence.isDDMM && !evidence.isMMDD) return 'DD/MM/YYYY';
+            this.dateFormatAmbiguous = true;
+            return 'DD/MM/YYYY'; // Default fallback
+        }
+
+        const inference = this.inferDateFormat(dateStrings);
+        this.dateFormatScores = inference.scores;
+        this.dateFormatAmbiguous = inference.ambiguous;
+        return inference.dateFormat;
+    }
+
+    /**
+     * Score DD/MM and MM/DD against every date in the file. Impossible dates,
+     * dates that go backwards and large day-to-day jumps all cost points; the
+     * lowest score wins and a tie keeps the DD/MM default.
+     * @returns {Object} { dateFormat, scores, ambiguous }
+     */
+    inferDateFormat(dateStrings) {
+        const candidates = ['DD/MM/YYYY', 'MM/DD/YYYY'];
+        const scores = {};
+
+        candidates.forEach(format => {
+            let score = 0;
+            let previousDay = null;
+            let previousString = null;
+
+            for (const dateStr of dateStrings) {
+                // Most consecutive messages share a date; score each run once
+                if (dateStr === previousString) continue;
+                previousString = dateStr;
+
+                if (!this.isValidDate(dateStr, format)) {
+                    score += INVALID_DATE_PENALTY;
+                    continue;
+                }
+
+                const { year, month, day } = this.splitDateParts(dateStr, format);
+                const [gregorianYear, gregorianMonth, gregorianDay] = toGregorian(this.calendar, year, month, day);
+                const dayNumber = Date.UTC(gregorianYear, gregorianMonth - 1, gregorianDay) / DAY_MS;
+                if (previousDay !== null && dayNumber !== previousDay) {
+                    const gap = dayNumber - previousDay;
+                    score += gap < 0 ? BACKWARDS_DATE_PENALTY + Math.log1p(-gap) : Math.log1p(gap);
+                }
+                previousDay = dayNumber;
+            }
 
-        if (isISO) return 'YYYY-MM-DD';
-        if (isMMDD && !isDDMM) return 'MM/DD/YYYY';
-        if (isDDMM && !isMMDD) return 'DD/MM/YYYY';
-        return 'DD/MM/YYYY'; // Default fallback
+            scores[format] = Math.round(score * 100) / 100;
+        });
+
+        // Stable sort: equal scores keep the DD/MM default first
+        const [best, runnerUp] = [...candidates].sort((a, b) => scores[a] - scores[b]);
+        return {
+            dateFormat: best,
+            scores,
+            ambiguous: scores[runnerUp] - scores[best] < AMBIGUITY_MARGIN
+        };
     }
 
     /**
@@ -265,27 +566,54 @@ export class WhatsAppParser {
     processMessage(msg) {
         const timestamp = this.parseTimestamp(msg.date, msg.time);
 
-        return {
+        return this.buildMessage({
             timestamp,
-            date: new Date(timestamp),
             sender: msg.sender,
             content: msg.content,
-            isSystem: msg.isSystem || false,
+            isSystem: msg.isSystem
+        });
+    }
+
+    /**
+     * Build a message with derived metadata. Other importers (Telegram, ...) call
+     * this too, so every source yields the shape WhatsAppAnalytics expects.
+     * @param {Object} fields - { timestamp, sender, content, isSystem, systemEvent, metadata }
+     *   `systemEvent` and `metadata` override what would be inferred from the content
+     */
+    buildMessage({ timestamp, sender, content, isSystem = false, systemEvent = null, metadata = {} }) {
+        const call = this.markers.call(content);
+        const zoned = getZonedParts(timestamp, this.timeZone);
+
+        return {
+            timestamp,
+            date: new Date(timestamp),
+            sender,
+            content,
+            isSystem,
+            systemEvent: isSystem ? (systemEvent || classifySystemEvent(content)) : null,
             metadata: {
-                length: msg.content.length,
-                wordCount: msg.content.split(/\s+/).filter(w => w.length > 0).length,
-                isMedia: this.isMediaMessage(msg.content),
-                isDeleted: this.isDeletedMessage(msg.content),
-                hasUrl: this.hasUrl(msg.content),
-                hasEmoji: /[\u{1F600}-\u{1F64F}]/u.test(msg.content),
-                questionCount: (msg.content.match(/\?/g) || []).length,
-                exclamationCount: (msg.content.match(/!/g) || []).length,
-                mediaType: this.getMediaType(msg.content),
-                hour: timestamp.getHours(),
-                dayOfWeek: timestamp.getDay(), // 0 = Sunday
-                dayOfMonth: timestamp.getDate(),
-                month: timestamp.getMonth(),
-                year: timestamp.getFullYear()
+                length: content.length,
+                wordCount: content.split(/\s+/).filter(w => w.length > 0).length,
+                isMedia: this.isMediaMessage(content),
+                isDeleted: this.isDeletedMessage(content),
+                // Only the exporter's own deleted messages are worded this way
+                isDeletedBySelf: this.markers.isDeletedBySelf(content),
+                isEdited: this.isEditedMessage(content),
+                callType: call ? call.callType : null,
+                isMissedCall: call ? call.isMissedCall : false,
+                hasUrl: this.hasUrl(content),
+                hasEmoji: /[\u{1F600}-\u{1F64F}]/u.test(content),
+                questionCount: (content.match(/\?/g) || []).length,
+                exclamationCount: (content.match(/!/g) || []).length,
+                mediaType: this.getMediaType(content),
+                // Calendar fields in this.timeZone; applyTimeZone() re-projects them
+                hour: zoned.hour,
+                dayOfWeek: zoned.dayOfWeek, // 0 = Sunday
+                dayOfMonth: zoned.day,
+                month: zoned.month,
+                year: zoned.year,
+                dateKey: zoned.dateKey,
+                ...metadata
             }
         };
     }
@@ -294,19 +622,9 @@ export class WhatsAppParser {
      * Parse date and time strings into Date object
      */
     parseTimestamp(dateStr, timeStr) {
-        // Split by detected separator
-        const parts = dateStr.split(/[\/\-\.]/).map(Number);
-        let day, month, year;
-
-        if (this.dateFormat === 'YYYY-MM-DD') {
-            [year, month, day] = parts;
-        } else if (this.dateFormat === 'MM/DD/YYYY') {
-            [month, day, year] = parts;
-        } else {
-            [day, month, year] = parts;
-        }
-
-        const fullYear = year < 100 ? 2000 + year : year;
+        // Jalali and Buddhist-era dates are converted to Gregorian here
+        const { year, month, day } = this.splitDateParts(dateStr);
+        const [fullYear, gregorianMonth, gregorianDay] = toGregorian(this.calendar, year, month, day);
 
         // Handle time with or without AM/PM and with or without seconds
         // Supports: HH:MM, HH:MM AM/PM, HH:MM:SS, HH:MM:SS AM/PM
@@ -328,76 +646,31 @@ export class WhatsAppParser {
             [hours, minutes] = timeStr.split(':').map(Number);
         }
 
-        return new Date(fullYear, month - 1, day, hours, minutes, seconds);
+        return new Date(zonedTimeToEpoch(fullYear, gregorianMonth, gregorianDay, hours, minutes, seconds, this.timeZone));
     }
 
     /**
      * Check if message is a media message
      */
     isMediaMessage(content) {
-        const mediaPatterns = [
-            // English
-            /image omitted/i,
-            /video omitted/i,
-            /audio omitted/i,
-            /sticker omitted/i,
-            /GIF omitted/i,
-            /document omitted/i,
-            /contact card omitted/i,
-            /<Media omitted>/i,
-
-            // Spanish
-            /imagen omitida/i,
-            /vídeo omitido/i,
-            /video omitido/i,
-            /audio omitido/i,
-
-            // German
-            /Bild weggelassen/i,
-            /Video weggelassen/i,
-            /<Medien ausgeschlossen>/i,
-
-            // French
-            /image omise/i,
-            /vidéo omise/i,
-
-            // Portuguese
-            /imagem oculta/i,
-            /vídeo oculto/i,
-            /video oculto/i,
-
-            // Italian
-            /immagine omessa/i,
-            /video omesso/i,
-
-            // Hindi/Indian languages
-            /छवि छोड़ दी गई/i,
-            /वीडियो छोड़ दिया गया/i,
-
-            // Dutch
-            /afbeelding weggelaten/i,
-            /video weggelaten/i,
-
-            // Generic patterns
-            /<attached:/i,
-            /\.jpg|\.jpeg|\.png|\.gif|\.mp4|\.pdf|\.doc/i,
-            /media omitted/i
-        ];
-
-        return mediaPatterns.some(pattern => pattern.test(content));
+        return this.markers.isMedia(content) ||
+            // iOS attachment references and file names are the same in every language
+            /<attached:/i.test(content) ||
+            /\.jpg|\.jpeg|\.png|\.gif|\.mp4|\.pdf|\.doc/i.test(content);
     }
 
     /**
      * Get media type if it's a media message
      */
     getMediaType(content) {
-        if (/image omitted|\.jpg|\.jpeg|\.png/i.test(content)) return 'image';
-        if (/video omitted|\.mp4|\.mov/i.test(content)) return 'video';
-        if (/audio omitted|\.mp3|voice call/i.test(content)) return 'audio';
-        if (/sticker omitted/i.test(content)) return 'sticker';
-        if (/GIF omitted|\.gif/i.test(content)) return 'gif';
-        if (/document omitted|\.pdf|\.doc/i.test(content)) return 'document';
-        if (/contact card omitted/i.test(content)) return 'contact';
+        const omittedType = this.markers.mediaType(content);
+        if (omittedType) return omittedType;
+
+        if (/\.jpg|\.jpeg|\.png/i.test(content)) return 'image';
+        if (/\.mp4|\.mov/i.test(content)) return 'video';
+        if (/\.mp3/i.test(content)) return 'audio';
+        if (/\.gif/i.test(content)) return 'gif';
+        if (/\.pdf|\.doc/i.test(content)) return 'document';
         if (/location:/i.test(content)) return 'location';
         return null;
     }
@@ -406,7 +679,14 @@ export class WhatsAppParser {
      * Check if message was deleted
      */
     isDeletedMessage(content) {
-        return /this message was deleted|you deleted this message/i.test(content);
+        return this.markers.isDeleted(content);
+    }
+
+    /**
+     * Check if message carries the "edited" suffix
+     */
+    isEditedMessage(content) {
+        return this.markers.isEdited(content);
     }
 
     /**
@@ -424,9 +704,17 @@ export class WhatsAppParser {
             return { start: null, end: null, duration: 0 };
         }
 
-        const dates = messages.map(m => m.timestamp);
-        const start = new Date(Math.min(...dates));
-        const end = new Date(Math.max(...dates));
+        // Loop instead of Math.min(...dates): spreading 100k+ arguments overflows the stack
+        let min = Infinity;
+        let max = -Infinity;
+        for (const msg of messages) {
+            const time = msg.timestamp.getTime();
+            if (time < min) min = time;
+            if (time > max) max = time;
+        }
+
+        const start = new Date(min);
+        const end = new Date(max);
         const duration = end - start;
 
         return {
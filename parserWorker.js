@@ -0,0 +1,150 @@
+// Web Worker: streams a chat export through the matching parser off the main thread
+//
+// Protocol (main -> worker):
+//   { type: 'parse', source: File|Blob|Blob[], format, dateFormat, encoding, timeZone }
+//   format is one of CHAT_FORMATS; an array is only accepted for multi-file formats
+//   (Messenger pages); dateFormat (WhatsApp only) overrides date-format inference;
+//   encoding is a TextDecoder label (default UTF-8); timeZone (WhatsApp only) is the
+//   IANA zone the export's times are read in (default: the browser's)
+// Protocol (worker -> main):
+//   { type: 'progress', percent }
+//   { type: 'messages', messages }          batches of processed messages
+//   { type: 'done', dateFormat, calendar, timeZone, totalMessages, chatName, threads, diagnostics }
+//   { type: 'error', message }
+
+import { WhatsAppParser } from './parser.js';
+import { CHAT_FORMATS, createDocumentParser, isMultiFileFormat } from './chatFormats.js';
+
+const CHUNK_SIZE = 1024 * 1024; // 1 MB per read
+const MESSAGE_BATCH_SIZE = 5000;
+
+// Reading the file is most of the work; building messages is the rest
+const READ_PROGRESS_SHARE = 80;
+
+self.addEventListener('message', async (event) => {
+    const { type, source, format = CHAT_FORMATS.WHATSAPP, dateFormat = null, encoding = 'utf-8', timeZone = null } = event.data;
+    if (type !== 'parse') return;
+
+    try {
+        const result = format === CHAT_FORMATS.WHATSAPP
+            ? await parseLineStream(source, { dateFormat, encoding, timeZone })
+            : await parseDocument(source, format, encoding);
+
+        self.postMessage({
+            type: 'done',
+            dateFormat: result.dateFormat || null,
+            calendar: result.calendar || null,
+            timeZone: result.timeZone || null,
+            totalMessages: result.totalMessages,
+            chatName: result.chatName || null,
+            threads: result.threads || null,
+            diagnostics: result.diagnostics || null
+        });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});
+
+/**
+ * WhatsApp .txt: feed complete lines to the parser as chunks arrive
+ */
+async function parseLineStream(source, { dateFormat, encoding, timeZone }) {
+    const parser = new WhatsAppParser();
+    const state = parser.createParseState({ dateFormat, timeZone });
+    let pending = '';
+
+    await readChunks(source, (text) => {
+        pending += text;
+
+        // Only hand complete lines to the parser; keep the tail for the next chunk
+        const lastNewline = pending.lastIndexOf('\n');
+        if (lastNewline !== -1) {
+            parser.consumeLines(state, pending.slice(0, lastNewline).split('\n'));
+            pending = pending.slice(lastNewline + 1);
+        }
+    }, { encoding });
+
+    parser.consumeLines(state, pending.split('\n'));
+
+    const sender = createBatchSender();
+    const result = parser.finishParse(state, sender.push);
+    sender.flush();
+
+    return result;
+}
+
+/**
+ * JSON/XML exports: the document must be complete before it can be parsed
+ */
+async function parseDocument(source, format, encoding) {
+    const parser = createDocumentParser(format);
+    if (!parser) throw new Error(`Unsupported chat format: ${format}`);
+
+    const sources = Array.isArray(source) ? source : [source];
+    const totalSize = sources.reduce((sum, blob) => sum + blob.size, 0);
+    const texts = [];
+    let bytesBefore = 0;
+
+    for (const blob of sources) {
+        const parts = [];
+        await readChunks(blob, (text) => parts.push(text), { encoding, offset: bytesBefore, total: totalSize });
+        texts.push(parts.join(''));
+        bytesBefore += blob.size;
+    }
+
+    const result = parser.parse(isMultiFileFormat(format) ? texts : texts[0]);
+
+    const sender = createBatchSender();
+    result.messages.forEach((message, index) => sender.push(message, index, result.messages.length));
+    sender.flush();
+
+    return result;
+}
+
+/**
+ * Read a Blob in fixed-size chunks, decoding across chunk boundaries
+ * @param {Object} [options] - { encoding } TextDecoder label; { offset, total } when
+ *   this Blob is one of several and progress should cover them all
+ */
+async function readChunks(source, onText, { encoding = 'utf-8', offset: progressOffset = 0, total = source.size } = {}) {
+    const decoder = new TextDecoder(encoding);
+
+    for (let offset = 0; offset < source.size; offset += CHUNK_SIZE) {
+        const buffer = await source.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+        // stream: true keeps multi-byte characters (and UTF-16 pairs) split across chunks intact
+        onText(decoder.decode(buffer, { stream: true }));
+
+        const bytesRead = progressOffset + Math.min(offset + CHUNK_SIZE, source.size);
+        postProgress((bytesRead / total) * READ_PROGRESS_SHARE);
+    }
+
+    onText(decoder.decode());
+}
+
+/**
+ * Post processed messages back in batches to keep structured-clone costs low
+ */
+function createBatchSender() {
+    let batch = [];
+
+    return {
+        push: (message, index, total) => {
+            batch.push(message);
+            if (batch.length === MESSAGE_BATCH_SIZE) {
+                self.postMessage({ type: 'messages', messages: batch });
+                batch = [];
+                postProgress(READ_PROGRESS_SHARE + ((index + 1) / total) * (100 - READ_PROGRESS_SHARE));
+            }
+        },
+        flush: () => {
+            if (batch.length) {
+                self.postMessage({ type: 'messages', messages: batch });
+                batch = [];
+            }
+        }
+    };
+}
+
+function postProgress(percent) {
+    self.postMessage({ type: 'progress', percent: Math.round(percent) });
+}
@@ -0,0 +1,290 @@
+// Period Comparison: two date ranges of one chat side by side
+//
+// Some change between two periods always shows: a chat's daily volume and
+// reply times swing from week to week. So each headline metric comes with a
+// test of whether its change is bigger than that swing: Welch's t-test on
+// messages per day, a Mann-Whitney U test on reply times (far too skewed for a
+// t-test) and a two-proportion z-test on shares and rates (who starts
+// conversations, ghosting, how often a word or emoji is used). A change only
+// counts as meaningful when it clears the 95% level AND is big enough to
+// notice, since in a huge chat even a trivial change is "significant".
+
+import parser from './parser.js';
+import WhatsAppAnalytics from './analytics.js';
+import { stats, emojiUtils, textUtils } from './utils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// |z| beyond this is significant at the 95% level (two-sided)
+const Z_CRITICAL = 1.96;
+
+// Smallest changes worth reporting: relative for rates and times, points for shares
+const MIN_RELATIVE_CHANGE = 0.1;
+const MIN_SHARE_CHANGE = 5;
+
+// Fewer observations than this on either side can't support a test
+const MIN_SAMPLE = 5;
+
+const TOP_TERMS = 10;
+// Words and emojis whose use changed the most, out of the top ones of either period
+const MOVER_CANDIDATES = 30;
+const MAX_MOVERS = 8;
+
+function dayNumber(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return Date.UTC(year, month - 1, day) / DAY_MS;
+}
+
+/**
+ * Welch's t for a difference in means; with a few days per period it is close enough to z
+ * @returns {number|null} Positive when b's mean is higher
+ */
+function welchZ(a, b) {
+    if (a.length < MIN_SAMPLE || b.length < MIN_SAMPLE) return null;
+    const variance = (values, mean) => values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1);
+    const meanA = stats.mean(a);
+    const meanB = stats.mean(b);
+    const error = Math.sqrt(variance(a, meanA) / a.length + variance(b, meanB) / b.length);
+    if (!error) return meanA === meanB ? 0 : null;
+    return (meanB - meanA) / error;
+}
+
+/**
+ * Mann-Whitney U as a z score (normal approximation with a tie correction)
+ * @returns {number|null} Positive when b's values tend to be higher
+ */
+function mannWhitneyZ(a, b) {
+    if (a.length < MIN_SAMPLE || b.length < MIN_SAMPLE) return null;
+
+    const values = [...a.map(value => ({ value, fromB: false })), ...b.map(value => ({ value, fromB: true }))]
+        .sort((x, y) => x.value - y.value);
+    const n = values.length;
+    let rankSumB = 0;
+    let tieTerm = 0;
+    for (let i = 0; i < n;) {
+        let j = i;
+        while (j < n && values[j].value === values[i].value) j++;
+        // Tied values share the average of their ranks (1-based)
+        const rank = (i + 1 + j) / 2;
+        for (let k = i; k < j; k++) {
+            if (values[k].fromB) rankSumB += rank;
+        }
+        const ties = j - i;
+        tieTerm += ties ** 3 - ties;
+        i = j;
+    }
+
+    const u = rankSumB - (b.length * (b.length + 1)) / 2;
+    const mean = (a.length * b.length) / 2;
+    const sd = Math.sqrt(((a.length * b.length) / 12) * ((n + 1) - tieTerm / (n * (n - 1))));
+    return sd ? (u - mean) / sd : null;
+}
+
+/**
+ * Two-proportion z-test of successesA / totalA against successesB / totalB
+ * @returns {number|null} Positive when b's proportion is higher
+ */
+function proportionZ(successesA, totalA, successesB, totalB) {
+    if (totalA < MIN_SAMPLE || totalB < MIN_SAMPLE) return null;
+    const pooled = (successesA + successesB) / (totalA + totalB);
+    const error = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+    if (!error) return 0;
+    return (successesB / totalB - successesA / totalA) / error;
+}
+
+/**
+ * One metric in both periods
+ * @param {boolean} [isShare] - A percentage, judged by points rather than relative change
+ * @returns {Object} { a, b, delta, relativeChange, z, significant }
+ */
+function change(a, b, z, isShare = false) {
+    const delta = a === null || b === null ? null : stats.round(b - a, 2);
+    const relativeChange = delta === null || !a ? null : stats.round(delta / a, 3);
+    const noticeable = isShare
+        ? Math.abs(delta) >= MIN_SHARE_CHANGE
+        : relativeChange === null || Math.abs(relativeChange) >= MIN_RELATIVE_CHANGE;
+    return {
+        a,
+        b,
+        delta,
+        relativeChange,
+        z: z === null ? null : stats.round(z, 2),
+        significant: z !== null && delta !== null && Math.abs(z) >= Z_CRITICAL && noticeable
+    };
+}
+
+/**
+ * Everything the comparison needs from one period, read off WhatsAppAnalytics
+ * so reply times and ghosts are counted exactly as on the dashboard
+ */
+function measurePeriod(parsedData, range, span, thresholds) {
+    // Clipped to the chat: days before its first message aren't quiet days
+    let start = range.start > span.start ? range.start : span.start;
+    let end = range.end < span.end ? range.end : span.end;
+    const isOutside = start > end;
+    if (isOutside) ({ start, end } = range);
+    const messages = parsedData.messages.filter(msg => msg.metadata.dateKey >= start && msg.metadata.dateKey <= end);
+    // The whole chat's participants, so both periods have the same rows
+    const analytics = new WhatsAppAnalytics(
+        { ...parsedData, ...parser.fromMessages(messages), participants: parsedData.participants },
+        { thresholds }
+    );
+    const { userMessages } = analytics;
+
+    const days = isOutside ? 0 : dayNumber(end) - dayNumber(start) + 1;
+    const daily = new Array(days).fill(0);
+    userMessages.forEach(msg => { daily[dayNumber(msg.metadata.dateKey) - dayNumber(start)]++; });
+
+    // Every reply time of a sender, out of its by-hour buckets
+    const { byHourBySender } = analytics.calculateResponseTimes();
+    const replyTimesBySender = {};
+    parsedData.participants.forEach(p => {
+        replyTimesBySender[p] = Object.values(byHourBySender[p]).flat();
+    });
+
+    return {
+        start,
+        end,
+        days,
+        messageCount: userMessages.length,
+        daily,
+        replyTimes: Object.values(replyTimesBySender).flat(),
+        replyTimesBySender,
+        ghosts: sum(Object.values(analytics.getGhostPeriods()).map(ghost => ghost.totalGhosts)),
+        initiators: analytics.getConversationInitiators(),
+        words: textUtils.getWordFrequency(userMessages),
+        emojis: emojiUtils.getEmojiFrequency(userMessages)
+    };
+}
+
+function sum(values) {
+    return values.reduce((total, value) => total + value, 0);
+}
+
+function topTerms(frequency, limit) {
+    return Object.entries(frequency)
+        .sort((x, y) => y[1] - x[1])
+        .slice(0, limit)
+        .map(([term, count]) => ({ term, count }));
+}
+
+/**
+ * Top words or emojis of each period, and the ones whose use changed the most
+ * (per 1,000 words or emojis, so a busier period doesn't win by volume)
+ */
+function compareTerms(frequencyA, frequencyB) {
+    const totalA = sum(Object.values(frequencyA));
+    const totalB = sum(Object.values(frequencyB));
+    const candidates = new Set([
+        ...topTerms(frequencyA, MOVER_CANDIDATES).map(({ term }) => term),
+        ...topTerms(frequencyB, MOVER_CANDIDATES).map(({ term }) => term)
+    ]);
+
+    const perThousand = (count, total) => total ? stats.round((count / total) * 1000) : null;
+    const movers = [...candidates]
+        .map(term => {
+            const countA = frequencyA[term] || 0;
+            const countB = frequencyB[term] || 0;
+            return {
+                term,
+                ...change(perThousand(countA, totalA), perThousand(countB, totalB), proportionZ(countA, totalA, countB, totalB))
+            };
+        })
+        .filter(mover => mover.significant)
+        .sort((x, y) => Math.abs(y.z) - Math.abs(x.z))
+        .slice(0, MAX_MOVERS);
+
+    return { top: [topTerms(frequencyA, TOP_TERMS), topTerms(frequencyB, TOP_TERMS)], movers };
+}
+
+function shiftDateKey(dateKey, days) {
+    return new Date((dayNumber(dateKey) + days) * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Ranges for a preset, relative to the chat's last day
+ * @param {string} preset - 'year' (this calendar year vs last), '30days' or 'split'
+ * @param {Object} span - { start, end } of the chat as 'YYYY-MM-DD'
+ * @param {string} [splitDate] - First day of the second period, for 'split'
+ * @returns {Object[]|null} [rangeA, rangeB], or null when the preset can't apply
+ */
+export function presetRanges(preset, span, splitDate = null) {
+    const year = Number(span.end.slice(0, 4));
+    switch (preset) {
+        case 'year':
+            return [{ start: `${year - 1}-01-01`, end: `${year - 1}-12-31` }, { start: `${year}-01-01`, end: span.end }];
+        case '30days':
+            return [
+                { start: shiftDateKey(span.end, -59), end: shiftDateKey(span.end, -30) },
+                { start: shiftDateKey(span.end, -29), end: span.end }
+            ];
+        case 'split':
+            if (!splitDate || splitDate <= span.start || splitDate > span.end) return null;
+            return [{ start: span.start, end: shiftDateKey(splitDate, -1) }, { start: splitDate, end: span.end }];
+        default:
+            return null;
+    }
+}
+
+/**
+ * Compare two date ranges of a chat
+ * @param {Object} parsedData - { messages, participants } with dateKeys in the display time zone
+ * @param {Object} rangeA - { start, end } as inclusive 'YYYY-MM-DD'
+ * @param {Object} rangeB - { start, end }
+ * @param {Object} [options] - { thresholds: partial DEFAULT_THRESHOLDS }
+ * @returns {Object} { periods: [{ start, end, days, messageCount }] x2, messagesPerDay, replyTime: { overall,
+ *   byParticipant }, initiatorShare: { name: change }, ghostsPer100Replies, words, emojis } where each
+ *   change is { a, b, delta, relativeChange, z, significant } and words/emojis are { top: [a, b], movers }
+ */
+export function comparePeriods(parsedData, rangeA, rangeB, options = {}) {
+    const { messages } = parsedData;
+    if (!messages.length) throw new Error('The chat has no messages to compare');
+    const span = { start: messages[0].metadata.dateKey, end: messages[messages.length - 1].metadata.dateKey };
+    const a = measurePeriod(parsedData, rangeA, span, options.thresholds);
+    const b = measurePeriod(parsedData, rangeB, span, options.thresholds);
+
+    const median = (times) => times.length ? stats.median(times) : null;
+    const byParticipant = {};
+    const initiatorShare = {};
+    const initiationsA = sum(Object.values(a.initiators));
+    const initiationsB = sum(Object.values(b.initiators));
+    const share = (count, total) => total ? stats.round((count / total) * 100) : null;
+    parsedData.participants.forEach(p => {
+        byParticipant[p] = change(
+            median(a.replyTimesBySender[p]),
+            median(b.replyTimesBySender[p]),
+            mannWhitneyZ(a.replyTimesBySender[p], b.replyTimesBySender[p])
+        );
+        initiatorShare[p] = change(
+            share(a.initiators[p], initiationsA),
+            share(b.initiators[p], initiationsB),
+            proportionZ(a.initiators[p], initiationsA, b.initiators[p], initiationsB),
+            true
+        );
+    });
+
+    const ghostRate = (period) => period.replyTimes.length ? stats.round((period.ghosts / period.replyTimes.length) * 100) : null;
+
+    return {
+        periods: [a, b].map(({ start, end, days, messageCount }) => ({ start, end, days, messageCount })),
+        messagesPerDay: change(
+            a.days ? stats.round(a.messageCount / a.days) : null,
+            b.days ? stats.round(b.messageCount / b.days) : null,
+            welchZ(a.daily, b.daily)
+        ),
+        replyTime: {
+            overall: change(median(a.replyTimes), median(b.replyTimes), mannWhitneyZ(a.replyTimes, b.replyTimes)),
+            byParticipant
+        },
+        initiatorShare,
+        ghostsPer100Replies: change(
+            ghostRate(a),
+            ghostRate(b),
+            proportionZ(a.ghosts, a.replyTimes.length, b.ghosts, b.replyTimes.length)
+        ),
+        words: compareTerms(a.words, b.words),
+        emojis: compareTerms(a.emojis, b.emojis)
+    };
+}
+
+export default comparePeriods;
@@ -0,0 +1,76 @@
+// Perspective: which participant is the person who exported the chat
+//
+// Every export is written from one phone, and most questions about a chat are
+// "me versus them". The exporter gives themselves away in two places: some
+// exports (and SMS backups) label their messages "You", and only their own
+// deleted messages read "You deleted this message". When neither shows up the
+// user picks themselves; the choice is saved per chat in localStorage
+// (encrypted once a passphrase is set).
+
+import { readSetting, writeSetting } from './vault.js';
+
+const STORAGE_PREFIX = 'whattrace.self.';
+
+// Sender labels exports use for the exporter, by detected marker language.
+// Matched exactly as written: lower-case "tu" or "du" is just as likely a
+// nickname, and a label is only trusted in its own language. English always
+// applies (SMS backups have no language, iOS mixes English labels in).
+const SELF_LABELS = {
+    en: ['You'],
+    es: ['Tú'],
+    pt: ['Você'],
+    de: ['Du'],
+    fr: ['Vous'],
+    it: ['Tu'],
+    nl: ['Jij'],
+    hi: ['आप']
+};
+
+/**
+ * Find the exporter among the participants
+ * @param {Object[]} messages - Parsed messages
+ * @param {string[]} participants - Participant names
+ * @param {string|null} [locale] - Detected marker language (parsedData.diagnostics.locale)
+ * @returns {Object|null} { name, source: 'label' | 'deleted' }
+ */
+export function detectSelf(messages, participants, locale = null) {
+    const labels = [...SELF_LABELS.en, ...(SELF_LABELS[locale] || [])];
+    const labelled = participants.find(name => labels.includes(name.trim()));
+    if (labelled) return { name: labelled, source: 'label' };
+
+    const selfDeletes = {};
+    messages.forEach(msg => {
+        if (!msg.isSystem && msg.metadata.isDeletedBySelf) {
+            selfDeletes[msg.sender] = (selfDeletes[msg.sender] || 0) + 1;
+        }
+    });
+    const [name] = Object.entries(selfDeletes).sort((a, b) => b[1] - a[1])[0] || [];
+    return name ? { name, source: 'deleted' } : null;
+}
+
+/**
+ * Participant the user picked as themselves for a chat
+ * @param {string} chatKey - getChatKey() of the chat
+ * @returns {string|null} Name, '' for "nobody" (neutral view), null when never picked
+ */
+export function loadSelf(chatKey) {
+    try {
+        return readSetting(STORAGE_PREFIX + chatKey);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * @param {string} chatKey - getChatKey() of the chat
+ * @param {string|null} name - Participant, '' for nobody, or null to go back to detection
+ */
+export function saveSelf(chatKey, name) {
+    try {
+        writeSetting(STORAGE_PREFIX + chatKey, name);
+    } catch (error) {
+        console.warn('Could not save perspective:', error.message);
+    }
+}
+
+export default detectSelf;
@@ -0,0 +1,230 @@
+// Android "SMS Backup & Restore" XML Export Parser (sms-*.xml)
+//
+// DOMParser is not available inside Web Workers, so elements are scanned with
+// regexes. The format is flat enough for that: <sms .../> records and
+// <mms ...><parts><part .../></parts><addrs><addr .../></addrs></mms> blocks.
+
+import { WhatsAppParser } from './parser.js';
+
+// The exporter's own messages; matches the label system events use for the exporter
+const SELF_NAME = 'You';
+
+// <sms type="..."> and <mms msg_box="...">
+const SENT_BOXES = new Set(['2', '4', '5', '6']); // sent, outbox, failed, queued
+const DRAFT_BOX = '3';
+
+// <addr type="..."> PDU header codes
+const ADDR_FROM = '137';
+
+const SMS_PATTERN = /<sms\b([^>]*?)\/?>/g;
+const MMS_PATTERN = /<mms\b([^>]*)>([\s\S]*?)<\/mms>/g;
+const PART_PATTERN = /<part\b([^>]*?)\/?>/g;
+const ADDR_PATTERN = /<addr\b([^>]*?)\/?>/g;
+const ATTRIBUTE_PATTERN = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+export class SmsBackupParser {
+    constructor() {
+        // Reuse the WhatsApp parser's message builder so metadata stays identical
+        this.messageBuilder = new WhatsAppParser();
+    }
+
+    /**
+     * Check whether a text snippet looks like an SMS Backup & Restore file
+     * @param {string} head - First few KB of the file
+     */
+    static canParse(head) {
+        return /<smses\b/.test(head) || (/^\s*<\?xml/.test(head) && /<(?:sms|mms)\b/.test(head));
+    }
+
+    /**
+     * Parse every conversation in the backup. Messages carry metadata.threadKey;
+     * use selectThread() to narrow the result down to one conversation.
+     * @param {string} fileContent - Raw XML text
+     * @returns {Object} Parsed data for all threads plus a `threads` summary list
+     */
+    parse(fileContent) {
+        const messages = [];
+
+        for (const match of fileContent.matchAll(SMS_PATTERN)) {
+            const message = this.processSms(this.parseAttributes(match[1]));
+            if (message) messages.push(message);
+        }
+
+        for (const match of fileContent.matchAll(MMS_PATTERN)) {
+            const message = this.processMms(this.parseAttributes(match[1]), match[2]);
+            if (message) messages.push(message);
+        }
+
+        if (messages.length === 0) {
+            throw new Error('Invalid SMS backup: no <sms> or <mms> records found.');
+        }
+
+        messages.sort((a, b) => a.timestamp - b.timestamp);
+
+        return {
+            ...this.messageBuilder.fromMessages(messages),
+            threads: this.summarizeThreads(messages),
+            format: 'sms'
+        };
+    }
+
+    /**
+     * Narrow parsed data to a single conversation
+     * @param {Object} parsedData - Result of parse()
+     * @param {string} threadKey - Key from parsedData.threads
+     */
+    selectThread(parsedData, threadKey) {
+        const thread = parsedData.threads.find(t => t.key === threadKey);
+        const messages = parsedData.messages.filter(m => m.metadata.threadKey === threadKey);
+
+        return {
+            ...this.messageBuilder.fromMessages(messages),
+            chatName: thread ? thread.name : null,
+            threadKey,
+            format: parsedData.format
+        };
+    }
+
+    processSms(attrs) {
+        if (attrs.type === DRAFT_BOX || !attrs.date) return null;
+
+        const isSent = SENT_BOXES.has(attrs.type);
+        const contact = this.getContactName(attrs);
+
+        return this.messageBuilder.buildMessage({
+            timestamp: new Date(Number(attrs.date)),
+            sender: isSent ? SELF_NAME : contact,
+            content: attrs.body || '',
+            metadata: {
+                threadKey: this.getThreadKey(attrs.address),
+                threadName: contact,
+                channel: 'sms'
+            }
+        });
+    }
+
+    processMms(attrs, body) {
+        if (attrs.msg_box === DRAFT_BOX || !attrs.date) return null;
+
+        const isSent = SENT_BOXES.has(attrs.msg_box);
+        const contact = this.getContactName(attrs);
+        const textParts = [];
+        let mediaType = null;
+        let mediaCount = 0;
+
+        for (const match of body.matchAll(PART_PATTERN)) {
+            const part = this.parseAttributes(match[1]);
+            const contentType = (part.ct || '').toLowerCase();
+
+            if (contentType === 'text/plain') {
+                if (part.text) textParts.push(part.text);
+            } else if (contentType !== 'application/smil') {
+                mediaCount++;
+                mediaType = mediaType || this.getMediaType(contentType);
+            }
+        }
+
+        // Group MMS: the sender is whichever address is tagged "from"
+        let sender = isSent ? SELF_NAME : contact;
+        if (!isSent && (attrs.address || '').includes('~')) {
+            const from = Array.from(body.matchAll(ADDR_PATTERN))
+                .map(match => this.parseAttributes(match[1]))
+                .find(addr => addr.type === ADDR_FROM);
+            if (from && from.address) sender = from.address;
+        }
+
+        // MMS dates are usually in seconds, SMS dates in milliseconds
+        const date = Number(attrs.date);
+        const timestamp = new Date(date < 1e12 ? date * 1000 : date);
+
+        return this.messageBuilder.buildMessage({
+            timestamp,
+            sender,
+            content: textParts.join('\n'),
+            metadata: {
+                threadKey: this.getThreadKey(attrs.address),
+                threadName: contact,
+                channel: 'mms',
+                isMedia: mediaCount > 0,
+                mediaType,
+                mediaCount
+            }
+        });
+    }
+
+    getMediaType(contentType) {
+        if (contentType === 'image/gif') return 'gif';
+        if (contentType.startsWith('image/')) return 'image';
+        if (contentType.startsWith('video/')) return 'video';
+        if (contentType.startsWith('audio/')) return 'audio';
+        if (contentType.includes('vcard')) return 'contact';
+        return 'document';
+    }
+
+    /**
+     * Phone numbers appear with and without country codes; key threads on the
+     * last 10 digits of each address so "+91 98765 43210" and "9876543210" match
+     */
+    getThreadKey(address = '') {
+        return address
+            .split('~')
+            .map(part => {
+                const digits = part.replace(/\D/g, '');
+                return digits ? digits.slice(-10) : part.trim().toLowerCase();
+            })
+            .sort()
+            .join('~');
+    }
+
+    getContactName(attrs) {
+        const name = attrs.contact_name;
+        if (name && name !== '(Unknown)' && name !== 'null') return name;
+        return (attrs.address || 'Unknown').replace(/~/g, ', ');
+    }
+
+    summarizeThreads(messages) {
+        const threads = {};
+
+        messages.forEach(msg => {
+            const key = msg.metadata.threadKey;
+            if (!threads[key]) {
+                threads[key] = { key, name: msg.metadata.threadName, messageCount: 0, start: msg.date, end: msg.date };
+            }
+            const thread = threads[key];
+            thread.messageCount++;
+            thread.end = msg.date;
+            // Prefer a real contact name over a bare number
+            if (/^[\d\s+()-]+$/.test(thread.name) && !/^[\d\s+()-]+$/.test(msg.metadata.threadName)) {
+                thread.name = msg.metadata.threadName;
+            }
+        });
+
+        return Object.values(threads).sort((a, b) => b.messageCount - a.messageCount);
+    }
+
+    parseAttributes(source) {
+        const attrs = {};
+        for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+            attrs[match[1]] = this.decodeEntities(match[2] ?? match[3]);
+        }
+        return attrs;
+    }
+
+    /**
+     * Decode XML entities. Emoji are written as surrogate-pair references
+     * (&#55357;&#56832;), so numeric references are joined as UTF-16 code units.
+     */
+    decodeEntities(value) {
+        if (!value.includes('&')) return value;
+
+        return value.replace(/&(?:#(\d+)|#x([0-9a-f]+)|(amp|lt|gt|quot|apos));/gi, (entity, dec, hex, named) => {
+            if (named) {
+                return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[named.toLowerCase()];
+            }
+            const code = dec ? parseInt(dec, 10) : parseInt(hex, 16);
+            return code > 0xFFFF ? String.fromCodePoint(code) : String.fromCharCode(code);
+        });
+    }
+}
+
+export default SmsBackupParser;
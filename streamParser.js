@@ -0,0 +1,105 @@
+// Main-thread client for parserWorker.js
+
+import parser from './parser.js';
+import { CHAT_FORMATS, createDocumentParser } from './chatFormats.js';
+
+export class StreamingParser {
+    constructor() {
+        this.worker = null;
+        this.rejectCurrent = null;
+    }
+
+    /**
+     * Parse a chat export in a Web Worker
+     * @param {File|Blob|Blob[]} source - Chat export to parse (an array for multi-file formats)
+     * @param {Function} [onProgress] - Called with an integer percentage (0-100)
+     * @param {Object} [options] - { format } one of CHAT_FORMATS (default WhatsApp),
+     *   { dateFormat } one of DATE_FORMATS to override inference for WhatsApp exports,
+     *   { encoding } TextDecoder label of the file (default UTF-8),
+     *   { timeZone } IANA zone a WhatsApp export's times are read in (default: the browser's)
+     * @returns {Promise<Object>} Parsed chat data, same shape as WhatsAppParser.parse()
+     */
+    parse(source, onProgress = () => { }, { format = CHAT_FORMATS.WHATSAPP, dateFormat = null, encoding = 'utf-8', timeZone = null } = {}) {
+        this.cancel();
+
+        // Module workers are unavailable in some older browsers; parse inline instead
+        if (typeof Worker === 'undefined') {
+            const documentParser = createDocumentParser(format);
+            const sources = Array.isArray(source) ? source : [source];
+            const decode = (buffer) => new TextDecoder(encoding).decode(buffer);
+            return Promise.all(sources.map(blob => blob.arrayBuffer().then(decode))).then(texts => ({
+                ...(documentParser ? documentParser.parse(Array.isArray(source) ? texts : texts[0]) : parser.parse(texts[0], { dateFormat, timeZone })),
+                format
+            }));
+        }
+
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(new URL('./parserWorker.js', import.meta.url), { type: 'module' });
+            const messages = [];
+
+            this.worker = worker;
+            this.rejectCurrent = reject;
+
+            worker.addEventListener('message', (event) => {
+                const data = event.data;
+
+                if (data.type === 'progress') {
+                    onProgress(data.percent);
+                } else if (data.type === 'messages') {
+                    for (const message of data.messages) messages.push(message);
+                } else if (data.type === 'done') {
+                    this.release(worker);
+                    onProgress(100);
+                    resolve({
+                        ...parser.fromMessages(messages),
+                        dateFormat: data.dateFormat,
+                        calendar: data.calendar,
+                        timeZone: data.timeZone,
+                        chatName: data.chatName,
+                        threads: data.threads,
+                        diagnostics: data.diagnostics,
+                        format
+                    });
+                } else if (data.type === 'error') {
+                    this.release(worker);
+                    reject(new Error(data.message));
+                }
+            });
+
+            worker.addEventListener('error', (event) => {
+                this.release(worker);
+                reject(new Error(event.message || 'Parser worker failed to start'));
+            });
+
+            worker.postMessage({ type: 'parse', source, format, dateFormat, encoding, timeZone });
+        });
+    }
+
+    /**
+     * Abort the running parse, if any. The pending promise rejects with an AbortError.
+     */
+    cancel() {
+        if (!this.worker) return;
+
+        const reject = this.rejectCurrent;
+        this.release(this.worker);
+
+        const error = new Error('Parsing cancelled');
+        error.name = 'AbortError';
+        reject(error);
+    }
+
+    release(worker) {
+        worker.terminate();
+        if (this.worker === worker) {
+            this.worker = null;
+            this.rejectCurrent = null;
+        }
+    }
+
+    get isRunning() {
+        return this.worker !== null;
+    }
+}
+
+export default StreamingParser;
@@ -0,0 +1,311 @@
+// Group System Event Classifier
+//
+// Turns WhatsApp system lines ("Alice added Bob", "Bob left", ...) into typed
+// events. Phrasings are matched for the same languages the parser's media
+// markers cover: English, Spanish, German, French, Portuguese, Italian, Dutch
+// and Hindi. Named groups in each pattern:
+//   actor  - participant who performed the action
+//   target - participant(s) the action was applied to (may be a list)
+//   from / to - old and new value for subject changes
+
+export const SYSTEM_EVENT_TYPES = {
+    ADDED: 'added',
+    REMOVED: 'removed',
+    LEFT: 'left',
+    JOINED_VIA_LINK: 'joined_via_link',
+    PROMOTED_ADMIN: 'promoted_admin',
+    SUBJECT_CHANGED: 'subject_changed',
+    DESCRIPTION_CHANGED: 'description_changed',
+    ICON_CHANGED: 'icon_changed',
+    SECURITY_CODE_CHANGED: 'security_code_changed',
+    DISAPPEARING_MESSAGES_TOGGLED: 'disappearing_messages_toggled',
+    OTHER: 'other'
+};
+
+const T = SYSTEM_EVENT_TYPES;
+
+// Matches a quoted value in straight or typographic quotes
+const Q = '["“„«]';
+const QE = '["”“»]';
+
+// Patterns ordered from most specific to most flexible, so generic verbs
+// ("added", "left") never shadow the longer phrasings above them
+const EVENT_PATTERNS = [
+    {
+        type: T.SECURITY_CODE_CHANGED,
+        patterns: [
+            // English
+            /^(?<target>.+?)'s security code changed/i,
+            /^your security code with (?<target>.+?) changed/i,
+            // Spanish
+            /^(?:el )?código de seguridad (?:de|con) (?<target>.+?) (?:cambió|ha cambiado)/i,
+            // German
+            /^(?:deine )?sicherheitsnummer (?:von|für|mit) (?<target>.+?) hat sich geändert/i,
+            // French
+            /^(?:le|votre) code de sécurité (?:de|avec) (?<target>.+?) a changé/i,
+            // Portuguese
+            /^(?:o|seu) código de segurança (?:de|com) (?<target>.+?) (?:mudou|foi alterado)/i,
+            // Italian
+            /^(?:il tuo )?codice di sicurezza (?:di|con) (?<target>.+?) è cambiato/i,
+            // Dutch
+            /^(?:je )?beveiligingscode (?:van|met) (?<target>.+?) is gewijzigd/i,
+            // Hindi
+            /^(?<target>.+?) (?:का|के साथ आपका) सुरक्षा कोड बदल गया/
+        ]
+    },
+    {
+        type: T.DISAPPEARING_MESSAGES_TOGGLED,
+        patterns: [
+            // English
+            /^(?<actor>.+?) turned (?<state>on|off) disappearing messages/i,
+            // Spanish
+            /^(?<actor>.+?) (?<state>activó|desactivó) los mensajes temporales/i,
+            // German
+            /^(?<actor>.+?) (?:hat|hast) selbstlöschende nachrichten (?<state>aktiviert|deaktiviert)/i,
+            // French
+            /^(?<actor>.+?) (?:a|avez) (?<state>activé|désactivé) les messages éphémères/i,
+            // Portuguese
+            /^(?<actor>.+?) (?<state>ativou|desativou) as mensagens temporárias/i,
+            // Italian
+            /^(?<actor>.+?) (?:ha|hai) (?<state>attivato|disattivato) i messaggi effimeri/i,
+            // Dutch
+            /^(?<actor>.+?) (?:heeft|hebt) verdwijnende berichten (?<state>ingeschakeld|uitgeschakeld)/i,
+            // Hindi
+            /^(?<actor>.+?) ने गायब होने वाले (?:मैसेज|संदेश) (?<state>चालू|बंद) किए/
+        ]
+    },
+    {
+        type: T.SUBJECT_CHANGED,
+        patterns: [
+            // English
+            new RegExp(`^(?<actor>.+?) changed the (?:subject|group name) (?:from ${Q}(?<from>.*)${QE} )?to ${Q}(?<to>.*)${QE}`, 'i'),
+            // Spanish
+            new RegExp(`^(?<actor>.+?) cambió el (?:asunto|nombre del grupo) (?:de ${Q}(?<from>.*)${QE} )?a ${Q}(?<to>.*)${QE}`, 'i'),
+            // German
+            new RegExp(`^(?<actor>.+?) (?:hat|hast) den (?:betreff|gruppennamen) (?:von ${Q}(?<from>.*)${QE} )?(?:zu|in) ${Q}(?<to>.*)${QE} geändert`, 'i'),
+            // French
+            new RegExp(`^(?<actor>.+?) (?:a|avez) (?:modifié|changé) (?:le sujet|le nom du groupe) (?:de ${Q}(?<from>.*)${QE} )?(?:en|à) ${Q}(?<to>.*)${QE}`, 'i'),
+            // Portuguese
+            new RegExp(`^(?<actor>.+?) (?:mudou|alterou) (?:o assunto|o nome do grupo) (?:de ${Q}(?<from>.*)${QE} )?para ${Q}(?<to>.*)${QE}`, 'i'),
+            // Italian
+            new RegExp(`^(?<actor>.+?) (?:ha|hai) (?:cambiato|modificato) (?:l'oggetto|il nome del gruppo) (?:da ${Q}(?<from>.*)${QE} )?(?:a|in) ${Q}(?<to>.*)${QE}`, 'i'),
+            // Dutch
+            new RegExp(`^(?<actor>.+?) (?:heeft|hebt) (?:het onderwerp|de groepsnaam) gewijzigd (?:van ${Q}(?<from>.*)${QE} )?(?:naar|in) ${Q}(?<to>.*)${QE}`, 'i'),
+            // Hindi
+            new RegExp(`^(?<actor>.+?) ने (?:विषय|ग्रुप का नाम) (?:${Q}(?<from>.*)${QE} से )?बदलकर ${Q}(?<to>.*)${QE}`)
+        ]
+    },
+    {
+        type: T.DESCRIPTION_CHANGED,
+        patterns: [
+            // English
+            /^(?<actor>.+?) (?:changed|deleted) the group description/i,
+            // Spanish
+            /^(?<actor>.+?) (?:cambió|eliminó) la descripción del grupo/i,
+            // German
+            /^(?<actor>.+?) (?:hat|hast) die gruppenbeschreibung (?:geändert|gelöscht)/i,
+            // French
+            /^(?<actor>.+?) (?:a|avez) (?:modifié|supprimé) la description du groupe/i,
+            // Portuguese
+            /^(?<actor>.+?) (?:mudou|alterou|apagou) a descrição do grupo/i,
+            // Italian
+            /^(?<actor>.+?) (?:ha|hai) (?:modificato|eliminato) la descrizione del gruppo/i,
+            // Dutch
+            /^(?<actor>.+?) (?:heeft|hebt) de groepsbeschrijving (?:gewijzigd|verwijderd)/i,
+            // Hindi
+            /^(?<actor>.+?) ने ग्रुप (?:का )?विवरण (?:बदला|हटाया)/
+        ]
+    },
+    {
+        type: T.ICON_CHANGED,
+        patterns: [
+            // English
+            /^(?<actor>.+?) (?:changed|deleted|removed) (?:this|the) group(?:'s)? (?:icon|photo|picture)/i,
+            // Spanish
+            /^(?<actor>.+?) (?:cambió|eliminó) (?:el ícono|el icono|la imagen|la foto) (?:de este|del) grupo/i,
+            // German
+            /^(?<actor>.+?) (?:hat|hast) das gruppen(?:bild|symbol|foto) (?:geändert|gelöscht|entfernt)/i,
+            // French
+            /^(?<actor>.+?) (?:a|avez) (?:modifié|changé|supprimé) (?:l'icône|la photo|l'image) (?:de ce|du) groupe/i,
+            // Portuguese
+            /^(?<actor>.+?) (?:mudou|alterou|apagou|removeu) (?:a imagem|o ícone|a foto) (?:deste|do) grupo/i,
+            // Italian
+            /^(?<actor>.+?) (?:ha|hai) (?:cambiato|modificato|eliminato) (?:l'immagine|l'icona|la foto) (?:di questo|del) gruppo/i,
+            // Dutch
+            /^(?<actor>.+?) (?:heeft|hebt) (?:de groepsafbeelding|het groepspictogram|de groepsfoto) (?:gewijzigd|verwijderd)/i,
+            // Hindi
+            /^(?<actor>.+?) ने इस ग्रुप (?:का|की) (?:आइकॉन|आइकन|फ़ोटो|फोटो) (?:बदला|बदली|हटाया|हटाई)/
+        ]
+    },
+    {
+        type: T.JOINED_VIA_LINK,
+        patterns: [
+            // English
+            /^(?<target>.+?) joined (?:using|via|from) (?:this group's|this community's|a group|the group's)? ?(?:invite )?link/i,
+            // Spanish
+            /^(?<target>.+?) se unió (?:usando|mediante|con) el enlace de invitación/i,
+            // German
+            /^(?<target>.+?) (?:ist|bist) über den einladungslink (?:dieser gruppe )?beigetreten/i,
+            // French
+            /^(?<target>.+?) (?:a|avez) rejoint (?:ce groupe )?(?:via|avec|grâce à) le lien d'invitation/i,
+            // Portuguese
+            /^(?<target>.+?) entrou (?:usando|pelo|através do) (?:o )?link de convite/i,
+            // Italian
+            /^(?<target>.+?) si è unit[oa] (?:tramite|con|usando) il link d'invito/i,
+            // Dutch
+            /^(?<target>.+?) (?:neemt deel|is toegetreden) via de uitnodigingslink/i,
+            // Hindi
+            /^(?<target>.+?) (?:इस ग्रुप के )?(?:आमंत्रण|इनवाइट) लिंक (?:से|के ज़रिए|के जरिए) (?:शामिल|जुड़े)/
+        ]
+    },
+    {
+        type: T.PROMOTED_ADMIN,
+        patterns: [
+            // English
+            /^(?<actor>.+?) made (?<target>.+?) (?:an )?(?:group )?admin$/i,
+            /^(?<target>you)(?:'re| are) now an admin/i,
+            /^(?<target>.+?) is now an admin/i,
+            // Spanish
+            /^(?<actor>.+?) hizo (?:a )?(?<target>.+?) admin(?:istrador(?:a)?)?(?: del grupo)?$/i,
+            /^(?<target>.+?) ahora es admin/i,
+            /^ahora (?<target>eres) admin/i,
+            // German
+            /^(?<target>.+?) (?:ist|bist) jetzt (?:ein )?(?:gruppen)?admin/i,
+            // French
+            /^(?<target>.+?) (?:est|êtes) maintenant admin/i,
+            // Portuguese
+            /^(?<target>.+?) agora é admin/i,
+            /^agora (?<target>você) é admin/i,
+            // Italian
+            /^(?<target>.+?) è ora amministratore/i,
+            /^ora (?<target>sei) amministratore/i,
+            // Dutch
+            /^(?<target>.+?) (?:is|bent) nu (?:een )?beheerder/i,
+            // Hindi
+            /^(?<target>.+?) अब (?:एडमिन|व्यवस्थापक) (?:हैं|है|हो)/
+        ]
+    },
+    {
+        type: T.ADDED,
+        patterns: [
+            // English
+            /^(?<actor>.+?) added (?<target>.+)$/i,
+            // Spanish
+            /^(?<actor>.+?) (?:añadió|agregó) a (?<target>.+)$/i,
+            // German
+            /^(?<actor>.+?) (?:hat|hast) (?<target>.+) hinzugefügt$/i,
+            // French
+            /^(?<actor>.+?) (?:a|avez) ajouté (?<target>.+)$/i,
+            // Portuguese
+            /^(?<actor>.+?) adicionou (?<target>.+)$/i,
+            // Italian
+            /^(?<actor>.+?) (?:ha|hai) aggiunto (?<target>.+)$/i,
+            // Dutch
+            /^(?<actor>.+?) (?:heeft|hebt) (?<target>.+) toegevoegd$/i,
+            // Hindi
+            /^(?<actor>.+?) ने (?<target>.+) को (?:जोड़ा|जोड़ा गया)$/
+        ]
+    },
+    {
+        type: T.REMOVED,
+        patterns: [
+            // English
+            /^(?<actor>.+?) removed (?<target>.+)$/i,
+            // Spanish
+            /^(?<actor>.+?) eliminó a (?<target>.+)$/i,
+            // German
+            /^(?<actor>.+?) (?:hat|hast) (?<target>.+) entfernt$/i,
+            // French
+            /^(?<actor>.+?) (?:a|avez) retiré (?<target>.+)$/i,
+            // Portuguese
+            /^(?<actor>.+?) removeu (?<target>.+)$/i,
+            // Italian
+            /^(?<actor>.+?) (?:ha|hai) rimosso (?<target>.+)$/i,
+            // Dutch
+            /^(?<actor>.+?) (?:heeft|hebt) (?<target>.+) verwijderd$/i,
+            // Hindi
+            /^(?<actor>.+?) ने (?<target>.+) को हटाया$/
+        ]
+    },
+    {
+        type: T.LEFT,
+        patterns: [
+            // English
+            /^(?<target>.+?) left$/i,
+            // Spanish
+            /^(?<target>.+?) sali(?:ó|ste)(?: del grupo)?$/i,
+            // German
+            /^(?<target>.+?) (?:hat|hast) die gruppe verlassen$/i,
+            // French
+            /^(?<target>.+?) (?:est parti(?:e)?|a quitté le groupe|êtes parti(?:e)?)$/i,
+            // Portuguese
+            /^(?<target>.+?) sai(?:u|u do grupo)$/i,
+            // Italian
+            /^(?<target>.+?) (?:è uscit[oa]|ha abbandonato(?: il gruppo)?)$/i,
+            // Dutch
+            /^(?<target>.+?) (?:heeft|hebt) de groep verlaten$/i,
+            /^(?<target>.+?) is vertrokken$/i,
+            // Hindi
+            /^(?<target>.+?) (?:ने ग्रुप छोड़ दिया|ने छोड़ दिया|चले गए)$/
+        ]
+    }
+];
+
+// Joins between names in "Alice added Bob, Carol and Dave"
+const LIST_SEPARATOR = /\s*,\s*|\s+(?:and|y|e|und|et|en|और)\s+/i;
+
+// Words used for the exporter themselves; normalised to the sender label WhatsApp uses
+const SELF_WORDS = new Set(['you', 'tú', 'tu', 'du', 'vous', 'você', 'voce', 'sei', 'eres', 'jij', 'je', 'u', 'आप', 'आपने']);
+
+/**
+ * Classify a system message's content into a typed event
+ * @param {string} content - System message text (no timestamp)
+ * @returns {Object} { type, actor, targets, details }
+ */
+export function classifySystemEvent(content) {
+    const text = content.trim().replace(/\.$/, '');
+
+    for (const { type, patterns } of EVENT_PATTERNS) {
+        for (const pattern of patterns) {
+            const match = text.match(pattern);
+            if (!match) continue;
+
+            const groups = match.groups || {};
+
+            return {
+                type,
+                actor: groups.actor ? normalizeName(groups.actor) : null,
+                targets: groups.target ? splitNames(groups.target) : [],
+                details: buildDetails(type, groups)
+            };
+        }
+    }
+
+    return { type: T.OTHER, actor: null, targets: [], details: {} };
+}
+
+function buildDetails(type, groups) {
+    if (type === T.SUBJECT_CHANGED) {
+        return { from: groups.from ?? null, to: groups.to ?? null };
+    }
+    if (type === T.DISAPPEARING_MESSAGES_TOGGLED) {
+        // Negated forms: off, desactivó, deaktiviert, désactivé, disattivato, uitgeschakeld, बंद
+        const enabled = !/^(?:off|de|dé|dis|uit|बंद)/i.test(groups.state);
+        return { enabled };
+    }
+    return {};
+}
+
+function splitNames(list) {
+    return list
+        .split(LIST_SEPARATOR)
+        .map(name => normalizeName(name))
+        .filter(name => name.length > 0);
+}
+
+function normalizeName(name) {
+    const trimmed = name.trim();
+    return SELF_WORDS.has(trimmed.toLowerCase()) ? 'You' : trimmed;
+}
+
+export default classifySystemEvent;
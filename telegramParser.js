@@ -0,0 +1,218 @@
+// Telegram Desktop JSON Export Parser (result.json)
+
+import { WhatsAppParser } from './parser.js';
+import { SYSTEM_EVENT_TYPES } from './systemEvents.js';
+
+// Telegram media_type / attachment fields -> WhatTrace media types
+const MEDIA_TYPES = {
+    photo: 'image',
+    video_file: 'video',
+    video_message: 'video',
+    animation: 'gif',
+    voice_message: 'audio',
+    audio_file: 'audio',
+    sticker: 'sticker',
+    file: 'document',
+    location: 'location',
+    contact: 'contact',
+    poll: 'poll'
+};
+
+export class TelegramParser {
+    constructor() {
+        // Reuse the WhatsApp parser's message builder so metadata stays identical
+        this.messageBuilder = new WhatsAppParser();
+    }
+
+    /**
+     * Check whether a text snippet looks like a Telegram Desktop JSON export
+     * @param {string} head - First few KB of the file
+     */
+    static canParse(head) {
+        const text = head.trimStart();
+        return text.startsWith('{') &&
+            /"messages"\s*:|"chats"\s*:/.test(text) &&
+            /"(?:personal_chat|private_group|private_supergroup|public_supergroup|public_channel|private_channel|saved_messages|bot_chat)"|"date_unixtime"|"from_id"/.test(text);
+    }
+
+    /**
+     * Parse a Telegram Desktop export
+     * @param {string} fileContent - Raw JSON text of result.json
+     * @param {Object} [options] - { onProgress } called with a message for each detection step
+     * @returns {Object} Parsed chat data, same shape as WhatsAppParser.parse()
+     */
+    parse(fileContent, { onProgress = null } = {}) {
+        let data;
+        try {
+            data = JSON.parse(fileContent);
+        } catch (error) {
+            throw new Error('Invalid Telegram export: the file is not valid JSON.');
+        }
+
+        const chat = this.selectChat(data, onProgress);
+        if (!chat || !Array.isArray(chat.messages)) {
+            throw new Error('Invalid Telegram export: no messages found.');
+        }
+
+        const messages = chat.messages
+            .map(msg => this.processMessage(msg))
+            .filter(msg => msg !== null)
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        return {
+            ...this.messageBuilder.fromMessages(messages),
+            chatName: chat.name || null,
+            format: 'telegram'
+        };
+    }
+
+    /**
+     * A single-chat export is the chat itself; a full account export nests
+     * chats under chats.list, in which case the busiest chat is analysed
+     */
+    selectChat(data, onProgress = null) {
+        if (Array.isArray(data.messages)) return data;
+
+        const list = data.chats && data.chats.list;
+        if (!Array.isArray(list) || list.length === 0) return null;
+
+        const busiest = list.reduce((best, chat) =>
+            (chat.messages?.length || 0) > (best.messages?.length || 0) ? chat : best);
+        if (onProgress) onProgress(`Full Telegram export with ${list.length} chats, analysing "${busiest.name}"`);
+        return busiest;
+    }
+
+    /**
+     * Convert one Telegram message to the common message shape
+     */
+    processMessage(msg) {
+        const timestamp = this.parseDate(msg.date_unixtime, msg.date);
+        if (!timestamp) return null;
+
+        if (msg.type === 'service') {
+            return this.messageBuilder.buildMessage({
+                timestamp,
+                sender: 'SYSTEM',
+                content: this.describeServiceAction(msg),
+                isSystem: true,
+                systemEvent: this.mapServiceEvent(msg),
+                metadata: this.getLinkMetadata(msg)
+            });
+        }
+
+        const content = this.flattenText(msg.text);
+        const mediaType = this.getMediaType(msg);
+
+        return this.messageBuilder.buildMessage({
+            timestamp,
+            sender: msg.from || 'Deleted Account',
+            content,
+            metadata: {
+                ...this.getLinkMetadata(msg),
+                isMedia: mediaType !== null,
+                mediaType,
+                mimeType: msg.mime_type || null,
+                isEdited: Boolean(msg.edited),
+                editedAt: msg.edited ? this.parseDate(msg.edited_unixtime, msg.edited) : null,
+                stickerEmoji: msg.sticker_emoji || null
+            }
+        });
+    }
+
+    /**
+     * Message id, reply link and forward origin, kept so threads can be rebuilt
+     */
+    getLinkMetadata(msg) {
+        return {
+            messageId: msg.id ?? null,
+            replyToId: msg.reply_to_message_id ?? null,
+            forwardedFrom: msg.forwarded_from ?? null
+        };
+    }
+
+    /**
+     * Prefer the UTC unix timestamp; older exports only carry local ISO strings
+     */
+    parseDate(unixtime, isoString) {
+        if (unixtime) return new Date(Number(unixtime) * 1000);
+        if (isoString) {
+            const date = new Date(isoString);
+            return isNaN(date.getTime()) ? null : date;
+        }
+        return null;
+    }
+
+    /**
+     * Telegram stores formatted text as an array of strings and entity objects
+     */
+    flattenText(text) {
+        if (typeof text === 'string') return text;
+        if (!Array.isArray(text)) return '';
+        return text.map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+    }
+
+    getMediaType(msg) {
+        if (msg.media_type && MEDIA_TYPES[msg.media_type]) return MEDIA_TYPES[msg.media_type];
+        if (msg.photo) return MEDIA_TYPES.photo;
+        if (msg.location_information) return MEDIA_TYPES.location;
+        if (msg.contact_information) return MEDIA_TYPES.contact;
+        if (msg.poll) return MEDIA_TYPES.poll;
+        if (msg.file) return MEDIA_TYPES.file;
+        return null;
+    }
+
+    /**
+     * Map Telegram service actions onto the shared system-event model
+     */
+    mapServiceEvent(msg) {
+        const actor = msg.actor || null;
+        const members = Array.isArray(msg.members) ? msg.members.filter(Boolean) : [];
+        const event = (type, targets = [], details = {}) => ({ type, actor, targets, details });
+
+        switch (msg.action) {
+            case 'invite_members':
+                return event(SYSTEM_EVENT_TYPES.ADDED, members);
+            case 'remove_members':
+                // Telegram records someone leaving as removing themselves
+                if (members.length === 1 && members[0] === actor) {
+                    return { type: SYSTEM_EVENT_TYPES.LEFT, actor: null, targets: members, details: {} };
+                }
+                return event(SYSTEM_EVENT_TYPES.REMOVED, members);
+            case 'join_group_by_link':
+            case 'join_group_by_request':
+                return { type: SYSTEM_EVENT_TYPES.JOINED_VIA_LINK, actor: null, targets: actor ? [actor] : [], details: {} };
+            case 'edit_group_title':
+                return event(SYSTEM_EVENT_TYPES.SUBJECT_CHANGED, [], { from: null, to: msg.title ?? null });
+            case 'edit_group_photo':
+            case 'delete_group_photo':
+                return event(SYSTEM_EVENT_TYPES.ICON_CHANGED);
+            case 'set_messages_ttl':
+                return event(SYSTEM_EVENT_TYPES.DISAPPEARING_MESSAGES_TOGGLED, [], { enabled: Boolean(msg.period) });
+            default:
+                return event(SYSTEM_EVENT_TYPES.OTHER);
+        }
+    }
+
+    /**
+     * Human-readable content for service messages
+     */
+    describeServiceAction(msg) {
+        const actor = msg.actor || 'Someone';
+        const members = Array.isArray(msg.members) ? msg.members.filter(Boolean).join(', ') : '';
+
+        switch (msg.action) {
+            case 'invite_members': return `${actor} added ${members}`;
+            case 'remove_members': return members === actor ? `${actor} left` : `${actor} removed ${members}`;
+            case 'join_group_by_link': return `${actor} joined using an invite link`;
+            case 'edit_group_title': return `${actor} changed the group name to "${msg.title || ''}"`;
+            case 'edit_group_photo': return `${actor} changed the group photo`;
+            case 'delete_group_photo': return `${actor} deleted the group photo`;
+            case 'pin_message': return `${actor} pinned a message`;
+            case 'create_group': return `${actor} created group "${msg.title || ''}"`;
+            case 'phone_call': return `${actor} made a call`;
+            default: return `${actor}: ${msg.action || 'service message'}`;
+        }
+    }
+}
+
+export default TelegramParser;
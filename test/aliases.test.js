@@ -0,0 +1,40 @@
+// Sender aliases: chained renames must end at one name per person
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyAliases, resolveAliases } from '../aliases.js';
+
+const message = (sender, systemEvent = null) => ({ sender, content: 'hi', isSystem: Boolean(systemEvent), systemEvent });
+
+test('follows alias chains to the final name', () => {
+    const resolved = resolveAliases({ '+91 98765 43210': 'Rahul 🎸', 'Rahul 🎸': 'Rahul', You: 'Rahul' });
+    assert.equal(resolved.get('+91 98765 43210'), 'Rahul');
+    assert.equal(resolved.get('Rahul 🎸'), 'Rahul');
+    assert.equal(resolved.get('You'), 'Rahul');
+    assert.equal(resolved.has('Rahul'), false);
+
+    const messages = applyAliases([message('+91 98765 43210'), message('Rahul 🎸'), message('Rahul')], { 'Rahul 🎸': 'Rahul', '+91 98765 43210': 'Rahul 🎸' });
+    assert.deepEqual(messages.map(msg => msg.sender), ['Rahul', 'Rahul', 'Rahul']);
+});
+
+test('resolves names in system events through the chain', () => {
+    const event = { type: 'added', actor: 'A', targets: ['B', 'D'] };
+    const [msg] = applyAliases([message(null, event)], { A: 'B', B: 'C' });
+    assert.equal(msg.systemEvent.actor, 'C');
+    assert.deepEqual(msg.systemEvent.targets, ['C', 'D']);
+});
+
+test('merges a cycle into one name instead of looping', () => {
+    const resolved = resolveAliases({ Bob: 'Rob', Rob: 'Robert', Robert: 'Bob', Alice: 'Rob' });
+    assert.equal(resolved.get('Bob'), 'Bob');
+    assert.equal(resolved.get('Rob'), 'Bob');
+    assert.equal(resolved.get('Robert'), 'Bob');
+    assert.equal(resolved.get('Alice'), 'Bob');
+
+    assert.equal(resolveAliases({ Anna: 'Anna' }).get('Anna'), 'Anna');
+});
+
+test('leaves messages alone without aliases', () => {
+    const messages = [message('Anna')];
+    assert.equal(applyAliases(messages, {}), messages);
+});
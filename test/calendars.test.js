@@ -0,0 +1,61 @@
+// Jalali and Buddhist-era dates: conversion to Gregorian and detection from an export
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CALENDARS, daysInMonth, detectCalendar, toGregorian } from '../calendars.js';
+import { WhatsAppParser } from '../parser.js';
+
+test('converts Jalali dates to Gregorian', () => {
+    [
+        [[1403, 1, 1], [2024, 3, 20]], // Nowruz 1403
+        [[1402, 1, 1], [2023, 3, 21]],
+        [[1399, 1, 1], [2020, 3, 20]],
+        [[1402, 12, 29], [2024, 3, 19]], // Last day of a common year
+        [[1403, 12, 30], [2025, 3, 20]], // Leap day of 1403
+        [[1404, 1, 1], [2025, 3, 21]],
+        [[1402, 7, 1], [2023, 9, 23]], // First 30-day month
+        [[1402, 10, 10], [2023, 12, 31]],
+        [[1402, 10, 11], [2024, 1, 1]]
+    ].forEach(([jalali, gregorian]) => {
+        assert.deepEqual(toGregorian(CALENDARS.PERSIAN, ...jalali), gregorian, jalali.join('/'));
+    });
+});
+
+test('converts Buddhist-era years and leaves Gregorian dates alone', () => {
+    assert.deepEqual(toGregorian(CALENDARS.BUDDHIST, 2567, 1, 5), [2024, 1, 5]);
+    assert.deepEqual(toGregorian(CALENDARS.GREGORIAN, 2024, 2, 29), [2024, 2, 29]);
+});
+
+test('knows the month lengths of each calendar', () => {
+    assert.equal(daysInMonth(CALENDARS.PERSIAN, 1403, 6), 31);
+    assert.equal(daysInMonth(CALENDARS.PERSIAN, 1403, 7), 30);
+    assert.equal(daysInMonth(CALENDARS.BUDDHIST, 2567, 2), 29); // 2024
+    assert.equal(daysInMonth(CALENDARS.BUDDHIST, 2566, 2), 28); // 2023
+});
+
+test('detects the calendar by majority of four-digit years', () => {
+    assert.equal(detectCalendar([1402, 1403, 1403]), CALENDARS.PERSIAN);
+    assert.equal(detectCalendar([2566, 2567]), CALENDARS.BUDDHIST);
+    assert.equal(detectCalendar([2024, 2024, 1403]), CALENDARS.GREGORIAN);
+    assert.equal(detectCalendar([24, 24]), CALENDARS.GREGORIAN);
+});
+
+test('parses a Jalali export with Persian digits', () => {
+    const parsed = new WhatsAppParser().parse([
+        '۱۴۰۳/۰۱/۰۱، ۱۰:۳۰ - علی: سلام',
+        '۱۴۰۳/۰۱/۰۲، ۱۱:۰۰ - سارا: درود'
+    ].join('\n'), { timeZone: 'UTC' });
+
+    assert.equal(parsed.calendar, CALENDARS.PERSIAN);
+    assert.deepEqual(parsed.messages.map(msg => msg.timestamp.toISOString()), ['2024-03-20T10:30:00.000Z', '2024-03-21T11:00:00.000Z']);
+});
+
+test('parses a Buddhist-era export', () => {
+    const parsed = new WhatsAppParser().parse([
+        '05/01/2567, 10:30 - Somchai: hi',
+        '06/01/2567, 11:00 - Malee: hello'
+    ].join('\n'), { timeZone: 'UTC' });
+
+    assert.equal(parsed.calendar, CALENDARS.BUDDHIST);
+    assert.deepEqual(parsed.messages.map(msg => msg.timestamp.toISOString()), ['2024-01-05T10:30:00.000Z', '2024-01-06T11:00:00.000Z']);
+});
@@ -0,0 +1,69 @@
+// Merging overlapping exports: system events that look alike must only
+// collapse when they are the same event
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeMessages } from '../chatMerge.js';
+import { WhatsAppParser } from '../parser.js';
+
+function parse(lines) {
+    return new WhatsAppParser().parse(lines.join('\n'), { timeZone: 'UTC' }).messages;
+}
+
+test('keeps system events with different targets or actors apart', () => {
+    const existing = parse([
+        '01/02/2024, 10:00 - Anna added Bob',
+        '01/02/2024, 10:00 - Anna added Carl',
+        '01/02/2024, 10:01 - Anna: hi',
+        '01/02/2024, 10:02 - Bob: hey'
+    ]);
+    const incoming = parse([
+        '01/02/2024, 10:00 - Anna added Bob',
+        '01/02/2024, 10:00 - Anna added Dave',
+        '01/02/2024, 10:00 - Bob added Carl',
+        '01/02/2024, 10:01 - Anna: hi',
+        '01/02/2024, 10:02 - Bob: hey'
+    ]);
+
+    const { messages, added, duplicates } = mergeMessages(existing, incoming);
+    assert.equal(duplicates, 3);
+    assert.equal(added, 2);
+    assert.equal(messages.length, 6);
+    assert.deepEqual(
+        messages.filter(msg => msg.isSystem).map(({ systemEvent }) => `${systemEvent.actor}>${systemEvent.targets}`),
+        ['Anna>Bob', 'Anna>Carl', 'Anna>Dave', 'Bob>Carl']
+    );
+});
+
+test('collapses the same event logged a minute apart and renames its actor', () => {
+    const existing = parse([
+        '01/02/2024, 10:00 - Anna: hi',
+        '01/02/2024, 10:01 - Bob: hey',
+        '01/02/2024, 10:02 - Anna: how are you',
+        '01/02/2024, 10:03 - Anna removed Carl'
+    ]);
+    const incoming = parse([
+        '01/02/2024, 10:00 - You: hi',
+        '01/02/2024, 10:01 - Bob: hey',
+        '01/02/2024, 10:02 - You: how are you',
+        '01/02/2024, 10:04 - You removed Carl',
+        '01/02/2024, 10:05 - You removed Dave'
+    ]);
+
+    const { messages, added, duplicates, renamed } = mergeMessages(existing, incoming);
+    assert.deepEqual(renamed, { You: 'Anna' });
+    assert.equal(duplicates, 4);
+    assert.equal(added, 1);
+    assert.equal(messages.length, 5);
+    assert.equal(messages[4].systemEvent.actor, 'Anna');
+    assert.deepEqual(messages[4].systemEvent.targets, ['Dave']);
+});
+
+test('keeps a repeated message sent twice in one minute', () => {
+    const existing = parse(['01/02/2024, 10:00 - Anna: ok', '01/02/2024, 10:00 - Anna: ok']);
+    const incoming = parse(['01/02/2024, 10:00 - Anna: ok', '01/02/2024, 10:00 - Anna: ok', '01/02/2024, 10:00 - Anna: ok']);
+
+    const { messages, duplicates } = mergeMessages(existing, incoming);
+    assert.equal(duplicates, 2);
+    assert.equal(messages.length, 3);
+});
@@ -0,0 +1,52 @@
+// Line normalisation: invisible marks, space variants, native digits and
+// localised AM/PM markers rewritten before the parser's patterns run
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeLine, transliterateDigits } from '../lineNormalizer.js';
+import { WhatsAppParser } from '../parser.js';
+
+test('strips direction marks and BOMs at the start of a line', () => {
+    assert.equal(normalizeLine('\u200e[05/01/2024, 15:04:12] Anna: hi'), '[05/01/2024, 15:04:12] Anna: hi');
+    assert.equal(normalizeLine('\u200f\u202b05/01/2024, 15:04 - Anna: hi'), '05/01/2024, 15:04 - Anna: hi');
+    assert.equal(normalizeLine('\ufeff05/01/2024, 15:04 - Anna: hi'), '05/01/2024, 15:04 - Anna: hi');
+    assert.equal(normalizeLine('\u2067[05/01/2024, 15:04] Anna: hi'), '[05/01/2024, 15:04] Anna: hi');
+});
+
+test('turns narrow and regular no-break spaces into plain spaces', () => {
+    assert.equal(normalizeLine('[05/01/2024, 3:04:12\u202fPM] Anna: hi'), '[05/01/2024, 3:04:12 PM] Anna: hi');
+    assert.equal(normalizeLine('05/01/2024,\u00a03:04\u00a0PM - Anna: hi'), '05/01/2024, 3:04 PM - Anna: hi');
+});
+
+test('rewrites right-to-left timestamps with native digits', () => {
+    assert.equal(normalizeLine('٠٥/٠١/٢٠٢٤، ٣:٠٤ م - أحمد: مرحبا'), '05/01/2024, 3:04 PM - أحمد: مرحبا');
+    assert.equal(normalizeLine('\u200f۱۴۰۳/۰۱/۰۱\u200f، ۱۰:۳۰ - علی: سلام'), '1403/01/01, 10:30 - علی: سلام');
+});
+
+test('leaves native digits in the message text alone', () => {
+    assert.equal(normalizeLine('٠٥/٠١/٢٠٢٤، ١٥:٠٤ - أحمد: الساعة ٣'), '05/01/2024, 15:04 - أحمد: الساعة ٣');
+    assert.equal(transliterateDigits('٣ ۴ ५ ๖'), '3 4 5 6');
+});
+
+test('normalises localised AM/PM markers, before or after the time', () => {
+    assert.equal(normalizeLine('05/01/2024, 3:04 p. m. - Ana: hola'), '05/01/2024, 3:04 PM - Ana: hola');
+    assert.equal(normalizeLine('05/01/2024, 9:15 vorm. - Jan: hallo'), '05/01/2024, 9:15 AM - Jan: hallo');
+    assert.equal(normalizeLine('2024. 1. 5. 오후 3:04 - 민수: 안녕'), '2024.1.5 3:04 PM - 민수: 안녕');
+    assert.equal(normalizeLine('[05/01/2024, 9:15 a.m.] Anna: at 3:04 PM'), '[05/01/2024, 9:15 AM] Anna: at 3:04 PM');
+});
+
+test('leaves plain lines untouched', () => {
+    assert.equal(normalizeLine('05/01/2024, 15:04 - Anna: hi'), '05/01/2024, 15:04 - Anna: hi');
+    assert.equal(normalizeLine('  just a continuation line  '), 'just a continuation line');
+});
+
+test('parses an iOS export with marks and narrow no-break spaces', () => {
+    const parsed = new WhatsAppParser().parse([
+        '\u200e[05/01/2024, 3:04:12\u202fPM] Anna: hi',
+        '\u200e[05/01/2024, 3:05:00\u202fPM] Bob: \u200ehey'
+    ].join('\n'), { timeZone: 'UTC' });
+
+    assert.equal(parsed.messages.length, 2);
+    assert.deepEqual(parsed.messages.map(msg => msg.sender), ['Anna', 'Bob']);
+    assert.equal(parsed.messages[0].timestamp.toISOString(), '2024-01-05T15:04:12.000Z');
+});
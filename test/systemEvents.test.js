@@ -0,0 +1,115 @@
+// Group system event classifier: each language's membership and rename lines,
+// and lines that must stay plain messages or OTHER
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifySystemEvent, SYSTEM_EVENT_TYPES as T } from '../systemEvents.js';
+import { WhatsAppParser } from '../parser.js';
+
+// [line, type, actor, targets] per language
+const CASES = {
+    English: [
+        ['Alice added Bob', T.ADDED, 'Alice', ['Bob']],
+        ['Alice added Bob, Carol and Dave', T.ADDED, 'Alice', ['Bob', 'Carol', 'Dave']],
+        ['You added Bob', T.ADDED, 'You', ['Bob']],
+        ['Alice removed Bob', T.REMOVED, 'Alice', ['Bob']],
+        ['Bob left', T.LEFT, null, ['Bob']],
+        ['Bob joined using this group\'s invite link', T.JOINED_VIA_LINK, null, ['Bob']],
+        ['Alice changed the subject from "Old" to "New"', T.SUBJECT_CHANGED, 'Alice', []],
+        ['Alice changed the group name to “Trip”', T.SUBJECT_CHANGED, 'Alice', []]
+    ],
+    Spanish: [
+        ['Alice añadió a Bob', T.ADDED, 'Alice', ['Bob']],
+        ['Alice agregó a Bob y Carol', T.ADDED, 'Alice', ['Bob', 'Carol']],
+        ['Alice eliminó a Bob', T.REMOVED, 'Alice', ['Bob']],
+        ['Bob salió del grupo', T.LEFT, null, ['Bob']],
+        ['Bob se unió usando el enlace de invitación', T.JOINED_VIA_LINK, null, ['Bob']],
+        ['Alice cambió el asunto de "Viejo" a "Nuevo"', T.SUBJECT_CHANGED, 'Alice', []]
+    ],
+    German: [
+        ['Alice hat Bob hinzugefügt', T.ADDED, 'Alice', ['Bob']],
+        ['Du hast Bob und Carol hinzugefügt', T.ADDED, 'You', ['Bob', 'Carol']],
+        ['Alice hat Bob entfernt', T.REMOVED, 'Alice', ['Bob']],
+        ['Bob hat die Gruppe verlassen', T.LEFT, null, ['Bob']],
+        ['Bob ist über den Einladungslink beigetreten', T.JOINED_VIA_LINK, null, ['Bob']],
+        ['Alice hat den Betreff von „Alt“ zu „Neu“ geändert', T.SUBJECT_CHANGED, 'Alice', []]
+    ],
+    French: [
+        ['Alice a ajouté Bob', T.ADDED, 'Alice', ['Bob']],
+        ['Vous avez ajouté Bob et Carol', T.ADDED, 'You', ['Bob', 'Carol']],
+        ['Alice a retiré Bob', T.REMOVED, 'Alice', ['Bob']],
+        ['Bob est parti', T.LEFT, null, ['Bob']],
+        ['Bob a rejoint via le lien d\'invitation', T.JOINED_VIA_LINK, null, ['Bob']],
+        ['Alice a modifié le sujet de « Ancien » en « Nouveau »', T.SUBJECT_CHANGED, 'Alice', []]
+    ],
+    Portuguese: [
+        ['Alice adicionou Bob', T.ADDED, 'Alice', ['Bob']],
+        ['Alice removeu Bob', T.REMOVED, 'Alice', ['Bob']],
+        ['Bob saiu', T.LEFT, null, ['Bob']],
+        ['Bob entrou usando o link de convite', T.JOINED_VIA_LINK, null, ['Bob']],
+        ['Alice mudou o assunto de "Velho" para "Novo"', T.SUBJECT_CHANGED, 'Alice', []]
+    ],
+    Italian: [
+        ['Alice ha aggiunto Bob', T.ADDED, 'Alice', ['Bob']],
+        ['Alice ha rimosso Bob', T.REMOVED, 'Alice', ['Bob']],
+        ['Bob è uscito', T.LEFT, null, ['Bob']],
+        ['Bob si è unito tramite il link d\'invito', T.JOINED_VIA_LINK, null, ['Bob']],
+        ['Alice ha cambiato l\'oggetto da "Vecchio" a "Nuovo"', T.SUBJECT_CHANGED, 'Alice', []]
+    ],
+    Dutch: [
+        ['Alice heeft Bob toegevoegd', T.ADDED, 'Alice', ['Bob']],
+        ['Alice heeft Bob verwijderd', T.REMOVED, 'Alice', ['Bob']],
+        ['Bob heeft de groep verlaten', T.LEFT, null, ['Bob']],
+        ['Bob neemt deel via de uitnodigingslink', T.JOINED_VIA_LINK, null, ['Bob']],
+        ['Alice heeft het onderwerp gewijzigd van "Oud" naar "Nieuw"', T.SUBJECT_CHANGED, 'Alice', []]
+    ],
+    Hindi: [
+        ['Alice ने Bob को जोड़ा', T.ADDED, 'Alice', ['Bob']],
+        ['Alice ने Bob को हटाया', T.REMOVED, 'Alice', ['Bob']],
+        ['Bob ने ग्रुप छोड़ दिया', T.LEFT, null, ['Bob']],
+        ['Bob आमंत्रण लिंक से शामिल', T.JOINED_VIA_LINK, null, ['Bob']],
+        ['Alice ने विषय "पुराना" से बदलकर "नया"', T.SUBJECT_CHANGED, 'Alice', []]
+    ]
+};
+
+Object.entries(CASES).forEach(([language, cases]) => {
+    test(`classifies ${language} membership and subject lines`, () => {
+        cases.forEach(([line, type, actor, targets]) => {
+            const event = classifySystemEvent(line);
+            assert.equal(event.type, type, line);
+            assert.equal(event.actor, actor, line);
+            assert.deepEqual(event.targets, targets, line);
+        });
+    });
+});
+
+test('keeps the old and new subject', () => {
+    assert.deepEqual(classifySystemEvent('Alice changed the subject from "Old" to "New"').details, { from: 'Old', to: 'New' });
+    assert.deepEqual(classifySystemEvent('Alice changed the group name to "Trip"').details, { from: null, to: 'Trip' });
+});
+
+test('leaves other system lines as OTHER', () => {
+    [
+        'Messages and calls are end-to-end encrypted. No one outside of this chat can read or listen to them.',
+        'Alice created group "Trip"',
+        'Missed voice call',
+        '<Media omitted>',
+        'This message was deleted'
+    ].forEach(line => {
+        assert.equal(classifySystemEvent(line).type, T.OTHER, line);
+    });
+});
+
+test('does not classify chat messages that read like system events', () => {
+    const parser = new WhatsAppParser();
+    const { messages } = parser.parse([
+        '01/02/2024, 10:00 - Bob: Anna added salt',
+        '01/02/2024, 10:01 - Anna: I left',
+        '01/02/2024, 10:02 - Bob: Alice hat Bob hinzugefügt',
+        '01/02/2024, 10:03 - Bob left'
+    ].join('\n'), { timeZone: 'UTC' });
+
+    assert.deepEqual(messages.map(msg => msg.isSystem), [false, false, false, true]);
+    assert.deepEqual(messages.slice(0, 3).map(msg => msg.systemEvent), [null, null, null]);
+    assert.equal(messages[3].systemEvent.type, T.LEFT);
+});
@@ -0,0 +1,92 @@
+// Text Encoding Detection
+//
+// Exports copied through older Windows tools arrive as UTF-16 or a legacy
+// code page instead of UTF-8. Detection looks for a byte order mark first,
+// then falls back to heuristics on a sample of the file. Kept free of DOM
+// access so the parser worker can import it too.
+
+export const ENCODINGS = ['utf-8', 'utf-16le', 'utf-16be', 'windows-1252', 'windows-1251'];
+
+export const ENCODING_LABELS = {
+    'utf-8': 'UTF-8',
+    'utf-16le': 'UTF-16 LE',
+    'utf-16be': 'UTF-16 BE',
+    'windows-1252': 'Windows-1252 (Western)',
+    'windows-1251': 'Windows-1251 (Cyrillic)'
+};
+
+// Bytes inspected when guessing
+const SAMPLE_BYTES = 64 * 1024;
+
+// Share of NUL bytes in one byte position that marks UTF-16 without a BOM
+const UTF16_NUL_RATIO = 0.3;
+
+// Share of high bytes next to other high bytes: Cyrillic words are made of
+// them, Western text only has isolated accented letters between ASCII
+const CYRILLIC_RUN_RATIO = 0.5;
+
+/**
+ * Detect the encoding of the first bytes of a file
+ * @param {Uint8Array} bytes - Start of the file
+ * @returns {Object} { encoding, source } where source is 'bom' or 'heuristic'
+ */
+export function detectEncoding(bytes) {
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return { encoding: 'utf-8', source: 'bom' };
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return { encoding: 'utf-16le', source: 'bom' };
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return { encoding: 'utf-16be', source: 'bom' };
+
+    return { encoding: guessEncoding(bytes), source: 'heuristic' };
+}
+
+/**
+ * Read the start of a Blob and detect its encoding
+ * @param {Blob} source - File or Blob
+ * @returns {Promise<Object>} { encoding, source }
+ */
+export async function detectBlobEncoding(source) {
+    const buffer = await source.slice(0, SAMPLE_BYTES).arrayBuffer();
+    return detectEncoding(new Uint8Array(buffer));
+}
+
+function guessEncoding(bytes) {
+    const length = Math.min(bytes.length, SAMPLE_BYTES);
+    if (length === 0) return 'utf-8';
+
+    // UTF-16 text in Latin scripts has a NUL in every other byte
+    let evenNuls = 0;
+    let oddNuls = 0;
+    for (let i = 0; i < length; i++) {
+        if (bytes[i] === 0) {
+            if (i % 2 === 0) evenNuls++;
+            else oddNuls++;
+        }
+    }
+    const pairs = length / 2;
+    if (oddNuls / pairs > UTF16_NUL_RATIO && evenNuls < oddNuls / 4) return 'utf-16le';
+    if (evenNuls / pairs > UTF16_NUL_RATIO && oddNuls < evenNuls / 4) return 'utf-16be';
+
+    if (isValidUtf8(bytes.subarray(0, length))) return 'utf-8';
+
+    // Not UTF-8: pick the legacy code page from how high bytes cluster
+    let highBytes = 0;
+    let clustered = 0;
+    for (let i = 0; i < length; i++) {
+        if (bytes[i] < 0x80) continue;
+        highBytes++;
+        if ((i > 0 && bytes[i - 1] >= 0x80) || (i + 1 < length && bytes[i + 1] >= 0x80)) clustered++;
+    }
+
+    return highBytes && clustered / highBytes > CYRILLIC_RUN_RATIO ? 'windows-1251' : 'windows-1252';
+}
+
+function isValidUtf8(bytes) {
+    try {
+        // stream: true so a character cut off at the end of the sample is not an error
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+export default detectEncoding;
@@ -0,0 +1,214 @@
+// Timezone Inference: a participant's likely UTC offset from when they write
+//
+// People sleep at night wherever they live, so the quiet stretch in someone's
+// UTC activity curve gives away their local midnight. Each participant's
+// 24-hour UTC histogram is compared against a typical local-time messaging
+// curve at every whole-hour shift; the best-matching shift is the offset.
+// Running the same estimate month by month shows when someone moved.
+
+// Typical share of messages per local hour (0-23): quiet 1-6am, busiest in the evening
+const REFERENCE_ACTIVITY = [
+    1.5, 0.8, 0.4, 0.2, 0.15, 0.2, 0.6, 1.5, 2.6, 3.4, 3.9, 4.2,
+    4.5, 4.4, 4.3, 4.4, 4.6, 4.9, 5.3, 5.8, 6.2, 6.3, 5.4, 3.4
+];
+
+// Offsets considered, in hours; UTC+13/+14 are indistinguishable from -11/-10 by shape
+const MIN_OFFSET = -11;
+const MAX_OFFSET = 12;
+
+// Below this many messages the estimate is reported with reduced confidence
+const CONFIDENT_SAMPLE = 300;
+
+// Messages needed before a period gets its own estimate when looking for moves
+const MIN_PERIOD_MESSAGES = 120;
+
+// Shifts this small are DST or noise, not a move
+const MOVE_THRESHOLD_HOURS = 2;
+
+// Periods below this confidence are ignored when looking for moves
+const MIN_PERIOD_CONFIDENCE = 0.5;
+
+// Length of the quiet window reported as the sleep gap
+const SLEEP_WINDOW_HOURS = 6;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function pearson(a, b) {
+    const n = a.length;
+    const meanA = a.reduce((sum, v) => sum + v, 0) / n;
+    const meanB = b.reduce((sum, v) => sum + v, 0) / n;
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+    for (let i = 0; i < n; i++) {
+        covariance += (a[i] - meanA) * (b[i] - meanB);
+        varianceA += (a[i] - meanA) ** 2;
+        varianceB += (b[i] - meanB) ** 2;
+    }
+    return varianceA && varianceB ? covariance / Math.sqrt(varianceA * varianceB) : 0;
+}
+
+/**
+ * Rotate a UTC-hour histogram into local hours for an offset
+ * @param {number[]} utcHours - 24 counts indexed by UTC hour
+ * @param {number} offset - Hours east of UTC
+ * @returns {number[]} 24 counts indexed by local hour
+ */
+export function shiftHours(utcHours, offset) {
+    return Array.from({ length: 24 }, (_, localHour) => utcHours[((localHour - offset) % 24 + 24) % 24]);
+}
+
+/**
+ * 24 counts of messages by UTC hour
+ * @param {Object[]} messages - Messages with a timestamp
+ */
+export function countUtcHours(messages) {
+    const utcHours = new Array(24).fill(0);
+    messages.forEach(msg => {
+        const hour = msg.timestamp.getUTCHours();
+        if (!isNaN(hour)) utcHours[hour]++;
+    });
+    return utcHours;
+}
+
+/**
+ * Quietest SLEEP_WINDOW_HOURS-long stretch of a 24-hour histogram
+ * @returns {Object} { start, end, count } with hours in the histogram's frame
+ */
+export function findSleepWindow(hours) {
+    let quietest = Infinity;
+    let start = 0;
+    for (let h = 0; h < 24; h++) {
+        let count = 0;
+        for (let i = 0; i < SLEEP_WINDOW_HOURS; i++) count += hours[(h + i) % 24];
+        if (count < quietest) {
+            quietest = count;
+            start = h;
+        }
+    }
+    return { start, end: (start + SLEEP_WINDOW_HOURS) % 24, count: quietest };
+}
+
+/**
+ * Estimate the UTC offset behind a UTC-hour histogram
+ * @param {number[]} utcHours - 24 counts indexed by UTC hour
+ * @returns {Object|null} { offset, confidence (0-1), sleepWindow: { start, end } in local hours }
+ */
+export function inferUtcOffset(utcHours) {
+    const total = utcHours.reduce((sum, count) => sum + count, 0);
+    if (total === 0) return null;
+
+    let best = { offset: 0, score: -Infinity };
+    for (let offset = MIN_OFFSET; offset <= MAX_OFFSET; offset++) {
+        const score = pearson(shiftHours(utcHours, offset), REFERENCE_ACTIVITY);
+        if (score > best.score) best = { offset, score };
+    }
+
+    const local = shiftHours(utcHours, best.offset);
+    const sleep = findSleepWindow(local);
+    // A deep quiet stretch and a close match to the reference both add confidence
+    const expectedInWindow = total * SLEEP_WINDOW_HOURS / 24;
+    const sleepDepth = 1 - Math.min(1, sleep.count / expectedInWindow);
+    const confidence = Math.max(0, best.score) * (0.5 + sleepDepth / 2) * Math.min(1, total / CONFIDENT_SAMPLE);
+
+    return {
+        offset: best.offset,
+        confidence: Math.round(confidence * 100) / 100,
+        sleepWindow: { start: sleep.start, end: sleep.end }
+    };
+}
+
+/**
+ * Estimate one participant's offset per period and flag moves
+ * @param {Object[]} messages - One participant's messages, in time order
+ * @returns {Object[]} periods: { start, end, offset, confidence, messageCount }
+ *   where consecutive periods with the same offset are merged
+ */
+export function inferOffsetPeriods(messages) {
+    // Calendar months (UTC), merged forward until each has enough messages
+    const chunks = [];
+    let current = null;
+    messages.forEach(msg => {
+        const time = msg.timestamp.getTime();
+        if (isNaN(time)) return;
+        const month = msg.timestamp.getUTCFullYear() * 12 + msg.timestamp.getUTCMonth();
+        if (!current || (current.month !== month && current.messages.length >= MIN_PERIOD_MESSAGES)) {
+            current = { month, messages: [] };
+            chunks.push(current);
+        }
+        current.month = month;
+        current.messages.push(msg);
+    });
+    // A short last chunk joins the one before it
+    if (chunks.length > 1 && chunks[chunks.length - 1].messages.length < MIN_PERIOD_MESSAGES) {
+        const last = chunks.pop();
+        chunks[chunks.length - 1].messages.push(...last.messages);
+    }
+
+    const periods = [];
+    chunks.forEach(chunk => {
+        const estimate = inferUtcOffset(countUtcHours(chunk.messages));
+        if (!estimate || estimate.confidence < MIN_PERIOD_CONFIDENCE) return;
+
+        const start = chunk.messages[0].timestamp;
+        const end = chunk.messages[chunk.messages.length - 1].timestamp;
+        const previous = periods[periods.length - 1];
+
+        if (previous && Math.abs(previous.offset - estimate.offset) < MOVE_THRESHOLD_HOURS) {
+            previous.end = end;
+            previous.messageCount += chunk.messages.length;
+            previous.confidence = Math.max(previous.confidence, estimate.confidence);
+            previous.chunks++;
+        } else {
+            periods.push({ start, end, offset: estimate.offset, confidence: estimate.confidence, messageCount: chunk.messages.length, chunks: 1 });
+        }
+    });
+
+    return dropBlips(periods).map(({ chunks: _chunks, ...period }) => period);
+}
+
+/**
+ * A single odd month between two stretches in the same zone is a trip or
+ * noise, not two moves; fold it into the surrounding period
+ */
+function dropBlips(periods) {
+    const result = [];
+    periods.forEach(period => {
+        const previous = result[result.length - 1];
+        const beforePrevious = result[result.length - 2];
+        if (previous && beforePrevious && previous.chunks === 1 &&
+            Math.abs(beforePrevious.offset - period.offset) < MOVE_THRESHOLD_HOURS) {
+            result.pop();
+            beforePrevious.end = period.end;
+            beforePrevious.messageCount += previous.messageCount + period.messageCount;
+            beforePrevious.chunks += period.chunks + 1;
+            return;
+        }
+        result.push(period);
+    });
+    return result;
+}
+
+/**
+ * Moves between consecutive periods
+ * @returns {Object[]} { date, from, to } where from/to are UTC offsets in hours
+ */
+export function findMoves(periods) {
+    const moves = [];
+    for (let i = 1; i < periods.length; i++) {
+        // Halfway between the last message in the old zone and the first in the new one
+        const date = new Date((periods[i - 1].end.getTime() + periods[i].start.getTime()) / 2);
+        moves.push({ date: new Date(Math.round(date.getTime() / HOUR_MS) * HOUR_MS), from: periods[i - 1].offset, to: periods[i].offset });
+    }
+    return moves;
+}
+
+/**
+ * "UTC+5" / "UTC-3" / "UTC" label for a whole-hour offset
+ */
+export function formatUtcOffset(offset) {
+    if (offset === 0) return 'UTC';
+    return `UTC${offset > 0 ? '+' : '-'}${Math.abs(offset)}`;
+}
+
+export default inferUtcOffset;
@@ -0,0 +1,166 @@
+// Time Zones
+//
+// Exports write wall-clock times in the exporting phone's zone without naming
+// it. The parser reads timestamps in an explicit zone (the viewer's unless the
+// user picks another), and every hour/day/date bucket is taken from the
+// message metadata computed here, so the dashboard can re-project a chat into
+// any zone without re-parsing. Kept free of DOM access for the parser worker.
+
+// Offered when the browser cannot list its zones (Intl.supportedValuesOf)
+const COMMON_TIME_ZONES = [
+    'UTC',
+    'America/Los_Angeles', 'America/Denver', 'America/Chicago', 'America/New_York',
+    'America/Mexico_City', 'America/Bogota', 'America/Sao_Paulo', 'America/Argentina/Buenos_Aires',
+    'Europe/London', 'Europe/Lisbon', 'Europe/Madrid', 'Europe/Paris', 'Europe/Berlin',
+    'Europe/Rome', 'Europe/Amsterdam', 'Europe/Warsaw', 'Europe/Istanbul', 'Europe/Moscow',
+    'Africa/Lagos', 'Africa/Cairo', 'Africa/Johannesburg', 'Africa/Nairobi',
+    'Asia/Dubai', 'Asia/Tehran', 'Asia/Karachi', 'Asia/Kolkata', 'Asia/Dhaka',
+    'Asia/Bangkok', 'Asia/Jakarta', 'Asia/Kuala_Lumpur', 'Asia/Singapore', 'Asia/Shanghai',
+    'Asia/Hong_Kong', 'Asia/Seoul', 'Asia/Tokyo', 'Australia/Perth', 'Australia/Sydney',
+    'Pacific/Auckland'
+];
+
+// Zone offsets only change on quarter-hour boundaries; cache one lookup per quarter hour
+const OFFSET_CACHE_MS = 15 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const formatters = new Map();
+const offsetCaches = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * IANA zone the browser runs in
+ */
+export function getViewerTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+export function isValidTimeZone(timeZone) {
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Zones to offer in selectors, always including the viewer's
+ */
+export function listTimeZones() {
+    const zones = typeof Intl.supportedValuesOf === 'function'
+        ? Intl.supportedValuesOf('timeZone')
+        : COMMON_TIME_ZONES;
+    const viewer = getViewerTimeZone();
+    return zones.includes(viewer) ? zones : [viewer, ...zones];
+}
+
+/**
+ * Offset of a zone from UTC at an instant
+ * @param {number} time - Epoch milliseconds
+ * @param {string} timeZone - IANA zone
+ * @returns {number} Minutes to add to UTC to get local time
+ */
+export function getTimeZoneOffset(time, timeZone) {
+    // Invalid timestamps stay invalid instead of throwing in formatToParts
+    if (!Number.isFinite(time)) return 0;
+    if (!offsetCaches.has(timeZone)) offsetCaches.set(timeZone, new Map());
+    const cache = offsetCaches.get(timeZone);
+    const slot = Math.floor(time / OFFSET_CACHE_MS);
+    if (cache.has(slot)) return cache.get(slot);
+
+    const instant = slot * OFFSET_CACHE_MS;
+    const parts = {};
+    getFormatter(timeZone).formatToParts(new Date(instant)).forEach(({ type, value }) => {
+        parts[type] = Number(value);
+    });
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    const offset = Math.round((wallClock - instant) / MINUTE_MS);
+
+    cache.set(slot, offset);
+    return offset;
+}
+
+/**
+ * Instant at which a wall-clock time occurs in a zone. Times skipped by a DST
+ * change resolve to the same clock reading after the change.
+ * @param {number} month - 1-12
+ * @returns {number} Epoch milliseconds
+ */
+export function zonedTimeToEpoch(year, month, day, hours, minutes, seconds, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+    const firstGuess = wallClock - getTimeZoneOffset(wallClock, timeZone) * MINUTE_MS;
+    const offset = getTimeZoneOffset(firstGuess, timeZone);
+    return wallClock - offset * MINUTE_MS;
+}
+
+/**
+ * Calendar fields of an instant in a zone
+ * @param {Date|number} date - Instant
+ * @param {string} timeZone - IANA zone
+ * @returns {Object} { year, month (0-11), day, hour, minute, dayOfWeek (0 = Sunday), dateKey }
+ */
+export function getZonedParts(date, timeZone) {
+    const time = date instanceof Date ? date.getTime() : date;
+    // Shift by the offset and read the fields back in UTC
+    const shifted = new Date(time + getTimeZoneOffset(time, timeZone) * MINUTE_MS);
+    const year = shifted.getUTCFullYear();
+    const month = shifted.getUTCMonth();
+    const day = shifted.getUTCDate();
+
+    return {
+        year,
+        month,
+        day,
+        hour: shifted.getUTCHours(),
+        minute: shifted.getUTCMinutes(),
+        dayOfWeek: shifted.getUTCDay(),
+        dateKey: `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+    };
+}
+
+/**
+ * Re-project message metadata (hour, day, date buckets) into a zone.
+ * Timestamps are instants and stay unchanged.
+ * @param {Object[]} messages - Messages built by WhatsAppParser.buildMessage()
+ * @param {string} timeZone - IANA zone
+ */
+export function applyTimeZone(messages, timeZone) {
+    messages.forEach(msg => {
+        const parts = getZonedParts(msg.timestamp, timeZone);
+        Object.assign(msg.metadata, {
+            hour: parts.hour,
+            dayOfWeek: parts.dayOfWeek,
+            dayOfMonth: parts.day,
+            month: parts.month,
+            year: parts.year,
+            dateKey: parts.dateKey
+        });
+    });
+}
+
+/**
+ * "UTC+05:30"-style label for a zone at an instant
+ */
+export function formatTimeZoneOffset(timeZone, date = new Date()) {
+    const offset = getTimeZoneOffset(date instanceof Date ? date.getTime() : date, timeZone);
+    const sign = offset < 0 ? '-' : '+';
+    const absolute = Math.abs(offset);
+    return `UTC${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+}
+
+export default getZonedParts;
@@ -40,6 +40,12 @@ export const stats = {
     return sorted[lower] * (1 - weight) + sorted[upper] * weight;
   },
 
+  // Round to a number of decimals, keeping a number (unlike toFixed)
+  round: (value, decimals = 1) => {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  },
+
   standardDeviation: (arr) => {
     if (!arr.length) return 0;
     const mean = stats.mean(arr);
@@ -49,6 +55,14 @@ export const stats = {
   }
 };
 
+// Display preferences shared by the formatters
+export const displaySettings = {
+  // Intl calendar for dates on screen: 'gregory', or the export's own ('persian', 'buddhist')
+  calendar: 'gregory',
+  // IANA zone dates and times are shown in; undefined means the browser's
+  timeZone: undefined
+};
+
 // Date/Time Formatting
 export const formatters = {
   timeAgo: (date) => {
@@ -95,12 +109,23 @@ export const formatters = {
     }
     
     return new Intl.DateTimeFormat('en-US', {
+      calendar: displaySettings.calendar,
+      timeZone: displaySettings.timeZone,
       year: 'numeric',
       month: 'short',
       day: 'numeric'
     }).format(dateObj);
   },
 
+  formatMonth: (date) => {
+    return new Intl.DateTimeFormat('en-US', {
+      calendar: displaySettings.calendar,
+      timeZone: displaySettings.timeZone,
+      year: 'numeric',
+      month: 'long'
+    }).format(date);
+  },
+
   formatTime: (date) => {
     // Ensure we have a valid Date object
     const dateObj = date instanceof Date ? date : new Date(date);
@@ -112,6 +137,7 @@ export const formatters = {
     }
     
     return new Intl.DateTimeFormat('en-US', {
+      timeZone: displaySettings.timeZone,
       hour: '2-digit',
       minute: '2-digit',
       hour12: true
@@ -120,6 +146,14 @@ export const formatters = {
 
   formatDateTime: (date) => {
     return `${formatters.formatDate(date)} ${formatters.formatTime(date)}`;
+  },
+
+  formatBytes: (bytes) => {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    const value = bytes / Math.pow(1024, exponent);
+    return `${value.toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
   }
 };
 
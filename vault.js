@@ -0,0 +1,397 @@
+// Vault: optional passphrase encryption for everything WhatTrace keeps in the browser
+//
+// With a passphrase set, saved chats (chatLibrary.js) and per-chat settings
+// (aliases, "this is me") are stored encrypted with AES-GCM under a key
+// derived from the passphrase with PBKDF2. Only the salt and an encrypted
+// check value are stored in the clear, next to the chats in IndexedDB, where
+// chatLibrary.js loads them with setVaultMeta(). The key is non-extractable:
+// chatLibrary.js keeps it for the browser session (getVaultSession() and
+// resumeVault()) so a reload does not ask again, until IDLE_LOCK_MS without
+// activity or a manual lock. There is no recovery: a forgotten passphrase
+// means wiping the data.
+
+// Settings in localStorage that belong to a chat (aliases.js, perspective.js)
+const SETTINGS_PREFIX = 'whattrace.';
+// A sealed setting is 'enc:' + JSON { [key tag]: 'iv.data' }, with a `plain`
+// copy too while switching to or from no passphrase; see stageVaultKey()
+const SEALED_TEXT_PREFIX = 'enc:';
+const PLAIN_COPY = 'plain';
+
+// OWASP recommendation for PBKDF2-HMAC-SHA256 (2023)
+const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+export const IDLE_LOCK_MS = 15 * 60 * 1000;
+
+// Decrypted to prove a passphrase right; AES-GCM fails on any other key
+const CHECK_TEXT = 'whattrace';
+
+// { salt, iterations, check } while a passphrase is set
+let meta = null;
+let sessionKey = null;
+let lastActive = 0;
+// Decrypted settings while unlocked: localStorage key -> value
+let settingsCache = new Map();
+// Latest write per setting, so a slow encryption can't overwrite a newer value
+const settingVersions = new Map();
+
+function toBase64(bytes) {
+    const view = new Uint8Array(bytes);
+    let binary = '';
+    // Chunked: String.fromCharCode(...) overflows the stack on large arrays
+    for (let i = 0; i < view.length; i += 0x8000) {
+        binary += String.fromCharCode(...view.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+// Names the key a sealed setting copy belongs to; the salt is unique per passphrase
+function keyTag(vaultMeta) {
+    return vaultMeta.salt;
+}
+
+function settingKeys() {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key && key.startsWith(SETTINGS_PREFIX)) keys.push(key);
+    }
+    return keys;
+}
+
+function readCopies(value) {
+    try {
+        return JSON.parse(value.slice(SEALED_TEXT_PREFIX.length));
+    } catch (error) {
+        return {};
+    }
+}
+
+function writeCopies(storageKey, copies) {
+    localStorage.setItem(storageKey, `${SEALED_TEXT_PREFIX}${JSON.stringify(copies)}`);
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+async function encryptBytes(key, bytes) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+    return { iv, data };
+}
+
+function decryptBytes(key, { iv, data }) {
+    return crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+}
+
+async function sealText(key, text) {
+    const { iv, data } = await encryptBytes(key, new TextEncoder().encode(text));
+    return `${toBase64(iv)}.${toBase64(data)}`;
+}
+
+async function openText(key, sealed) {
+    const [iv, data] = sealed.split('.').map(fromBase64);
+    return new TextDecoder().decode(await decryptBytes(key, { iv, data }));
+}
+
+/**
+ * Every setting decrypted with the key, dropping copies left over from an
+ * interrupted passphrase change
+ */
+async function loadSettings(key) {
+    const cache = new Map();
+    const tag = keyTag(meta);
+    for (const storageKey of settingKeys()) {
+        const value = localStorage.getItem(storageKey);
+        if (!value.startsWith(SEALED_TEXT_PREFIX)) {
+            cache.set(storageKey, value);
+            continue;
+        }
+        const copies = readCopies(value);
+        if (copies[tag]) {
+            cache.set(storageKey, await openText(key, copies[tag]));
+            if (Object.keys(copies).length > 1) writeCopies(storageKey, { [tag]: copies[tag] });
+        } else if (PLAIN_COPY in copies) {
+            cache.set(storageKey, copies[PLAIN_COPY]);
+        } else {
+            console.warn(`Setting ${storageKey} is sealed under another passphrase and was skipped`);
+        }
+    }
+    return cache;
+}
+
+/**
+ * Plain values of every setting, from the cache while encrypted
+ */
+function plainSettings() {
+    return meta ? new Map(settingsCache) : new Map(settingKeys().map(key => [key, readSetting(key)]));
+}
+
+/**
+ * Take the stored salt and check value (or null for no passphrase); locks the vault
+ */
+export function setVaultMeta(vaultMeta) {
+    lockVault();
+    meta = vaultMeta || null;
+    if (meta) return;
+
+    // Without a passphrase, settings left with several copies by an interrupted removal become plain
+    settingKeys().forEach(key => {
+        const value = localStorage.getItem(key);
+        if (!value.startsWith(SEALED_TEXT_PREFIX)) return;
+        const copies = readCopies(value);
+        if (PLAIN_COPY in copies) localStorage.setItem(key, copies[PLAIN_COPY]);
+    });
+}
+
+export function isVaultEnabled() {
+    return Boolean(meta);
+}
+
+export function isVaultLocked() {
+    return isVaultEnabled() && !sessionKey;
+}
+
+/**
+ * Unlock with the passphrase
+ * @throws {Error} When the passphrase is wrong
+ */
+export async function unlockVault(passphrase) {
+    if (!meta) throw new Error('No passphrase is set');
+
+    const key = await deriveKey(passphrase, fromBase64(meta.salt), meta.iterations);
+    try {
+        await openText(key, meta.check);
+    } catch (error) {
+        throw new Error('Wrong passphrase');
+    }
+
+    settingsCache = await loadSettings(key);
+    sessionKey = key;
+    lastActive = Date.now();
+}
+
+/**
+ * The unlocked key and when it was last used, for keeping it through reloads
+ * @returns {Object|null} { key, tag, lastActive } while unlocked
+ */
+export function getVaultSession() {
+    return sessionKey ? { key: sessionKey, tag: keyTag(meta), lastActive } : null;
+}
+
+/**
+ * Unlock with a key kept from earlier in this browser session
+ * @param {Object} session - From getVaultSession()
+ * @returns {Promise<boolean>} false when it belongs to another passphrase or has gone idle
+ */
+export async function resumeVault(session) {
+    if (!meta || session.tag !== keyTag(meta) || Date.now() - session.lastActive > IDLE_LOCK_MS) return false;
+    try {
+        await openText(session.key, meta.check);
+    } catch (error) {
+        return false;
+    }
+
+    settingsCache = await loadSettings(session.key);
+    sessionKey = session.key;
+    lastActive = Date.now();
+    return true;
+}
+
+export function lockVault() {
+    sessionKey = null;
+    settingsCache = new Map();
+}
+
+/**
+ * Record user activity, postponing the idle lock
+ */
+export function touchVault() {
+    if (sessionKey) lastActive = Date.now();
+}
+
+export function isVaultIdle() {
+    return Boolean(sessionKey) && Date.now() - lastActive > IDLE_LOCK_MS;
+}
+
+/**
+ * Derive the key for a new passphrase without switching to it yet
+ * @param {string|null} passphrase - null to remove encryption
+ * @returns {Promise<Object|null>} { key, meta } for stageVaultKey() and applyVaultKey()
+ */
+export async function createVaultKey(passphrase) {
+    if (passphrase === null) return null;
+
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const vaultMeta = {
+        salt: toBase64(salt),
+        iterations: PBKDF2_ITERATIONS,
+        check: await sealText(key, CHECK_TEXT)
+    };
+    return { key, meta: vaultMeta };
+}
+
+/**
+ * First step of a switch to a new key (or none): store every setting so it can be
+ * read under the current key and the new one. Until applyVaultKey() runs, a closed
+ * tab leaves settings readable whichever meta chatLibrary.js ended up storing.
+ * @param {Object|null} vaultKey - From createVaultKey()
+ */
+export async function stageVaultKey(vaultKey) {
+    if (isVaultLocked()) throw new Error('Unlock first');
+
+    const staged = new Map();
+    for (const [storageKey, value] of plainSettings()) {
+        const copies = {};
+        if (meta) copies[keyTag(meta)] = await sealText(sessionKey, value);
+        if (vaultKey) copies[keyTag(vaultKey.meta)] = await sealText(vaultKey.key, value);
+        if (!meta || !vaultKey) copies[PLAIN_COPY] = value;
+        staged.set(storageKey, copies);
+    }
+    staged.forEach((copies, storageKey) => writeCopies(storageKey, copies));
+}
+
+/**
+ * Last step of the switch, once the new meta is stored: keep only the new key's
+ * copy of each setting
+ * @param {Object|null} vaultKey - From createVaultKey()
+ */
+export async function applyVaultKey(vaultKey) {
+    const plain = plainSettings();
+
+    const values = new Map();
+    for (const [storageKey, value] of plain) {
+        values.set(storageKey, vaultKey ? { [keyTag(vaultKey.meta)]: await sealText(vaultKey.key, value) } : value);
+    }
+    values.forEach((value, storageKey) => {
+        if (vaultKey) writeCopies(storageKey, value);
+        else localStorage.setItem(storageKey, value);
+    });
+
+    meta = vaultKey ? vaultKey.meta : null;
+    sessionKey = vaultKey ? vaultKey.key : null;
+    settingsCache = vaultKey ? plain : new Map();
+    lastActive = Date.now();
+}
+
+/**
+ * Forget the passphrase and key; for wiping everything
+ */
+export function resetVault() {
+    lockVault();
+    meta = null;
+}
+
+/**
+ * A per-chat setting
+ * @returns {string|null} null when unset, or while the vault is locked
+ */
+export function readSetting(key) {
+    if (!meta) {
+        const value = localStorage.getItem(key);
+        if (value === null || !value.startsWith(SEALED_TEXT_PREFIX)) return value;
+        // Sealed, yet no passphrase is known (yet): only a plain copy can be read
+        const copies = readCopies(value);
+        return PLAIN_COPY in copies ? copies[PLAIN_COPY] : null;
+    }
+    return settingsCache.has(key) ? settingsCache.get(key) : null;
+}
+
+/**
+ * Store a per-chat setting, encrypted when a passphrase is set
+ * @param {string} key - localStorage key
+ * @param {string|null} value - null removes it
+ */
+export function writeSetting(key, value) {
+    if (!meta) {
+        if (value === null) localStorage.removeItem(key);
+        else localStorage.setItem(key, value);
+        return;
+    }
+    if (!sessionKey) {
+        console.warn(`Setting ${key} not saved: the vault is locked`);
+        return;
+    }
+
+    const version = (settingVersions.get(key) || 0) + 1;
+    settingVersions.set(key, version);
+
+    if (value === null) {
+        settingsCache.delete(key);
+        localStorage.removeItem(key);
+        return;
+    }
+
+    settingsCache.set(key, value);
+    const sealingKey = sessionKey;
+    const tag = keyTag(meta);
+    sealText(sealingKey, value).then(sealed => {
+        // Skip if a newer value was written, or the passphrase changed meanwhile
+        if (settingVersions.get(key) === version && sessionKey === sealingKey) writeCopies(key, { [tag]: sealed });
+    });
+}
+
+/**
+ * Encrypt a structured value (Dates and Blobs included) for IndexedDB
+ * @param {*} value - Anything JSON can hold, plus Date and Blob/File
+ * @param {CryptoKey} [key] - Defaults to the session key
+ * @returns {Promise<Object>} { iv, data, blobs: [{ iv, data }] }
+ */
+export async function sealValue(value, key = sessionKey) {
+    if (!key) throw new Error('The chat library is locked');
+
+    const blobs = [];
+    const json = JSON.stringify(value, function (name, item) {
+        // `this[name]` is the value before Date#toJSON ran
+        const raw = this[name];
+        if (raw instanceof Date) return { $date: raw.getTime() };
+        if (typeof Blob !== 'undefined' && raw instanceof Blob) {
+            blobs.push(raw);
+            return { $blob: blobs.length - 1, type: raw.type, name: raw.name || null };
+        }
+        return item;
+    });
+
+    const sealed = await encryptBytes(key, new TextEncoder().encode(json));
+    sealed.blobs = [];
+    for (const blob of blobs) {
+        sealed.blobs.push(await encryptBytes(key, await blob.arrayBuffer()));
+    }
+    return sealed;
+}
+
+/**
+ * Decrypt a value sealed by sealValue()
+ */
+export async function openValue(sealed, key = sessionKey) {
+    if (!key) throw new Error('The chat library is locked');
+
+    const blobs = [];
+    for (const blob of sealed.blobs) {
+        blobs.push(await decryptBytes(key, blob));
+    }
+    const json = new TextDecoder().decode(await decryptBytes(key, sealed));
+
+    return JSON.parse(json, (name, item) => {
+        if (item && typeof item === 'object' && '$date' in item) return new Date(item.$date);
+        if (item && typeof item === 'object' && '$blob' in item) {
+            const parts = [blobs[item.$blob]];
+            return item.name ? new File(parts, item.name, { type: item.type }) : new Blob(parts, { type: item.type });
+        }
+        return item;
+    });
+}
@@ -650,6 +650,129 @@ export class ChartBuilder {
         });
     }
 
+    /**
+     * Create group headcount-over-time chart (stepped line)
+     */
+    createHeadcountChart(ctx, headcount) {
+        return new Chart(ctx, {
+            type: 'line',
+            data: {
+                datasets: [{
+                    label: 'Members',
+                    data: headcount.map(point => ({ x: point.date, y: point.count })),
+                    borderColor: this.defaultColors.success,
+                    backgroundColor: 'rgba(0, 255, 163, 0.1)',
+                    fill: true,
+                    stepped: true,
+                    pointRadius: 0,
+                    pointHoverRadius: 5,
+                    borderWidth: 2
+                }]
+            },
+            options: {
+                ...this.chartOptions,
+                scales: {
+                    x: {
+                        ...this.chartOptions.scales.x,
+                        type: 'time',
+                        time: { unit: 'month' }
+                    },
+                    y: {
+                        ...this.chartOptions.scales.y,
+                        beginAtZero: true
+                    }
+                },
+                plugins: {
+                    ...this.chartOptions.plugins,
+                    legend: { display: false }
+                }
+            }
+        });
+    }
+
+    /**
+     * Hourly activity of several chats, each as a share of its own messages
+     * @param {Object[]} chats - { name, hourlyShare } from compareChats()
+     */
+    createComparisonHourlyChart(ctx, chats) {
+        const colors = this.generateGradientColors(chats.length);
+
+        return new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: Array.from({ length: 24 }, (_, i) => `${i}:00`),
+                datasets: chats.map((chat, i) => ({
+                    label: chat.name,
+                    data: chat.hourlyShare,
+                    borderColor: colors[i],
+                    backgroundColor: colors[i],
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    pointHoverRadius: 5,
+                    tension: 0.4
+                }))
+            },
+            options: {
+                ...this.chartOptions,
+                scales: {
+                    ...this.chartOptions.scales,
+                    y: {
+                        ...this.chartOptions.scales.y,
+                        beginAtZero: true,
+                        title: { display: true, text: '% of messages', color: 'rgba(255, 255, 255, 0.5)' }
+                    }
+                },
+                plugins: {
+                    ...this.chartOptions.plugins,
+                    tooltip: { ...this.chartOptions.plugins.tooltip, displayColors: true }
+                }
+            }
+        });
+    }
+
+    /**
+     * Monthly activity of several chats as messages per day, on one calendar
+     * @param {string[]} months - 'YYYY-MM' labels
+     * @param {Object[]} chats - { name, monthly } aligned to months
+     */
+    createComparisonMonthlyChart(ctx, months, chats) {
+        const colors = this.generateGradientColors(chats.length);
+
+        return new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: months,
+                datasets: chats.map((chat, i) => ({
+                    label: chat.name,
+                    data: chat.monthly,
+                    borderColor: colors[i],
+                    backgroundColor: colors[i],
+                    borderWidth: 2,
+                    pointRadius: 2,
+                    tension: 0.3
+                }))
+            },
+            options: {
+                ...this.chartOptions,
+                scales: {
+                    x: {
+                        ...this.chartOptions.scales.x,
+                        ticks: { ...this.chartOptions.scales.x.ticks, maxRotation: 45, minRotation: 45 }
+                    },
+                    y: {
+                        ...this.chartOptions.scales.y,
+                        beginAtZero: true,
+                        title: { display: true, text: 'Messages per day', color: 'rgba(255, 255, 255, 0.5)' }
+                    }
+                },
+                plugins: {
+                    ...this.chartOptions.plugins,
+                    tooltip: { ...this.chartOptions.plugins.tooltip, displayColors: true }
+                }
+            }
+        });
+    }
+
     getParticipantColors(names) {
         return names.map(name => {
             let hash = 0;
@@ -0,0 +1,374 @@
+// Type definitions for the WhatTrace library (whattrace.js)
+//
+// These mirror analysisResult.schema.json. Durations are milliseconds,
+// percentages are 0-100, instants are ISO 8601 strings in UTC, and hours and
+// calendar keys are in the chat's time zone.
+
+export declare const RESULT_SCHEMA_VERSION: '1.0.0';
+
+export declare const CHAT_FORMATS: {
+    readonly WHATSAPP: 'whatsapp';
+    readonly TELEGRAM: 'telegram';
+    readonly MESSENGER: 'messenger';
+    readonly SMS: 'sms';
+};
+
+export declare const DATE_FORMATS: readonly ['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD'];
+
+export declare const DEFAULT_THRESHOLDS: Readonly<Thresholds>;
+
+export type ChatFormat = typeof CHAT_FORMATS[keyof typeof CHAT_FORMATS];
+export type DateFormat = typeof DATE_FORMATS[number];
+
+/** Text, raw bytes (encoding detected) or a Blob; an array for Messenger's message_N.json pages */
+export type ChatSource = string | Uint8Array | ArrayBuffer | Blob;
+export type ChatInput = ChatSource | ChatSource[];
+
+/** ISO 8601 date-time, UTC */
+export type Instant = string;
+/** YYYY-MM-DD */
+export type DateKey = string;
+/** YYYY-MM */
+export type MonthKey = string;
+/** Milliseconds */
+export type Duration = number;
+/** 0-100 */
+export type Percentage = number;
+
+export type ByName<T> = Record<string, T>;
+
+export interface Thresholds {
+    /** Silence that starts a new conversation */
+    conversationGap: Duration;
+    /** Silence after a message that counts as being ghosted */
+    ghostGap: Duration;
+    /** Replies needed in an hour before it can be a best time to message */
+    minResponses: number;
+}
+
+export interface AnalyzeOptions {
+    /** Chat name when the export does not carry one (e.g. the file name) */
+    name?: string;
+    /** Skip format detection */
+    format?: ChatFormat;
+    /** WhatsApp date order; detected when omitted */
+    dateFormat?: DateFormat;
+    /** Text encoding label for byte input; detected when omitted */
+    encoding?: string;
+    /** IANA time zone a WhatsApp export's times were written in */
+    timeZone?: string;
+    /** SMS backup conversation key or name; defaults to the busiest */
+    thread?: string;
+    /** Sender name → name to show it as */
+    aliases?: Record<string, string>;
+    /** First day to include */
+    from?: DateKey;
+    /** Last day to include */
+    to?: DateKey;
+    /** Only count messages from these senders */
+    participants?: string[];
+    /** Participant who exported the chat; enables summary.perspective */
+    self?: string;
+    thresholds?: Partial<Thresholds>;
+    /**
+     * Called for problems that do not stop the analysis: skipped files in a ZIP,
+     * an SMS conversation picked implicitly, participants or self matching nobody.
+     * `chat` names the chat concerned, null for the whole input.
+     */
+    onWarning?: (message: string, chat: string | null) => void;
+    /** Receives the parsers' progress messages, which are otherwise dropped */
+    onProgress?: (message: string) => void;
+}
+
+export interface ChatInfo {
+    name: string | null;
+    format: ChatFormat;
+    encoding: string | null;
+    thread: string | null;
+    timeZone: string | null;
+    dateFormat: DateFormat | null;
+    calendar: string | null;
+    /** Detected marker language */
+    locale: string | null;
+}
+
+export interface CountAndPercentage {
+    count: number;
+    percentage: Percentage;
+}
+
+export interface WordCount {
+    word: string;
+    count: number;
+}
+
+export interface EmojiCount {
+    emoji: string;
+    count: number;
+}
+
+export interface Gap {
+    duration: Duration;
+    start: Instant;
+    end: Instant;
+}
+
+export interface Streak {
+    days: DateKey[];
+    messageCount: number;
+}
+
+export interface Ghost {
+    duration: Duration;
+    startDate: Instant;
+    endDate: Instant;
+}
+
+export interface MediaCounts {
+    total: number;
+    totalBytes: number;
+    byType: ByName<number>;
+}
+
+export interface MineTheirs {
+    mine: number | null;
+    theirs: number | null;
+}
+
+export interface Overview {
+    totalMessages: number;
+    userMessages: number;
+    participants: string[];
+    dateRange: {
+        start: Instant;
+        end: Instant;
+        duration: Duration;
+        durationDays: number;
+    };
+    averageMessagesPerDay: number | null;
+}
+
+export interface BestTimeToMessage {
+    bestHour: number | null;
+    bestTime: Duration | null;
+    hourlyAverages: Record<string, { average: Duration; count: number }>;
+    top3Hours: Array<{ hour: number; timeRange: string; averageResponseTime: Duration; sampleSize: number }>;
+    /** Best hour in the participant's own inferred time zone */
+    theirTime: { offset: number; bestHour: number | null; bestTime: Duration | null } | null;
+}
+
+export interface MessagingPatterns {
+    responseTime: {
+        overall: {
+            average: Duration;
+            median: Duration;
+            min: Duration | null;
+            max: Duration | null;
+            percentile25: Duration;
+            percentile75: Duration;
+            percentile90: Duration;
+        };
+        byParticipant: {
+            average: ByName<Duration>;
+            median: ByName<Duration>;
+        };
+        distribution: Record<'Under 1 min' | '1-5 min' | '5-30 min' | '30 min - 1 hr' | '1-6 hrs' | '6-24 hrs' | 'Over 24 hrs', number>;
+    };
+    messageFrequency: {
+        byHour: number[];
+        byDayOfWeek: number[];
+        byMonth: Record<MonthKey, number>;
+        byDate: Record<DateKey, number>;
+        totalMessages: number;
+    };
+    conversationInitiators: ByName<number>;
+    messageCountByParticipant: {
+        counts: ByName<number>;
+        percentages: ByName<Percentage>;
+    };
+    averageMessagesPerConversation: number;
+    bestTimeToMessage: ByName<BestTimeToMessage>;
+}
+
+export interface ContentAnalysis {
+    wordFrequency: {
+        overall: WordCount[];
+        byParticipant: ByName<WordCount[]>;
+    };
+    emojiAnalysis: {
+        overall: EmojiCount[];
+        byParticipant: ByName<EmojiCount[]>;
+        totalByParticipant: ByName<number>;
+    };
+    messageLengthStats: {
+        overall: { averageLength: number; medianLength: number; averageWords: number; stdDeviation: number };
+        byParticipant: ByName<{ averageLength: number; medianLength: number; averageWords: number }>;
+    };
+    punctuationAnalysis: ByName<{
+        questions: number;
+        exclamations: number;
+        questionsPerMessage: number;
+        exclamationsPerMessage: number;
+    }>;
+    capsLockUsage: ByName<CountAndPercentage>;
+}
+
+export interface ParticipantTimeZone {
+    offset: number;
+    confidence: number;
+    sleepWindow: { start: number; end: number; count: number };
+    localHourly: number[];
+    localPersona: string;
+    periods: Array<{ start: Instant; end: Instant; offset: number; confidence: number; messageCount: number }>;
+    moves: Array<{ date: Instant; from: number; to: number }>;
+}
+
+export interface TemporalPatterns {
+    hourlyActivity: {
+        overall: number[];
+        byParticipant: ByName<number[]>;
+    };
+    dailyActivity: {
+        overall: number[];
+        byParticipant: ByName<number[]>;
+        dayNames: string[];
+    };
+    monthlyTrends: Array<{ month: MonthKey; count: number }>;
+    peakActivityTimes: {
+        peakHour: { hour: number; messageCount: number; timeRange: string };
+        peakDay: { day: string; messageCount: number };
+    };
+    activityPersona: ByName<{
+        night: Percentage;
+        morning: Percentage;
+        afternoon: Percentage;
+        evening: Percentage;
+        primaryPersona: string;
+    }>;
+    participantTimeZones: ByName<ParticipantTimeZone | null>;
+}
+
+export interface EngagementMetrics {
+    mediaSharingFrequency: {
+        overall: MediaCounts;
+        byParticipant: ByName<MediaCounts>;
+        fromFiles: boolean;
+    };
+    deletedMessagePatterns: ByName<CountAndPercentage>;
+    conversationGaps: {
+        count: number;
+        longestGap: Gap | null;
+        averageGap: Duration;
+        top10Gaps: Gap[];
+    };
+    conversationStreaks: {
+        longestStreak: Streak | null;
+        totalStreaks: number;
+        top5Streaks: Streak[];
+    };
+    urlSharingStats: ByName<CountAndPercentage>;
+    doubleTextingPatterns: ByName<{
+        doubleTexts: number;
+        tripleTexts: number;
+        quadPlusTexts: number;
+        longestStreak: number;
+        totalConsecutiveMessages: number;
+        percentage: Percentage;
+        totalInstances: number;
+    }>;
+    ghostPeriods: ByName<{
+        totalGhosts: number;
+        longestGhost: Duration;
+        averageGhostDuration: Duration;
+        ghostInstances: Ghost[];
+        /** Only present when totalGhosts > 0 */
+        top5Ghosts?: Ghost[];
+    }>;
+    conversationEnders: {
+        byParticipant: ByName<CountAndPercentage>;
+        totalConversations: number;
+    };
+}
+
+export interface MembershipMetrics {
+    hasMembershipEvents: boolean;
+    members: ByName<{
+        intervals: Array<{ start: Instant; end: Instant }>;
+        joins: Instant[];
+        leaves: Instant[];
+        isCurrentMember: boolean;
+        tenure: Duration;
+        firstJoined: Instant | null;
+        lastLeft: Instant | null;
+        totalMessages: number;
+        messagesWhilePresent: number;
+        isLurker: boolean;
+    }>;
+    headcount: Array<{ date: Instant; count: number }>;
+    churnByMonth: Array<{ month: MonthKey; joined: number; left: number; net: number }>;
+    lurkers: string[];
+    currentMembers: string[];
+    formerMembers: string[];
+    totalMembers: number;
+}
+
+export interface Perspective {
+    self: string;
+    others: string[];
+    isGroup: boolean;
+    messages: MineTheirs;
+    words: MineTheirs;
+    initiations: MineTheirs;
+    /** Median reply time each way */
+    replyTime: MineTheirs;
+    /** Percentage of the other side's conversation openers answered */
+    reciprocity: MineTheirs;
+    effortBalance: { myShare: Percentage; fairShare: Percentage; ratio: number };
+    ghosts: MineTheirs;
+    /** theirs is per other participant */
+    doubleTexts: MineTheirs;
+    unanswered: {
+        mine: number;
+        theirs: number;
+        recent: Array<{ date: Instant; content: string }>;
+    };
+}
+
+export interface GroupEvents {
+    total: number;
+    byType: ByName<number>;
+    byActor: ByName<ByName<number>>;
+    events: Array<{
+        type: string;
+        actor: string | null;
+        targets: string[];
+        details: Record<string, unknown>;
+        date: Instant;
+    }>;
+}
+
+export interface AnalysisSummary {
+    overview: Overview;
+    messagingPatterns: MessagingPatterns;
+    contentAnalysis: ContentAnalysis;
+    temporalPatterns: TemporalPatterns;
+    engagementMetrics: EngagementMetrics;
+    membershipMetrics: MembershipMetrics;
+    /** null unless options.self names a participant */
+    perspective: Perspective | null;
+    groupEvents: GroupEvents;
+}
+
+export interface AnalysisResult {
+    schemaVersion: typeof RESULT_SCHEMA_VERSION;
+    chat: ChatInfo;
+    summary: AnalysisSummary;
+}
+
+/** Analyse one chat export; a ZIP archive (Node.js only) yields its largest chat */
+export declare function analyzeChat(input: ChatInput, options?: AnalyzeOptions): Promise<AnalysisResult>;
+
+/** Analyse every chat in an export */
+export declare function analyzeChats(input: ChatInput, options?: AnalyzeOptions): Promise<AnalysisResult[]>;
+
+export default analyzeChat;
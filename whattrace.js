@@ -0,0 +1,285 @@
+// WhatTrace library entry point
+//
+// analyzeChat() parses an export and runs WhatsAppAnalytics in one call, and
+// returns a plain JSON document described by analysisResult.schema.json:
+// ISO 8601 strings instead of Date objects, numbers instead of numeric
+// strings, and null where there is no data. RESULT_SCHEMA_VERSION follows
+// semver: new fields bump the minor version, renamed or removed fields the
+// major one. Type definitions are in whattrace.d.ts.
+//
+//   import { analyzeChat } from './whattrace.js';
+//   const result = await analyzeChat(fileBytes, { timeZone: 'Europe/Berlin' });
+
+import { WhatsAppParser } from './parser.js';
+import { WhatsAppAnalytics } from './analytics.js';
+import { CHAT_FORMATS, createDocumentParser, detectChatFormatFromText, isMultiFileFormat } from './chatFormats.js';
+import { SmsBackupParser } from './smsBackupParser.js';
+import { detectEncoding } from './textEncoding.js';
+import { applyAliases } from './aliases.js';
+
+export const RESULT_SCHEMA_VERSION = '1.0.0';
+
+export { CHAT_FORMATS } from './chatFormats.js';
+export { DATE_FORMATS } from './parser.js';
+export { DEFAULT_THRESHOLDS } from './analytics.js';
+
+// Bytes of each file used to detect its format (same as chatFormats.js)
+const SNIFF_BYTES = 8192;
+
+/**
+ * Analyse one chat export
+ * @param {string|Uint8Array|ArrayBuffer|Blob|Array} input - Export contents: text, raw
+ *   bytes (encoding detected) or a Blob; an array for Messenger's message_N.json pages.
+ *   ZIP archives (Node.js only) yield their largest chat.
+ * @param {Object} [options] - See AnalyzeOptions in whattrace.d.ts
+ * @returns {Promise<Object>} AnalysisResult
+ */
+export async function analyzeChat(input, options = {}) {
+    const results = await analyzeChats(input, options);
+    return results.reduce((largest, result) =>
+        result.summary.overview.totalMessages > largest.summary.overview.totalMessages ? result : largest);
+}
+
+/**
+ * Analyse every chat in an export (a ZIP may hold several)
+ * @returns {Promise<Object[]>} AnalysisResult per chat
+ */
+export async function analyzeChats(input, options = {}) {
+    const chats = await loadChats(await toSources(input), options);
+
+    return chats.map(chat => {
+        const parsedData = filterChat(chat, options);
+        if (options.self && !parsedData.participants.includes(options.self)) {
+            warn(options, `no participant named "${options.self}", skipping me-vs-them metrics`, chat.name);
+        }
+        const analytics = new WhatsAppAnalytics(parsedData, { self: options.self || null, thresholds: options.thresholds });
+        return toAnalysisResult(chat, parsedData, analytics.getComprehensiveSummary());
+    });
+}
+
+/**
+ * Report something the caller may want to know but that does not stop the analysis
+ * @param {string|null} chatName - Chat the warning is about, null for the whole input
+ */
+function warn({ onWarning = null }, message, chatName = null) {
+    if (onWarning) onWarning(message, chatName);
+}
+
+
+/**
+ * Raw bytes or text for each input file
+ * @returns {Promise<Array<string|Uint8Array>>}
+ */
+async function toSources(input) {
+    const inputs = Array.isArray(input) ? input : [input];
+    if (inputs.length === 0) throw new Error('No input given');
+
+    return Promise.all(inputs.map(async (item) => {
+        if (typeof item === 'string' || item instanceof Uint8Array) return item;
+        if (item instanceof ArrayBuffer) return new Uint8Array(item);
+        if (typeof Blob !== 'undefined' && item instanceof Blob) return new Uint8Array(await item.arrayBuffer());
+        throw new Error('Input must be text, bytes or a Blob');
+    }));
+}
+
+function isZip(source) {
+    // "PK\x03\x04", whatever the file is called
+    return source instanceof Uint8Array && source[0] === 0x50 && source[1] === 0x4b && source[2] === 0x03 && source[3] === 0x04;
+}
+
+/**
+ * Parse every chat in the sources
+ * @returns {Promise<Object[]>} { name, format, encoding, parsedData, parser }
+ */
+async function loadChats(sources, options) {
+    if (!isZip(sources[0])) return [parseChat(sources, options.name || null, options)];
+    if (sources.length > 1) throw new Error('Pass one ZIP archive at a time');
+
+    let readZipEntries;
+    try {
+        ({ readZipEntries } = await import('./zipReader.js'));
+    } catch (error) {
+        throw new Error('ZIP archives can only be read in Node.js; pass the chat file from the archive instead');
+    }
+
+    const entries = readZipEntries(sources[0]).filter(entry => !entry.dir);
+    const txtEntries = entries.filter(entry => entry.path.toLowerCase().endsWith('.txt'));
+    const telegramEntry = entries.find(entry => entry.path.split('/').pop() === 'result.json');
+    const messengerThreads = {};
+    entries.forEach(entry => {
+        const fileName = entry.path.split('/').pop();
+        if (/^message_\d+\.json$/.test(fileName)) {
+            const thread = entry.path.slice(0, -fileName.length);
+            (messengerThreads[thread] = messengerThreads[thread] || []).push(entry);
+        }
+    });
+
+    if (txtEntries.length) {
+        // Notes and other stray text files are skipped
+        const chats = txtEntries
+            .map(entry => ({ entry, bytes: entry.read() }))
+            .filter(({ entry, bytes }) => {
+                if (detectFormat(decode(bytes.subarray(0, SNIFF_BYTES), options.encoding).text)) return true;
+                warn(options, `skipping ${entry.path} (not a chat export)`);
+                return false;
+            });
+        if (chats.length === 0) throw new Error('No chat file found in the ZIP archive');
+
+        return chats.map(({ entry, bytes }) => parseChat(
+            [bytes],
+            txtEntries.length > 1 ? entry.path.split('/').pop().replace(/\.txt$/i, '') : options.name || null,
+            options
+        ));
+    }
+    if (telegramEntry) return [parseChat([telegramEntry.read()], options.name || null, options)];
+
+    const threads = Object.entries(messengerThreads);
+    if (threads.length) {
+        const pageNumber = (entry) => Number(entry.path.match(/message_(\d+)\.json$/)[1]);
+        return threads.map(([folder, pages]) => parseChat(
+            pages.sort((a, b) => pageNumber(a) - pageNumber(b)).map(page => page.read()),
+            folder.split('/').filter(Boolean).pop() || options.name || null,
+            options
+        ));
+    }
+
+    throw new Error('No chat file found in the ZIP archive');
+}
+
+function decode(source, encoding = null) {
+    if (typeof source === 'string') return { text: source, encoding: null };
+    const label = encoding || detectEncoding(source).encoding;
+    return { text: new TextDecoder(label).decode(source), encoding: label };
+}
+
+function detectFormat(text) {
+    return detectChatFormatFromText(text.slice(0, SNIFF_BYTES));
+}
+
+/**
+ * Decode, detect and parse one chat (several sources only for Messenger pages)
+ */
+function parseChat(sources, name, options) {
+    const { format = null, dateFormat = null, encoding = null, timeZone = null, thread = null, onProgress = null } = options;
+    const decoded = sources.map(source => decode(source, encoding));
+    const texts = decoded.map(({ text }) => text);
+
+    const chatFormat = format || detectFormat(texts[0]);
+    if (!chatFormat) throw new Error(`${name || 'Input'} is not a recognised chat export`);
+    if (texts.length > 1 && !isMultiFileFormat(chatFormat)) {
+        throw new Error(`Only ${CHAT_FORMATS.MESSENGER} exports can be split over several files`);
+    }
+
+    // A fresh parser per chat: the default export is a shared singleton
+    const parser = new WhatsAppParser();
+    const documentParser = createDocumentParser(chatFormat);
+    let parsedData = documentParser
+        ? documentParser.parse(isMultiFileFormat(chatFormat) ? texts : texts[0], { onProgress })
+        : parser.parse(texts[0], { dateFormat, timeZone, onProgress });
+
+    if (parsedData.threads) {
+        const threadKey = pickThread(parsedData.threads, thread, name, options);
+        parsedData = new SmsBackupParser().selectThread(parsedData, threadKey);
+    }
+
+    if (!parsedData.messages.some(msg => !msg.isSystem)) {
+        throw new Error(`No messages found in ${name || parsedData.chatName || 'the input'}`);
+    }
+
+    return {
+        name: parsedData.chatName || name,
+        format: chatFormat,
+        encoding: decoded[0].encoding,
+        thread: parsedData.threadKey || null,
+        parsedData,
+        parser
+    };
+}
+
+/**
+ * SMS backups hold every conversation; take the one asked for, else the busiest
+ */
+function pickThread(threads, wanted, name, options) {
+    if (wanted) {
+        const match = threads.find(t => t.key === wanted || t.name === wanted);
+        if (!match) throw new Error(`No conversation named "${wanted}"`);
+        return match.key;
+    }
+
+    const busiest = [...threads].sort((a, b) => b.messageCount - a.messageCount)[0];
+    if (threads.length > 1) {
+        warn(options, `${threads.length} conversations, analysing "${busiest.name}" (choose with the thread option)`, name);
+    }
+    return busiest.key;
+}
+
+/**
+ * Apply aliases, then keep the messages inside the date range and from the chosen senders
+ */
+function filterChat({ name, parsedData, parser }, options) {
+    const { aliases = null, from = null, to = null, participants = null } = options;
+    const aliased = applyAliases(parsedData.messages, aliases);
+    if (participants) {
+        const senders = new Set(aliased.map(msg => msg.sender));
+        participants
+            .filter(p => !senders.has(p))
+            .forEach(p => warn(options, `no participant named "${p}"`, name));
+    }
+
+    if (aliased === parsedData.messages && !from && !to && !participants) return parsedData;
+
+    // 'YYYY-MM-DD' keys compare correctly as strings
+    const messages = aliased.filter(msg =>
+        (!from || msg.metadata.dateKey >= from) &&
+        (!to || msg.metadata.dateKey <= to) &&
+        (!participants || msg.isSystem || participants.includes(msg.sender)));
+
+    if (!messages.some(msg => !msg.isSystem)) throw new Error('No messages left after filtering');
+    return { ...parsedData, ...parser.fromMessages(messages) };
+}
+
+/**
+ * Wrap a summary in the versioned result document
+ */
+function toAnalysisResult(chat, parsedData, summary) {
+    // Raw response-time samples are an input to bestTimeToMessage, not a result
+    const { byHourBySender, byUtcHourBySender, ...responseTime } = summary.messagingPatterns.responseTime;
+
+    return {
+        schemaVersion: RESULT_SCHEMA_VERSION,
+        chat: {
+            name: chat.name || null,
+            format: chat.format,
+            encoding: chat.encoding,
+            thread: chat.thread,
+            timeZone: parsedData.timeZone || null,
+            dateFormat: parsedData.dateFormat || null,
+            calendar: parsedData.calendar || null,
+            locale: parsedData.diagnostics ? parsedData.diagnostics.locale : null
+        },
+        summary: toJsonValue({
+            ...summary,
+            messagingPatterns: { ...summary.messagingPatterns, responseTime }
+        })
+    };
+}
+
+/**
+ * Dates to ISO 8601 strings and Infinity/NaN to null, so the result is exactly
+ * what JSON.stringify() would write
+ */
+function toJsonValue(value) {
+    if (value instanceof Date) return isNaN(value) ? null : value.toISOString();
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (Array.isArray(value)) return value.map(toJsonValue);
+    if (value && typeof value === 'object') {
+        const result = {};
+        Object.entries(value).forEach(([key, child]) => {
+            if (child !== undefined) result[key] = toJsonValue(child);
+        });
+        return result;
+    }
+    return value;
+}
+
+export default analyzeChat;
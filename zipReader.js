@@ -0,0 +1,90 @@
+// ZIP Reader for Node.js (the command-line tool)
+//
+// The browser loads JSZip from a CDN, which Node cannot import. Chat exports
+// are plain ZIPs (stored or deflated, no encryption, no ZIP64), so reading the
+// central directory and inflating entries with node:zlib is all that is needed.
+
+import { inflateRawSync } from 'node:zlib';
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// End record is 22 bytes plus a comment of up to 64 KB
+const MAX_END_RECORD_SEARCH = 22 + 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+// General-purpose flag: file names are UTF-8 rather than CP437
+const FLAG_UTF8_NAMES = 0x0800;
+
+/**
+ * List the entries of a ZIP archive
+ * @param {Uint8Array} bytes - Whole archive
+ * @returns {Object[]} { path, dir, size, read() } where read() returns the entry's bytes
+ */
+export function readZipEntries(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const endOffset = findEndRecord(view);
+
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+    if (offset === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+
+    const entries = [];
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_ENTRY) {
+            throw new Error('Corrupt ZIP central directory');
+        }
+
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const size = view.getUint32(offset + 24, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+
+        const nameBytes = bytes.subarray(offset + 46, offset + 46 + nameLength);
+        const path = new TextDecoder(flags & FLAG_UTF8_NAMES ? 'utf-8' : 'latin1').decode(nameBytes);
+
+        entries.push({
+            path,
+            dir: path.endsWith('/'),
+            size,
+            read: () => readEntry(bytes, view, { path, method, compressedSize, localOffset })
+        });
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+function findEndRecord(view) {
+    const lowest = Math.max(0, view.byteLength - MAX_END_RECORD_SEARCH);
+    for (let offset = view.byteLength - 22; offset >= lowest; offset--) {
+        if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) return offset;
+    }
+    throw new Error('Not a ZIP archive');
+}
+
+function readEntry(bytes, view, { path, method, compressedSize, localOffset }) {
+    if (view.getUint32(localOffset, true) !== LOCAL_FILE_HEADER) {
+        throw new Error(`Corrupt ZIP entry: ${path}`);
+    }
+
+    // The local header repeats the name and may carry a different extra field
+    const nameLength = view.getUint16(localOffset + 26, true);
+    const extraLength = view.getUint16(localOffset + 28, true);
+    const start = localOffset + 30 + nameLength + extraLength;
+    const data = bytes.subarray(start, start + compressedSize);
+
+    if (method === METHOD_STORED) return data;
+    if (method === METHOD_DEFLATED) return new Uint8Array(inflateRawSync(data));
+    throw new Error(`Unsupported ZIP compression method ${method} in ${path}`);
+}
+
+export default readZipEntries;